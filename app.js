@@ -7,6 +7,16 @@
 const App = (function() {
     'use strict';
     
+    // Active rendering backend (Renderer or WebGLRenderer)
+    let renderer = Renderer;
+    
+    // Filtered verse list, reused until the filter values change
+    let filteredVerses = null;
+    let filterKey = null;
+    
+    // Network left by the verse and edge filters, reused until either changes
+    let subgraph = null;
+    
     /**
      * Initialize the application
      */
@@ -16,18 +26,28 @@ const App = (function() {
         // Show loading message
         showLoadingMessage();
         
-        // Load data
+        // Load data; if that fails (e.g. the page was opened from file://),
+        // wait for the user to drop or pick a data file instead
         const success = await DataLoader.loadData();
         
         if (!success) {
-            showErrorMessage();
-            return;
+            clearCanvas();
+            await DataDrop.request(DataLoader.getLoadErrors());
         }
         
         // Initialize modules
         const canvas = document.getElementById('canvas');
-        Renderer.init(canvas);
+        renderer = createRenderer(canvas);
+        renderer.setRedrawHandler(render);
+        ColorScheme.init();
         EventHandlers.init();
+        SearchAutocomplete.init();
+        PathFinder.init();
+        FocusMode.init();
+        ForceLayout.init();
+        BookMatrix.init();
+        Collections.init();
+        Translations.init();
         
         // Initialize StatsPanel (must be after DOM is ready)
         if (typeof StatsPanel !== 'undefined') {
@@ -38,9 +58,12 @@ const App = (function() {
         }
         
         // Setup UI
-        EventHandlers.populateBookFilter();
+        FilterControls.init();
         EventHandlers.updateStatistics();
         
+        // Open the view the URL describes, if any
+        UrlState.init();
+        
         // Initial render
         render();
         
@@ -48,24 +71,176 @@ const App = (function() {
         hideLoadingMessage();
     }
     
+    /**
+     * Initialize the rendering backend chosen in CONFIG.canvas.backend
+     * @param {HTMLCanvasElement} canvas - Canvas element
+     * @returns {Object} Renderer or WebGLRenderer
+     */
+    function createRenderer(canvas) {
+        if (CONFIG.canvas.backend === 'webgl') {
+            if (typeof WebGLRenderer !== 'undefined' && WebGLRenderer.isSupported()) {
+                try {
+                    WebGLRenderer.init(canvas);
+                    console.log('Using WebGL renderer');
+                    return WebGLRenderer;
+                } catch (error) {
+                    console.warn('WebGL renderer failed to start, using canvas renderer:', error);
+                }
+            } else {
+                console.warn('WebGL not available - using canvas renderer');
+            }
+        }
+        
+        Renderer.init(canvas);
+        return Renderer;
+    }
+    
     /**
      * Get filtered verses based on current UI filters
+     * Returns the same array until the filters change, so callers on hot
+     * paths (mouse moves) don't refilter every verse.
      * @returns {Array} Filtered verses
      */
     function getFilteredVerses() {
         const filters = EventHandlers.getFilters();
-        const allVerses = DataLoader.getVerses();
+        const key = `${JSON.stringify(filters)}|focus-${FocusMode.getVersion()}|drill-${BookMatrix.getVersion()}`;
+        
+        if (filteredVerses && key === filterKey) {
+            return filteredVerses;
+        }
+        
+        filterKey = key;
+        filteredVerses = applyFilters(DataLoader.getVerses(), filters);
+        return filteredVerses;
+    }
+    
+    /**
+     * Drop the cached filtered list (call when the data changes)
+     */
+    function invalidateFilteredVerses() {
+        filteredVerses = null;
+        filterKey = null;
+        subgraph = null;
+    }
+    
+    /**
+     * Bring every view up to date after the references change
+     * (e.g. a data source switched on or off). Focus mode is exited and found
+     * paths and book matrix drill-ins are cleared, as they were worked out
+     * from the old references; statistics and metric colors are computed again.
+     */
+    function refreshData() {
+        invalidateFilteredVerses();
+        NetworkStats.clearCache();
+        
+        if (FocusMode.isActive()) FocusMode.exit();
+        PathFinder.clearResults();
+        BookMatrix.refresh();
+        
+        EventHandlers.updateStatistics();
+        EventHandlers.refreshReferencesList();
+        
+        const settings = typeof StatsPanel !== 'undefined' ? StatsPanel.getSettings() : {};
+        ColorScheme.setMode(ColorScheme.getMode(), settings)
+            .then(changed => { if (changed) render(); })
+            .catch(error => console.error('Error recoloring after data change:', error));
+        
+        if (typeof StatsPanel !== 'undefined' && StatsPanel.getOpenTab()) {
+            StatsPanel.recompute();
+        }
+        
+        render();
+    }
+    
+    /**
+     * Get the network the filters leave: the filtered verses and the
+     * references between them that pass the edge filters
+     * Verses are copies with refs, edges, incoming and the degree counts
+     * recomputed, so network statistics run on them unchanged.
+     * @returns {Object} { key, verses } - key identifies the subgraph for caching
+     */
+    function getSubgraph() {
+        const verses = getFilteredVerses();
+        const edgeFilter = FilterControls.getEdgeFilter();
+        const key = `${filterKey}|edges-${edgeFilter ? edgeFilter.key : ''}`;
+        
+        if (subgraph && subgraph.key === key) {
+            return subgraph;
+        }
+        
+        const copies = verses.map(verse => ({ ...verse, incoming: [], inDegree: 0 }));
+        const copyById = new Map(copies.map(copy => [copy.id, copy]));
+        
+        copies.forEach(copy => {
+            copy.edges = copy.edges.filter(edge => {
+                const target = copyById.get(edge.id);
+                return target && (!edgeFilter || edgeFilter.passes(copy, target, edge.weight));
+            });
+            copy.refs = copy.edges.map(edge => edge.id);
+            copy.refCount = copy.edges.length;
+            copy.weightedDegree = copy.edges.reduce((sum, edge) => sum + edge.weight, 0);
+        });
+        
+        copies.forEach(copy => {
+            copy.edges.forEach(edge => {
+                const target = copyById.get(edge.id);
+                target.incoming.push({ id: copy.id, weight: edge.weight });
+                target.inDegree++;
+            });
+        });
+        
+        subgraph = { key, verses: copies };
+        return subgraph;
+    }
+    
+    /**
+     * Apply filter values to a list of verses
+     * @param {Array} allVerses - Verses to filter
+     * @param {Object} filters - Filter values from EventHandlers.getFilters()
+     * @returns {Array} Verses passing every filter
+     */
+    function applyFilters(allVerses, filters) {
+        const focusDistances = FocusMode.getDistances();
+        const drillVerses = BookMatrix.getDrillVerses();
+        const books = filters.books.length > 0 ? new Set(filters.books) : null;
         
         return allVerses.filter(verse => {
-            // Book filter
-            if (filters.book && verse.book !== filters.book) {
+            // Focus mode: only the focused neighborhood, always including the focused verse
+            if (focusDistances) {
+                const hop = focusDistances.get(verse.id);
+                if (hop === undefined) return false;
+                if (hop === 0) return true;
+            }
+            
+            // Drilled in from the book matrix: only verses behind those references
+            if (drillVerses && !drillVerses.has(verse.id)) {
                 return false;
             }
             
-            // Minimum references filter
+            // Book selection, and chapter ranges within a single book
+            if (books && !books.has(verse.book)) {
+                return false;
+            }
+            if (filters.chapters.length > 0 &&
+                !filters.chapters.some(([from, to]) => verse.chapter >= from && verse.chapter <= to)) {
+                return false;
+            }
+            
+            // Reference count range
             if (verse.refCount < filters.minRefs) {
                 return false;
             }
+            if (filters.maxRefs !== null && verse.refCount > filters.maxRefs) {
+                return false;
+            }
+            
+            // Cross-filter: only verses that reference the chosen book
+            if (filters.referencesBook && !verse.refs.some(id => {
+                const target = DataLoader.findVerseById(id);
+                return target && target.book === filters.referencesBook;
+            })) {
+                return false;
+            }
             
             return true;
         });
@@ -75,8 +250,8 @@ const App = (function() {
      * Render the visualization
      */
     function render() {
-        const filteredVerses = getFilteredVerses();
-        Renderer.render(filteredVerses);
+        renderer.render(getFilteredVerses());
+        UrlState.scheduleUpdate();
     }
     
     /**
@@ -102,29 +277,21 @@ const App = (function() {
     }
     
     /**
-     * Show error message
+     * Clear the loading message from the canvas
      */
-    function showErrorMessage() {
+    function clearCanvas() {
         const canvas = document.getElementById('canvas');
-        const ctx = canvas.getContext('2d');
-        
-        ctx.fillStyle = '#ff6b6b';
-        ctx.font = '18px "Segoe UI"';
-        ctx.textAlign = 'center';
-        ctx.textBaseline = 'middle';
-        ctx.fillText('Error loading data', canvas.width / 2, canvas.height / 2 - 20);
-        
-        ctx.fillStyle = '#a8b8c8';
-        ctx.font = '14px "Segoe UI"';
-        ctx.fillText('Please ensure merged_bible_references.json is in the same folder', 
-                     canvas.width / 2, canvas.height / 2 + 20);
+        canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
     }
     
     // Public API
     return {
         init,
         render,
-        getFilteredVerses
+        getFilteredVerses,
+        getSubgraph,
+        invalidateFilteredVerses,
+        refreshData
     };
 })();
 
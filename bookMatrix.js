@@ -0,0 +1,631 @@
+/**
+ * Book Matrix Module
+ * 
+ * Aggregate view of how books reference each other: the references of
+ * every verse are counted per pair of books (NetworkStats.calculateBookMatrix)
+ * and shown either as a chord diagram or as a heatmap matrix with a
+ * choice of row order. Hovering a chord or cell shows the counts and the
+ * strongest verse pairs; clicking one "drills in", limiting the main canvas
+ * to the verses behind those references until the drill bar is closed.
+ */
+
+const BookMatrix = (function() {
+    'use strict';
+    
+    const SVG_NS = 'http://www.w3.org/2000/svg';
+    
+    let panel, viewEl, tooltipEl, selfInput, sortSelect, drillBar;
+    
+    let matrix = null;         // { books, counts } at matrixVersion of the data
+    let matrixVersion = null;
+    let view = CONFIG.bookMatrix.view;
+    
+    let drill = null;          // { label, ids } while drilled in
+    let version = 0;           // Bumped whenever the drill-in changes
+    
+    /**
+     * Initialize the panel, the drill bar and the header button
+     */
+    function init() {
+        createPanel();
+        createDrillBar();
+        
+        const button = document.getElementById('book-matrix-btn');
+        if (button) {
+            button.addEventListener('click', toggle);
+        } else {
+            console.error('Book links button not found - book matrix disabled');
+        }
+    }
+    
+    /**
+     * Create the panel HTML structure
+     */
+    function createPanel() {
+        panel = document.createElement('div');
+        panel.id = 'book-panel';
+        panel.className = 'stats-panel book-panel hidden';
+        
+        panel.innerHTML = `
+            <div class="stats-panel-header">
+                <h3>Book Connections</h3>
+                <button class="close-btn" id="close-book-panel">×</button>
+            </div>
+            
+            <div class="stats-panel-content">
+                <div class="book-controls">
+                    <div class="book-views">
+                        <button class="book-view-btn" data-view="chord">Chord Diagram</button>
+                        <button class="book-view-btn" data-view="matrix">Matrix</button>
+                    </div>
+                    <label class="stats-option" id="book-self-option" title="Include references within a single book">
+                        <input type="checkbox" id="book-include-self">
+                        Same-book references
+                    </label>
+                    <label class="stats-option" id="book-sort-option">
+                        Order
+                        <select id="book-sort">
+                            <option value="canonical">Canonical</option>
+                            <option value="total">Most connected</option>
+                            <option value="outgoing">Most references</option>
+                            <option value="incoming">Most referenced</option>
+                        </select>
+                    </label>
+                </div>
+                <p class="explanation">
+                    Hover a chord or cell for counts and the strongest verse pairs;
+                    click it to show those verses on the canvas.
+                </p>
+                <div id="book-view" class="book-view"></div>
+            </div>
+        `;
+        
+        document.body.appendChild(panel);
+        
+        tooltipEl = document.createElement('div');
+        tooltipEl.className = 'book-tooltip hidden';
+        document.body.appendChild(tooltipEl);
+        
+        viewEl = document.getElementById('book-view');
+        selfInput = document.getElementById('book-include-self');
+        sortSelect = document.getElementById('book-sort');
+        
+        document.getElementById('close-book-panel').addEventListener('click', hide);
+        panel.querySelectorAll('.book-view-btn').forEach(button => {
+            button.addEventListener('click', () => setView(button.dataset.view));
+        });
+        selfInput.addEventListener('change', render);
+        sortSelect.addEventListener('change', render);
+        
+        viewEl.addEventListener('mousemove', handleHover);
+        viewEl.addEventListener('mouseleave', () => {
+            hideTooltip();
+            setHighlightedGroup(null);
+        });
+        viewEl.addEventListener('click', handleClick);
+    }
+    
+    /**
+     * Create the bar shown while the canvas is limited to a drill-in
+     */
+    function createDrillBar() {
+        drillBar = document.createElement('div');
+        drillBar.id = 'drill-bar';
+        drillBar.className = 'focus-bar drill-bar hidden';
+        
+        const container = document.getElementById('canvas-container') || document.body;
+        container.appendChild(drillBar);
+    }
+    
+    /**
+     * Show or hide the panel
+     */
+    function toggle() {
+        if (panel.classList.contains('hidden')) {
+            show();
+        } else {
+            hide();
+        }
+    }
+    
+    /**
+     * Show the panel, counting references first if the data changed
+     */
+    function show() {
+        const verses = DataLoader.getVerses();
+        if (!matrix || matrixVersion !== DataLoader.getVersion()) {
+            matrix = NetworkStats.calculateBookMatrix(verses);
+            matrixVersion = DataLoader.getVersion();
+        }
+        
+        panel.classList.remove('hidden');
+        render();
+    }
+    
+    /**
+     * Hide the panel
+     */
+    function hide() {
+        panel.classList.add('hidden');
+        hideTooltip();
+    }
+    
+    /**
+     * Switch between the chord diagram and the matrix
+     * @param {string} newView - 'chord' or 'matrix'
+     */
+    function setView(newView) {
+        view = newView;
+        render();
+    }
+    
+    /**
+     * Draw the current view
+     */
+    function render() {
+        panel.querySelectorAll('.book-view-btn').forEach(button => {
+            button.classList.toggle('active', button.dataset.view === view);
+        });
+        document.getElementById('book-self-option').classList.toggle('hidden', view !== 'chord');
+        document.getElementById('book-sort-option').classList.toggle('hidden', view !== 'matrix');
+        
+        hideTooltip();
+        viewEl.innerHTML = '';
+        viewEl.appendChild(view === 'matrix' ? renderMatrix() : renderChord());
+    }
+    
+    /**
+     * Build the chord diagram
+     * Each book gets an arc sized by all the references it shares with other
+     * books; a chord joins two books and is as wide as the references between
+     * them in both directions, colored by the book that makes more of them.
+     * @returns {SVGElement} Diagram
+     */
+    function renderChord() {
+        const { books, counts } = matrix;
+        const settings = CONFIG.bookMatrix;
+        const includeSelf = selfInput.checked;
+        const n = books.length;
+        const size = settings.chordSize;
+        const outer = size / 2 - 40;
+        const inner = outer - settings.arcWidth;
+        
+        const flow = (i, j) => i === j ? (includeSelf ? counts[i][i] : 0) : counts[i][j] + counts[j][i];
+        
+        const totals = books.map((_, i) => {
+            let total = 0;
+            for (let j = 0; j < n; j++) total += flow(i, j);
+            return total;
+        });
+        const grandTotal = totals.reduce((sum, t) => sum + t, 0);
+        const padding = grandTotal > 0 ? settings.padAngle : 0;
+        const k = grandTotal > 0 ? (Math.PI * 2 - padding * n) / grandTotal : 0;
+        
+        // Angular span of each book, and of each partner within it
+        const groups = [];
+        const subgroups = books.map(() => new Array(n));
+        let angle = 0;
+        for (let i = 0; i < n; i++) {
+            const start = angle;
+            for (let j = 0; j < n; j++) {
+                const width = flow(i, j) * k;
+                subgroups[i][j] = { start: angle, end: angle + width };
+                angle += width;
+            }
+            groups.push({ start, end: angle });
+            angle += padding;
+        }
+        
+        let chords = '';
+        for (let i = 0; i < n; i++) {
+            for (let j = i; j < n; j++) {
+                if (flow(i, j) === 0) continue;
+                
+                const source = counts[i][j] >= counts[j][i] ? i : j;
+                chords += `<path class="book-chord" data-a="${i}" data-b="${j}"
+                    d="${ribbonPath(subgroups[i][j], subgroups[j][i], inner)}"
+                    fill="${bookColor(books[source])}" fill-opacity="${settings.chordOpacity}"></path>`;
+            }
+        }
+        
+        let arcs = '';
+        groups.forEach((group, i) => {
+            arcs += `<path class="book-arc" data-group="${i}" d="${arcPath(group, inner, outer)}"
+                fill="${bookColor(books[i])}"></path>`;
+            
+            if (group.end - group.start < settings.minLabelAngle) return;
+            const middle = (group.start + group.end) / 2;
+            const degrees = middle * 180 / Math.PI - 90;
+            const flip = middle > Math.PI;
+            arcs += `<text class="book-label" transform="rotate(${degrees}) translate(${outer + 6}, 0)${flip ? ' rotate(180)' : ''}"
+                text-anchor="${flip ? 'end' : 'start'}" dominant-baseline="middle">${books[i]}</text>`;
+        });
+        
+        const svg = createSvg(size, size);
+        svg.innerHTML = `<g transform="translate(${size / 2}, ${size / 2})">${chords}${arcs}</g>`;
+        return svg;
+    }
+    
+    /**
+     * SVG path for a ring segment
+     * Angles run clockwise from 12 o'clock.
+     */
+    function arcPath(span, inner, outer) {
+        const large = span.end - span.start > Math.PI ? 1 : 0;
+        const [x0, y0] = polar(outer, span.start);
+        const [x1, y1] = polar(outer, span.end);
+        const [x2, y2] = polar(inner, span.end);
+        const [x3, y3] = polar(inner, span.start);
+        return `M${x0},${y0}A${outer},${outer} 0 ${large} 1 ${x1},${y1}` +
+               `L${x2},${y2}A${inner},${inner} 0 ${large} 0 ${x3},${y3}Z`;
+    }
+    
+    /**
+     * SVG path for a chord between two spans of the inner ring
+     */
+    function ribbonPath(source, target, radius) {
+        const [sx0, sy0] = polar(radius, source.start);
+        const [sx1, sy1] = polar(radius, source.end);
+        const [tx0, ty0] = polar(radius, target.start);
+        const [tx1, ty1] = polar(radius, target.end);
+        const sourceLarge = source.end - source.start > Math.PI ? 1 : 0;
+        const targetLarge = target.end - target.start > Math.PI ? 1 : 0;
+        return `M${sx0},${sy0}A${radius},${radius} 0 ${sourceLarge} 1 ${sx1},${sy1}` +
+               `Q0,0 ${tx0},${ty0}A${radius},${radius} 0 ${targetLarge} 1 ${tx1},${ty1}` +
+               `Q0,0 ${sx0},${sy0}Z`;
+    }
+    
+    /**
+     * Point at a radius and angle (clockwise from 12 o'clock)
+     * @returns {Array} [x, y] rounded to 0.01
+     */
+    function polar(radius, angle) {
+        return [
+            Math.round(radius * Math.sin(angle) * 100) / 100,
+            Math.round(-radius * Math.cos(angle) * 100) / 100
+        ];
+    }
+    
+    /**
+     * Build the heatmap matrix
+     * Rows are the referencing book, columns the referenced book; both
+     * follow the order chosen in the Order selector. Colors use a log scale.
+     * @returns {SVGElement} Matrix
+     */
+    function renderMatrix() {
+        const { books, counts } = matrix;
+        const { cellSize, labelSpace } = CONFIG.bookMatrix;
+        const order = getOrder(sortSelect.value);
+        const size = labelSpace + books.length * cellSize;
+        
+        let max = 0;
+        counts.forEach(row => row.forEach(count => { max = Math.max(max, count); }));
+        const scale = Math.log1p(max) || 1;
+        
+        let cells = '';
+        order.forEach((i, row) => {
+            order.forEach((j, column) => {
+                const count = counts[i][j];
+                if (count === 0) return;
+                
+                const color = ColorScheme.interpolate(CONFIG.colorBy.sequential, Math.log1p(count) / scale);
+                cells += `<rect class="book-cell${i === j ? ' diagonal' : ''}" data-a="${i}" data-b="${j}" data-directed="1"
+                    x="${labelSpace + column * cellSize}" y="${labelSpace + row * cellSize}"
+                    width="${cellSize}" height="${cellSize}" fill="${color}"></rect>`;
+            });
+        });
+        
+        let labels = '';
+        order.forEach((i, position) => {
+            const offset = labelSpace + (position + 0.5) * cellSize;
+            labels += `<text class="book-label matrix-label" x="${labelSpace - 4}" y="${offset}"
+                text-anchor="end" dominant-baseline="middle">${books[i]}</text>`;
+            labels += `<text class="book-label matrix-label" transform="translate(${offset}, ${labelSpace - 4}) rotate(-90)"
+                dominant-baseline="middle">${books[i]}</text>`;
+        });
+        
+        const svg = createSvg(size, size);
+        svg.innerHTML = `<rect class="book-matrix-bg" x="${labelSpace}" y="${labelSpace}"
+            width="${size - labelSpace}" height="${size - labelSpace}"></rect>${cells}${labels}`;
+        return svg;
+    }
+    
+    /**
+     * Order books for the matrix
+     * @param {string} sort - 'canonical', 'total', 'outgoing' or 'incoming'
+     * @returns {Array} Book indexes in display order
+     */
+    function getOrder(sort) {
+        const { books, counts } = matrix;
+        const order = books.map((_, i) => i);
+        if (sort === 'canonical') return order;
+        
+        const outgoing = counts.map(row => row.reduce((sum, c) => sum + c, 0));
+        const incoming = books.map((_, j) => counts.reduce((sum, row) => sum + row[j], 0));
+        const score = {
+            total: i => outgoing[i] + incoming[i],
+            outgoing: i => outgoing[i],
+            incoming: i => incoming[i]
+        }[sort];
+        
+        return order.sort((a, b) => score(b) - score(a) || a - b);
+    }
+    
+    /**
+     * Create an empty SVG element
+     */
+    function createSvg(width, height) {
+        const svg = document.createElementNS(SVG_NS, 'svg');
+        svg.setAttribute('width', width);
+        svg.setAttribute('height', height);
+        svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+        return svg;
+    }
+    
+    /**
+     * Color of a book, as on the canvas
+     */
+    function bookColor(book) {
+        return CONFIG.bookColors[book] || CONFIG.defaultColor;
+    }
+    
+    /**
+     * Get a book's full name
+     */
+    function bookName(book) {
+        const entry = CONFIG.books.find(b => b.code === book);
+        return entry ? entry.name : book;
+    }
+    
+    /**
+     * Show counts and top verse pairs for the chord, cell or arc under the mouse
+     */
+    function handleHover(e) {
+        const pair = e.target.closest('[data-a]');
+        const group = e.target.closest('[data-group]');
+        
+        if (pair) {
+            setHighlightedGroup(null);
+            showTooltip(e, describePair(Number(pair.dataset.a), Number(pair.dataset.b), !!pair.dataset.directed));
+        } else if (group) {
+            const i = Number(group.dataset.group);
+            setHighlightedGroup(i);
+            showTooltip(e, describeBook(i));
+        } else {
+            setHighlightedGroup(null);
+            hideTooltip();
+        }
+    }
+    
+    /**
+     * Drill into the chord or cell that was clicked
+     */
+    function handleClick(e) {
+        const pair = e.target.closest('[data-a]');
+        if (pair) {
+            drillInto(Number(pair.dataset.a), Number(pair.dataset.b), !!pair.dataset.directed);
+        }
+    }
+    
+    /**
+     * Fade every chord not touching a book
+     * @param {number|null} index - Book index, or null to show all
+     */
+    function setHighlightedGroup(index) {
+        viewEl.querySelectorAll('.book-chord').forEach(chord => {
+            const touches = index === null ||
+                Number(chord.dataset.a) === index ||
+                Number(chord.dataset.b) === index;
+            chord.classList.toggle('faded', !touches);
+        });
+    }
+    
+    /**
+     * Tooltip HTML for references between two books
+     * @param {number} a - First book index (the referencing book if directed)
+     * @param {number} b - Second book index
+     * @param {boolean} directed - Only references from a to b
+     * @returns {string} HTML
+     */
+    function describePair(a, b, directed) {
+        const { books, counts } = matrix;
+        const nameA = bookName(books[a]);
+        const nameB = bookName(books[b]);
+        const lines = [];
+        
+        if (directed || a === b) {
+            lines.push(`<strong>${nameA} → ${nameB}</strong>`);
+            lines.push(`<div>${formatCount(counts[a][b])}</div>`);
+        } else {
+            lines.push(`<strong>${nameA} ↔ ${nameB}</strong>`);
+            lines.push(`<div>${nameA} → ${nameB}: ${counts[a][b].toLocaleString()}</div>`);
+            lines.push(`<div>${nameB} → ${nameA}: ${counts[b][a].toLocaleString()}</div>`);
+        }
+        
+        const pairs = getTopPairs(a, b, directed);
+        if (pairs.length > 0) {
+            lines.push('<div class="book-tooltip-pairs">');
+            pairs.forEach(pair => {
+                lines.push(`<div>${pair.from.verse} → ${pair.to.verse} <span class="pair-weight">(${pair.weight})</span></div>`);
+            });
+            lines.push('</div>');
+        }
+        
+        return lines.join('');
+    }
+    
+    /**
+     * Tooltip HTML for one book's arc
+     * @param {number} i - Book index
+     * @returns {string} HTML
+     */
+    function describeBook(i) {
+        const { books, counts } = matrix;
+        const outgoing = counts[i].reduce((sum, c, j) => sum + (j === i ? 0 : c), 0);
+        const incoming = counts.reduce((sum, row, j) => sum + (j === i ? 0 : row[i]), 0);
+        
+        const partners = books
+            .map((book, j) => ({ book, count: j === i ? 0 : counts[i][j] + counts[j][i] }))
+            .filter(p => p.count > 0)
+            .sort((x, y) => y.count - x.count)
+            .slice(0, CONFIG.bookMatrix.topPairs);
+        
+        return `
+            <strong>${bookName(books[i])}</strong>
+            <div>References other books: ${outgoing.toLocaleString()}</div>
+            <div>Referenced by other books: ${incoming.toLocaleString()}</div>
+            <div>Within the book: ${counts[i][i].toLocaleString()}</div>
+            <div class="book-tooltip-pairs">
+                ${partners.map(p => `<div>${bookName(p.book)} <span class="pair-weight">(${p.count.toLocaleString()})</span></div>`).join('')}
+            </div>
+        `;
+    }
+    
+    /**
+     * Find the strongest references between two books
+     * @param {number} a - First book index
+     * @param {number} b - Second book index
+     * @param {boolean} directed - Only references from a to b
+     * @returns {Array} Up to CONFIG.bookMatrix.topPairs { from, to, weight }, strongest first
+     */
+    function getTopPairs(a, b, directed) {
+        const pairs = collectPairs(a, b);
+        if (!directed && a !== b) {
+            pairs.push(...collectPairs(b, a));
+        }
+        
+        return pairs
+            .sort((x, y) => y.weight - x.weight)
+            .slice(0, CONFIG.bookMatrix.topPairs);
+    }
+    
+    /**
+     * List the references from one book to another
+     * @param {number} a - Referencing book index
+     * @param {number} b - Referenced book index
+     * @returns {Array} { from, to, weight }
+     */
+    function collectPairs(a, b) {
+        const target = matrix.books[b];
+        const pairs = [];
+        
+        DataLoader.getVersesByBook(matrix.books[a]).forEach(verse => {
+            verse.edges.forEach(edge => {
+                const to = DataLoader.findVerseById(edge.id);
+                if (to && to.book === target) {
+                    pairs.push({ from: verse, to, weight: edge.weight });
+                }
+            });
+        });
+        
+        return pairs;
+    }
+    
+    /**
+     * Show the tooltip next to the mouse
+     */
+    function showTooltip(e, html) {
+        tooltipEl.innerHTML = html;
+        tooltipEl.style.left = `${e.clientX + 14}px`;
+        tooltipEl.style.top = `${e.clientY + 14}px`;
+        tooltipEl.classList.remove('hidden');
+    }
+    
+    /**
+     * Hide the tooltip
+     */
+    function hideTooltip() {
+        tooltipEl.classList.add('hidden');
+    }
+    
+    /**
+     * Limit the canvas to the verses behind the references between two books
+     * Other filters still apply on top.
+     * @param {number} a - First book index (the referencing book if directed)
+     * @param {number} b - Second book index
+     * @param {boolean} directed - Only references from a to b
+     */
+    function drillInto(a, b, directed) {
+        const pairs = collectPairs(a, b);
+        if (!directed && a !== b) {
+            pairs.push(...collectPairs(b, a));
+        }
+        
+        const ids = new Set();
+        pairs.forEach(pair => {
+            ids.add(pair.from.id);
+            ids.add(pair.to.id);
+        });
+        
+        const arrow = directed || a === b ? '→' : '↔';
+        drill = {
+            label: `${bookName(matrix.books[a])} ${arrow} ${bookName(matrix.books[b])}`,
+            ids
+        };
+        version++;
+        
+        hide();
+        renderDrillBar();
+        Renderer.resetView();
+        window.app.render();
+    }
+    
+    /**
+     * Count references again after the data changes
+     * A drill-in is dropped, since its verses came from the old references.
+     */
+    function refresh() {
+        clearDrill();
+        if (!panel.classList.contains('hidden')) show();
+    }
+    
+    /**
+     * Go back to the unfiltered canvas
+     */
+    function clearDrill() {
+        if (!drill) return;
+        
+        drill = null;
+        version++;
+        renderDrillBar();
+        window.app.render();
+    }
+    
+    /**
+     * Show what the canvas is limited to, with a button to undo it
+     */
+    function renderDrillBar() {
+        drillBar.classList.toggle('hidden', !drill);
+        if (!drill) return;
+        
+        drillBar.innerHTML = `
+            <span>Showing ${drill.ids.size.toLocaleString()} verses linking ${drill.label}</span>
+            <button id="drill-clear" title="Show all verses again">Show All</button>
+        `;
+        document.getElementById('drill-clear').addEventListener('click', clearDrill);
+    }
+    
+    /**
+     * Format a reference count
+     */
+    function formatCount(count) {
+        return `${count.toLocaleString()} ${count === 1 ? 'reference' : 'references'}`;
+    }
+    
+    // Public API
+    return {
+        init,
+        show,
+        hide,
+        setView,
+        drillInto,
+        clearDrill,
+        refresh,
+        getMatrix: () => matrix,
+        getDrillVerses: () => drill ? drill.ids : null,
+        getVersion: () => version
+    };
+})();
+
+// Make BookMatrix globally available
+window.BookMatrix = BookMatrix;
\ No newline at end of file
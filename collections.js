@@ -0,0 +1,507 @@
+/**
+ * Collections Module
+ * 
+ * Named, ordered lists of verses (reading chains) saved in localStorage.
+ * The info panel's bookmark button adds the shown verse to the active
+ * collection; the Collections panel switches, creates, renames and deletes
+ * collections, reorders their verses and exports or imports them as JSON.
+ * The active collection is highlighted on the canvas, its verses ringed
+ * and joined in order. Verses are stored by reference (e.g. "John 3:16")
+ * so exported files stay readable and work with other data files.
+ */
+
+const Collections = (function() {
+    'use strict';
+    
+    const EXPORT_FORMAT = 'bible-crossref-collections';
+    
+    let panel, selectEl, overlayInput, versesEl, messageEl, fileInput;
+    
+    let collections = [];    // { name, verses: [reference] } in creation order
+    let activeName = '';     // Collection the bookmark button adds to
+    let overlayShown = true; // Highlight the active collection on the canvas
+    
+    /**
+     * Load saved collections and create the panel
+     */
+    function init() {
+        load();
+        createPanel();
+        
+        const button = document.getElementById('collections-btn');
+        if (button) {
+            button.addEventListener('click', toggle);
+        } else {
+            console.error('Collections button not found - collections panel disabled');
+        }
+        
+        update(false);
+    }
+    
+    /**
+     * Create the panel HTML structure
+     */
+    function createPanel() {
+        panel = document.createElement('div');
+        panel.id = 'collections-panel';
+        panel.className = 'collections-panel hidden';
+        
+        panel.innerHTML = `
+            <div class="collections-header">
+                <h4>Collections</h4>
+                <button class="close-btn" id="close-collections">×</button>
+            </div>
+            <div class="collections-row">
+                <select id="collection-select" title="Active collection"></select>
+                <button id="collection-new" title="Start a new collection">New</button>
+                <button id="collection-rename">Rename</button>
+                <button id="collection-delete">Delete</button>
+            </div>
+            <label class="collections-option">
+                <input type="checkbox" id="collection-overlay">
+                Highlight on canvas
+            </label>
+            <div id="collection-verses" class="collection-verses"></div>
+            <div class="collections-row">
+                <button id="collection-add">Add Selected Verse</button>
+            </div>
+            <div class="collections-row">
+                <button id="collection-export">Export JSON</button>
+                <button id="collection-import">Import JSON</button>
+                <input type="file" id="collection-file" accept=".json,application/json" class="hidden">
+            </div>
+            <div id="collection-message" class="collections-message"></div>
+        `;
+        
+        const container = document.getElementById('canvas-container') || document.body;
+        container.appendChild(panel);
+        
+        selectEl = document.getElementById('collection-select');
+        overlayInput = document.getElementById('collection-overlay');
+        versesEl = document.getElementById('collection-verses');
+        messageEl = document.getElementById('collection-message');
+        fileInput = document.getElementById('collection-file');
+        
+        document.getElementById('close-collections').addEventListener('click', hide);
+        document.getElementById('collection-new').addEventListener('click', () => {
+            const name = prompt('Name of the new collection:');
+            if (name !== null) create(name);
+        });
+        document.getElementById('collection-rename').addEventListener('click', () => {
+            const name = prompt('Rename collection:', activeName);
+            if (name !== null) rename(activeName, name);
+        });
+        document.getElementById('collection-delete').addEventListener('click', () => {
+            if (confirm(`Delete the collection "${activeName}"?`)) remove(activeName);
+        });
+        document.getElementById('collection-add').addEventListener('click', () => {
+            const verse = Renderer.getViewState().selectedVerse;
+            if (verse) {
+                add(verse);
+            } else {
+                setMessage('Select a verse on the canvas first', true);
+            }
+        });
+        document.getElementById('collection-export').addEventListener('click', exportJson);
+        document.getElementById('collection-import').addEventListener('click', () => fileInput.click());
+        
+        selectEl.addEventListener('change', () => setActive(selectEl.value));
+        overlayInput.addEventListener('change', () => {
+            overlayShown = overlayInput.checked;
+            update();
+        });
+        fileInput.addEventListener('change', () => {
+            if (fileInput.files.length > 0) importFile(fileInput.files[0]);
+            fileInput.value = '';
+        });
+        versesEl.addEventListener('click', handleVerseClick);
+    }
+    
+    /**
+     * Show or hide the panel
+     */
+    function toggle() {
+        if (panel.classList.contains('hidden')) {
+            show();
+        } else {
+            hide();
+        }
+    }
+    
+    /**
+     * Show the panel
+     */
+    function show() {
+        setMessage('');
+        panel.classList.remove('hidden');
+    }
+    
+    /**
+     * Hide the panel
+     */
+    function hide() {
+        panel.classList.add('hidden');
+    }
+    
+    /**
+     * Read collections from localStorage, starting with an empty default one
+     */
+    function load() {
+        let saved = null;
+        try {
+            saved = JSON.parse(localStorage.getItem(CONFIG.collections.storageKey) || 'null');
+        } catch (error) {
+            console.error('Error reading saved collections:', error);
+        }
+        
+        collections = saved ? parseCollections(saved.collections) || [] : [];
+        if (collections.length === 0) {
+            collections.push({ name: CONFIG.collections.defaultName, verses: [] });
+        }
+        
+        activeName = saved && find(saved.active) ? saved.active : collections[0].name;
+        overlayShown = !saved || saved.overlay !== false;
+    }
+    
+    /**
+     * Write collections to localStorage
+     */
+    function save() {
+        try {
+            localStorage.setItem(CONFIG.collections.storageKey, JSON.stringify({
+                active: activeName,
+                overlay: overlayShown,
+                collections
+            }));
+        } catch (error) {
+            console.error('Error saving collections:', error);
+            setMessage('Could not save collections', true);
+        }
+    }
+    
+    /**
+     * Find a collection by name
+     * @param {string} name - Collection name
+     * @returns {Object|undefined} { name, verses }
+     */
+    function find(name) {
+        return collections.find(c => c.name === name);
+    }
+    
+    /**
+     * Get the active collection
+     * @returns {Object} { name, verses } - verses are references in order
+     */
+    function getActive() {
+        return find(activeName);
+    }
+    
+    /**
+     * Make a collection the one bookmarks go to (and the one highlighted)
+     * @param {string} name - Collection name
+     */
+    function setActive(name) {
+        if (!find(name)) return;
+        
+        activeName = name;
+        update();
+    }
+    
+    /**
+     * Pick a name not used by another collection
+     * @param {string} name - Preferred name
+     * @returns {string} name, or "name (2)", "name (3)", ...
+     */
+    function uniqueName(name) {
+        let candidate = name;
+        for (let i = 2; find(candidate); i++) {
+            candidate = `${name} (${i})`;
+        }
+        return candidate;
+    }
+    
+    /**
+     * Start a new, empty collection and make it active
+     * @param {string} name - Collection name
+     * @returns {string|null} The name used, or null if it was blank
+     */
+    function create(name) {
+        const trimmed = name.trim();
+        if (!trimmed) return null;
+        
+        const unique = uniqueName(trimmed);
+        collections.push({ name: unique, verses: [] });
+        activeName = unique;
+        update();
+        return unique;
+    }
+    
+    /**
+     * Rename a collection
+     * @param {string} name - Current name
+     * @param {string} newName - New name (blank or taken names are refused)
+     * @returns {boolean} True if renamed
+     */
+    function rename(name, newName) {
+        const collection = find(name);
+        const trimmed = newName.trim();
+        if (!collection || !trimmed || trimmed === name) return false;
+        
+        if (find(trimmed)) {
+            setMessage(`There is already a collection named "${trimmed}"`, true);
+            return false;
+        }
+        
+        collection.name = trimmed;
+        if (activeName === name) activeName = trimmed;
+        update();
+        return true;
+    }
+    
+    /**
+     * Delete a collection (the last one is emptied instead)
+     * @param {string} name - Collection name
+     */
+    function remove(name) {
+        const collection = find(name);
+        if (!collection) return;
+        
+        if (collections.length === 1) {
+            collection.verses = [];
+        } else {
+            collections = collections.filter(c => c !== collection);
+        }
+        if (!find(activeName)) activeName = collections[0].name;
+        update();
+    }
+    
+    /**
+     * Whether a verse is in the active collection
+     * @param {Object} verse - Verse object
+     * @returns {boolean} True if bookmarked
+     */
+    function has(verse) {
+        return getActive().verses.includes(verse.verse);
+    }
+    
+    /**
+     * Append a verse to the active collection (once)
+     * @param {Object} verse - Verse object
+     */
+    function add(verse) {
+        const active = getActive();
+        if (active.verses.includes(verse.verse)) return;
+        
+        active.verses.push(verse.verse);
+        setMessage(`Added ${verse.verse} to ${active.name}`);
+        update();
+    }
+    
+    /**
+     * Remove a verse from the active collection
+     * @param {Object} verse - Verse object
+     */
+    function removeVerse(verse) {
+        const active = getActive();
+        active.verses = active.verses.filter(ref => ref !== verse.verse);
+        update();
+    }
+    
+    /**
+     * Add or remove a verse (the info panel's bookmark button)
+     * @param {Object} verse - Verse object
+     * @returns {boolean} True if the verse is now bookmarked
+     */
+    function toggleVerse(verse) {
+        if (has(verse)) {
+            removeVerse(verse);
+            return false;
+        }
+        add(verse);
+        return true;
+    }
+    
+    /**
+     * Handle clicks in the verse list: go to, move or remove a verse
+     * @param {MouseEvent} e - Click event
+     */
+    function handleVerseClick(e) {
+        const item = e.target.closest('[data-index]');
+        if (!item) return;
+        
+        const active = getActive();
+        const index = parseInt(item.dataset.index, 10);
+        const action = e.target.dataset.action;
+        
+        if (action === 'remove') {
+            active.verses.splice(index, 1);
+        } else if (action === 'up' || action === 'down') {
+            const other = action === 'up' ? index - 1 : index + 1;
+            if (other < 0 || other >= active.verses.length) return;
+            [active.verses[index], active.verses[other]] = [active.verses[other], active.verses[index]];
+        } else {
+            EventHandlers.searchAndSelect(active.verses[index]);
+            return;
+        }
+        update();
+    }
+    
+    /**
+     * Save, then sync the panel, the canvas overlay and the bookmark button
+     * @param {boolean} redraw - Whether to render afterwards
+     */
+    function update(redraw = true) {
+        save();
+        renderPanel();
+        
+        const verses = getActive().verses
+            .map(ref => DataLoader.findVerse(ref))
+            .filter(Boolean);
+        Renderer.setCollectionOverlay(overlayShown ? verses : null);
+        EventHandlers.refreshBookmarkButton();
+        
+        if (redraw) {
+            window.app.render();
+        }
+    }
+    
+    /**
+     * Fill the collection selector and the active collection's verse list
+     */
+    function renderPanel() {
+        if (!panel) return;
+        
+        selectEl.innerHTML = collections.map(c =>
+            `<option value="${Utils.escapeHtml(c.name)}">${Utils.escapeHtml(c.name)} (${c.verses.length})</option>`
+        ).join('');
+        selectEl.value = activeName;
+        overlayInput.checked = overlayShown;
+        
+        const active = getActive();
+        if (active.verses.length === 0) {
+            versesEl.innerHTML = '<p class="explanation">No verses yet - use ☆ Bookmark in the verse details.</p>';
+            return;
+        }
+        
+        versesEl.innerHTML = active.verses.map((ref, i) => {
+            const missing = !DataLoader.findVerse(ref);
+            return `
+                <div class="collection-verse${missing ? ' missing' : ''}" data-index="${i}"
+                     title="${missing ? 'Not in the loaded data' : 'Show on the canvas'}">
+                    <span class="collection-verse-ref">${i + 1}. ${Utils.escapeHtml(ref)}</span>
+                    <button data-action="up" title="Move up">↑</button>
+                    <button data-action="down" title="Move down">↓</button>
+                    <button data-action="remove" title="Remove">×</button>
+                </div>
+            `;
+        }).join('');
+    }
+    
+    /**
+     * Show a status line under the panel's buttons
+     * @param {string} message - Text to show ('' to clear)
+     * @param {boolean} isError - Style as an error
+     */
+    function setMessage(message, isError = false) {
+        if (!messageEl) return;
+        messageEl.textContent = message;
+        messageEl.classList.toggle('error', isError);
+    }
+    
+    /**
+     * Download every collection as JSON
+     */
+    function exportJson() {
+        const data = JSON.stringify({ format: EXPORT_FORMAT, version: 1, collections }, null, 2);
+        const blob = new Blob([data], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.download = 'bible-collections.json';
+        link.href = url;
+        link.click();
+        // Revoking straight away can cancel the download in some browsers
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+    
+    /**
+     * Read a file chosen for import
+     * @param {File} file - JSON file
+     */
+    function importFile(file) {
+        const reader = new FileReader();
+        reader.onload = () => importJson(reader.result);
+        reader.onerror = () => setMessage(`Could not read ${file.name}`, true);
+        reader.readAsText(file);
+    }
+    
+    /**
+     * Add the collections in an exported file
+     * Accepts an export, a list of collections or a single collection.
+     * Names already in use get a number added rather than replacing anything.
+     * @param {string} text - JSON text
+     * @returns {number} Number of collections imported (0 on error)
+     */
+    function importJson(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            setMessage(`Not valid JSON: ${error.message}`, true);
+            return 0;
+        }
+        
+        const list = Array.isArray(data) ? data : (data && data.collections) || [data];
+        const imported = parseCollections(list);
+        if (!imported || imported.length === 0) {
+            setMessage('No collections found - expected { name, verses: ["John 3:16", ...] }', true);
+            return 0;
+        }
+        
+        imported.forEach(collection => {
+            collection.name = uniqueName(collection.name);
+            collections.push(collection);
+        });
+        activeName = imported[0].name;
+        
+        const verseCount = imported.reduce((sum, c) => sum + c.verses.length, 0);
+        setMessage(`Imported ${imported.length} ${imported.length === 1 ? 'collection' : 'collections'} (${verseCount} verses)`);
+        update();
+        return imported.length;
+    }
+    
+    /**
+     * Check saved or imported collections
+     * @param {Array} list - Candidate { name, verses } objects
+     * @returns {Array|null} Collections with string names and references, or null if not a list
+     */
+    function parseCollections(list) {
+        if (!Array.isArray(list)) return null;
+        
+        return list
+            .filter(c => c && typeof c.name === 'string' && c.name.trim() && Array.isArray(c.verses))
+            .map(c => ({
+                name: c.name.trim(),
+                verses: Array.from(new Set(c.verses.filter(ref => typeof ref === 'string' && ref.trim())))
+            }));
+    }
+    
+    // Public API
+    return {
+        init,
+        show,
+        hide,
+        getActive,
+        setActive,
+        create,
+        rename,
+        remove,
+        has,
+        add,
+        removeVerse,
+        toggleVerse,
+        importJson
+    };
+})();
+
+// Make Collections globally available
+window.Collections = Collections;
\ No newline at end of file
@@ -0,0 +1,325 @@
+/**
+ * Color Scheme Module
+ * 
+ * Decides the color of each verse point for the "color by" selector:
+ * by book, by testament, by community (categorical palette) or by a
+ * network metric (sequential palette). Metric scores are computed in the
+ * statistics worker. Also keeps the #legend in step with the current mode.
+ * While focus mode is on, points are colored by hop distance instead.
+ */
+
+const ColorScheme = (function() {
+    'use strict';
+    
+    const MODES = {
+        book: { label: 'Book' },
+        testament: { label: 'Testament' },
+        community: { label: 'Community', metric: 'community', categorical: true },
+        degree: { label: 'Degree centrality', metric: 'degree' },
+        inDegree: { label: 'Referenced by (in-degree)', metric: 'inDegree' },
+        pagerank: { label: 'PageRank', metric: 'pagerank' },
+        eigenvector: { label: 'Eigenvector centrality', metric: 'eigenvector' },
+        authority: { label: 'HITS authority', metric: 'authority' },
+        betweenness: { label: 'Betweenness', metric: 'betweenness' },
+        clustering: { label: 'Clustering coefficient', metric: 'clustering' },
+        hub: { label: 'Hub score', metric: 'hub' }
+    };
+    
+    let mode = 'book';
+    let colors = null;        // Map of verse ID to color in metric modes
+    let legendData = null;    // What the legend shows for metric modes
+    let version = 0;          // Bumped whenever colors change
+    let pendingJob = null;
+    let testamentByBook = null;
+    let hopDistances = null;  // Map of verse ID to hop distance while focused
+    
+    /**
+     * Draw the legend for the starting (book) colors
+     * Other modes, including CONFIG.colorBy.mode, are applied with setMode.
+     */
+    function init() {
+        renderLegend();
+    }
+    
+    /**
+     * Switch the color mode
+     * Metric modes compute their scores first; the old colors stay until they're ready.
+     * 
+     * @param {string} newMode - Key of MODES
+     * @param {Object} settings - Statistics settings (weighted, seed, ...) for metric modes
+     * @returns {Promise<boolean>} True if the colors changed, false if superseded
+     *                             or the scores couldn't be computed (the
+     *                             previous mode is kept)
+     */
+    async function setMode(newMode, settings = {}) {
+        const definition = MODES[newMode];
+        if (!definition) {
+            throw new Error(`Unknown color mode "${newMode}"`);
+        }
+        
+        if (pendingJob) {
+            pendingJob.cancel();
+            pendingJob = null;
+        }
+        
+        if (!definition.metric) {
+            applyMode(newMode, null, null);
+            return true;
+        }
+        
+        renderLegend(`Computing ${definition.label.toLowerCase()}...`);
+        
+        const job = NetworkStats.getVerseScoresAsync(DataLoader.getVerses(), definition.metric, settings);
+        pendingJob = job;
+        
+        let scores;
+        try {
+            scores = await job.promise;
+        } catch (error) {
+            console.error(`Error computing ${definition.label.toLowerCase()} colors:`, error);
+            // Back to the previous mode's legend, unless a newer selection is computing
+            if (pendingJob === job) {
+                pendingJob = null;
+                renderLegend();
+            }
+            return false;
+        } finally {
+            if (pendingJob === job) pendingJob = null;
+        }
+        
+        // Cancelled by a newer selection
+        if (!scores) return false;
+        
+        if (definition.categorical) {
+            applyMode(newMode, ...buildCategoricalColors(scores));
+        } else {
+            applyMode(newMode, ...buildSequentialColors(scores));
+        }
+        return true;
+    }
+    
+    /**
+     * Make a mode current and redraw the legend
+     */
+    function applyMode(newMode, newColors, newLegendData) {
+        mode = newMode;
+        colors = newColors;
+        legendData = newLegendData;
+        version++;
+        renderLegend();
+    }
+    
+    /**
+     * Color by hop distance from a focused verse, overriding the mode
+     * @param {Map|null} hops - Verse ID to hop distance, or null to go back to the mode
+     */
+    function setHopDistances(hops) {
+        hopDistances = hops;
+        version++;
+        renderLegend();
+    }
+    
+    /**
+     * Color communities by size rank
+     * @param {Map} scores - Verse ID to community rank (0 = largest)
+     * @returns {Array} [colors, legend data]
+     */
+    function buildCategoricalColors(scores) {
+        const palette = CONFIG.colorBy.categorical;
+        const sizes = [];
+        const result = new Map();
+        
+        scores.forEach((rank, id) => {
+            sizes[rank] = (sizes[rank] || 0) + 1;
+            result.set(id, rank < palette.length ? palette[rank] : CONFIG.colorBy.otherColor);
+        });
+        
+        return [result, { sizes, communityCount: sizes.length }];
+    }
+    
+    /**
+     * Color metric scores along the sequential palette
+     * Distinct values are spread evenly by rank, so skewed metrics still
+     * use the whole palette.
+     * 
+     * @param {Map} scores - Verse ID to score
+     * @returns {Array} [colors, legend data]
+     */
+    function buildSequentialColors(scores) {
+        const distinct = Array.from(new Set(scores.values())).sort((a, b) => a - b);
+        const rankOf = new Map(distinct.map((value, i) => [value, i]));
+        const steps = Math.max(distinct.length - 1, 1);
+        const result = new Map();
+        
+        scores.forEach((value, id) => {
+            result.set(id, interpolate(CONFIG.colorBy.sequential, rankOf.get(value) / steps));
+        });
+        
+        return [result, { min: distinct[0], max: distinct[distinct.length - 1] }];
+    }
+    
+    /**
+     * Interpolate along a list of hex color stops
+     * @param {Array} stops - Hex colors, low to high
+     * @param {number} t - Position from 0 to 1
+     * @returns {string} Hex color
+     */
+    function interpolate(stops, t) {
+        const position = Math.min(Math.max(t, 0), 1) * (stops.length - 1);
+        const index = Math.min(Math.floor(position), stops.length - 2);
+        const fraction = position - index;
+        
+        const from = parseInt(stops[index].slice(1), 16);
+        const to = parseInt(stops[index + 1].slice(1), 16);
+        
+        let hex = '#';
+        for (const shift of [16, 8, 0]) {
+            const a = (from >> shift) & 255;
+            const b = (to >> shift) & 255;
+            hex += Math.round(a + (b - a) * fraction).toString(16).padStart(2, '0');
+        }
+        return hex;
+    }
+    
+    /**
+     * Get the color for a verse point in the current mode
+     * @param {Object} verse - Verse object
+     * @returns {string} Hex color
+     */
+    function getColor(verse) {
+        if (hopDistances) {
+            const palette = CONFIG.focus.hopColors;
+            const hop = hopDistances.get(verse.id);
+            return hop === undefined ? CONFIG.colorBy.otherColor : palette[Math.min(hop, palette.length - 1)];
+        }
+        
+        switch (mode) {
+            case 'book':
+                return CONFIG.bookColors[verse.book] || CONFIG.defaultColor;
+            case 'testament':
+                return CONFIG.colorBy.testament[getTestament(verse.book)] || CONFIG.defaultColor;
+            default:
+                return colors.get(verse.id) || CONFIG.colorBy.otherColor;
+        }
+    }
+    
+    /**
+     * Look up a book's testament
+     * @param {string} book - Book code
+     * @returns {string} 'OT', 'NT' or undefined
+     */
+    function getTestament(book) {
+        if (!testamentByBook) {
+            testamentByBook = new Map(CONFIG.books.map(b => [b.code, b.testament]));
+        }
+        return testamentByBook.get(book);
+    }
+    
+    /**
+     * Render the color section of the legend
+     * @param {string} message - Optional status line (e.g. while computing)
+     */
+    function renderLegend(message) {
+        const container = document.getElementById('legend-colors');
+        if (!container) return;
+        
+        if (hopDistances) {
+            const maxHop = Math.max(...hopDistances.values());
+            const items = [legendItem(CONFIG.focus.hopColors[0], 'Focused verse')];
+            for (let hop = 1; hop <= maxHop; hop++) {
+                items.push(legendItem(CONFIG.focus.hopColors[hop], `${hop} ${hop === 1 ? 'hop' : 'hops'} away`));
+            }
+            container.innerHTML = `
+                <div class="legend-title">Color: Hop distance</div>
+                ${items.join('')}
+            `;
+            return;
+        }
+        
+        let body;
+        switch (mode) {
+            case 'book': {
+                const books = CONFIG.books.filter(b => DataLoader.getVersesByBook(b.code).length > 0);
+                const first = books[0];
+                const last = books[books.length - 1];
+                body = `
+                    <div class="legend-strip">
+                        ${books.map(b => `<span style="background: ${CONFIG.bookColors[b.code] || CONFIG.defaultColor};" title="${b.name}"></span>`).join('')}
+                    </div>
+                    <div class="legend-range">
+                        <span>${first ? first.name : ''}</span>
+                        <span>${last ? last.name : ''}</span>
+                    </div>
+                `;
+                break;
+            }
+            case 'testament':
+                body = ['OT', 'NT'].map(t => legendItem(
+                    CONFIG.colorBy.testament[t],
+                    t === 'OT' ? 'Old Testament' : 'New Testament'
+                )).join('');
+                break;
+            case 'community': {
+                const palette = CONFIG.colorBy.categorical;
+                body = legendData.sizes.slice(0, palette.length)
+                    .map((size, i) => legendItem(palette[i], `Community ${i + 1} (${size.toLocaleString()})`))
+                    .join('');
+                if (legendData.communityCount > palette.length) {
+                    body += legendItem(CONFIG.colorBy.otherColor, `${legendData.communityCount - palette.length} smaller communities`);
+                }
+                break;
+            }
+            default:
+                body = `
+                    <div class="legend-strip" style="background: linear-gradient(to right, ${CONFIG.colorBy.sequential.join(', ')});"></div>
+                    <div class="legend-range">
+                        <span>${formatScore(legendData.min)}</span>
+                        <span>${formatScore(legendData.max)}</span>
+                    </div>
+                `;
+        }
+        
+        container.innerHTML = `
+            <div class="legend-title">Color: ${MODES[mode].label}</div>
+            ${body}
+            ${message ? `<div class="legend-message">${message}</div>` : ''}
+        `;
+    }
+    
+    /**
+     * Build a single swatch row
+     */
+    function legendItem(color, label) {
+        return `
+            <div class="legend-item">
+                <div class="legend-color" style="background: ${color};"></div>
+                <span>${label}</span>
+            </div>
+        `;
+    }
+    
+    /**
+     * Format a metric score for the legend range
+     * @param {number} value - Score
+     * @returns {string} Formatted score
+     */
+    function formatScore(value) {
+        if (value === undefined) return '';
+        return Number.isInteger(value) ? value.toLocaleString() : value.toFixed(3);
+    }
+    
+    // Public API
+    return {
+        init,
+        setMode,
+        setHopDistances,
+        getColor,
+        interpolate,
+        getMode: () => mode,
+        isComputing: () => pendingJob !== null,
+        getVersion: () => version
+    };
+})();
+
+// Make ColorScheme globally available
+window.ColorScheme = ColorScheme;
\ No newline at end of file
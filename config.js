@@ -9,12 +9,143 @@ const CONFIG = {
     // Data file location
     dataFile: 'merged_bible_references.json',
     
+    // Cross-reference datasets to merge, replacing dataFile when not empty.
+    // Each is { id, name, file, format }; format is 'json' (the native
+    // { id: { v, r } } file), 'openbible' (OpenBible.info / TSK TSV with
+    // votes), 'csv' (from, to, weight edge list) or 'osis' (crossReference
+    // notes), detected from the file when left out. Where sources share a
+    // reference the largest weight is used.
+    dataSources: [
+        // { id: 'merged', name: 'Merged', file: 'merged_bible_references.json' },
+        // { id: 'openbible', name: 'OpenBible.info', file: 'cross_references.txt', format: 'openbible' }
+    ],
+    
     // Canvas rendering settings
     canvas: {
         radiusMultiplier: 0.35,  // Radius as fraction of smallest dimension
+        backend: 'canvas2d',     // 'canvas2d' or 'webgl' (falls back to canvas2d if unavailable)
         minScale: 0.5,           // Minimum zoom level
-        maxScale: 3.0,           // Maximum zoom level
+        maxScale: 50.0,          // Maximum zoom level
         zoomSpeed: 0.1,          // How fast to zoom in/out
+        transitionSpeed: 0.25,   // Share of the remaining zoom/pan covered per frame
+        dragThreshold: 4,        // Pixels moved before a press becomes a drag
+    },
+    
+    // WebGL backend settings
+    webgl: {
+        curveSegments: 4         // Line segments per bundled edge curve
+    },
+    
+    // Circular layout settings
+    layout: {
+        mode: 'canonical',       // 'ring' (even spacing), 'canonical' (grouped by book) or 'force'
+        bookGap: 0.004,          // Radians left between consecutive books
+        testamentGap: 0.08,      // Radians left between the Testaments
+        maxGapFraction: 0.5,     // Gaps never take more than this share of the circle
+        arcOffset: 12,           // Distance of book arcs outside the ring (px)
+        arcWidth: 5,             // Thickness of book arcs (px)
+        labelOffset: 24,         // Distance of book labels outside the ring (px)
+        minLabelArc: 18          // Shortest arc (px) that still gets a label
+    },
+    
+    // Force-directed layout (the "Force" layout mode)
+    forceLayout: {
+        theta: 0.9,              // Barnes-Hut accuracy (lower = more exact, slower)
+        charge: -30,             // Repulsion between verses (negative pushes apart)
+        linkDistance: 30,        // Rest length of a reference
+        gravity: 0.02,           // Pull toward the middle
+        communityStrength: 0.05, // Pull toward the middle of the verse's community
+        velocityDecay: 0.4,      // Share of velocity lost each tick
+        iterations: 300,         // Ticks to cool from the hottest start to settled
+        alphaMin: 0.001,         // Heat at which the layout counts as settled
+        reheatAlpha: 0.3,        // Starting heat when most positions are already known
+        dragAlpha: 0.3,          // Heat kept up while a verse is dragged
+        frameBudget: 12,         // Milliseconds of layout work per animation frame
+        storageKey: 'bibleCrossRefs.forceLayout'
+    },
+    
+    // Book-to-book chord diagram and matrix
+    bookMatrix: {
+        view: 'chord',           // 'chord' or 'matrix'
+        chordSize: 640,          // Chord diagram width and height (px)
+        arcWidth: 14,            // Thickness of the book arcs (px)
+        padAngle: 0.006,         // Radians left between book arcs
+        minLabelAngle: 0.03,     // Narrowest arc (radians) that still gets a label
+        chordOpacity: 0.55,
+        cellSize: 9,             // Matrix cell size (px)
+        labelSpace: 36,          // Room for book codes beside the matrix (px)
+        topPairs: 5              // Verse pairs listed when hovering
+    },
+    
+    // Network statistics settings
+    stats: {
+        betweennessSamples: 200, // Pivot verses for estimated betweenness (0 = exact, slow)
+        seed: 1,                 // Seed for sampled statistics, so results can be reproduced
+        damping: 0.85,           // PageRank damping factor (chance of following a reference)
+        communityAlgorithm: 'louvain', // 'louvain' or 'labelPropagation'
+        resolution: 1            // Louvain resolution (higher = smaller communities)
+    },
+    
+    // Verse filters
+    filters: {
+        // Book presets: a whole Testament or a list of book codes
+        presets: {
+            OT: { label: 'Old Testament', testament: 'OT' },
+            NT: { label: 'New Testament', testament: 'NT' },
+            gospels: { label: 'Gospels', books: ['MAT', 'MAR', 'LUK', 'JOH'] },
+            pauline: {
+                label: 'Pauline Epistles',
+                books: ['ROM', '1CO', '2CO', 'GAL', 'EPH', 'PHP', 'COL', '1TH', '2TH', '1TI', '2TI', 'TIT', 'PHM']
+            },
+            prophets: {
+                label: 'Prophets',
+                books: ['ISA', 'JER', 'LAM', 'EZE', 'DAN', 'HOS', 'JOE', 'AMO', 'OBA', 'JON', 'MIC', 'NAH', 'HAB', 'ZEP', 'HAG', 'ZEC', 'MAL']
+            }
+        },
+        minEdgeWeight: null      // Default minimum reference weight (null = none; adjustable in the UI)
+    },
+    
+    // Shareable state in the URL hash
+    urlState: {
+        updateDelay: 300         // Wait (ms) after a change before rewriting the URL
+    },
+    
+    // Back/forward through selected verses, and saved verse collections
+    history: {
+        limit: 100               // Verses remembered for the info panel's back/forward buttons
+    },
+    collections: {
+        storageKey: 'bibleCrossRefs.collections',
+        defaultName: 'Bookmarks' // Collection created when there are none
+    },
+    
+    // Verse text shown in the info panel and reference previews, read from
+    // local files in the project folder (JSON, CSV/TSV, OSIS XML or USFM)
+    // keyed by verse ID or reference. The format is taken from the file
+    // extension unless given.
+    translations: {
+        files: [
+            // { id: 'kjv', name: 'King James Version', file: 'translations/kjv.json' },
+            // { id: 'web', name: 'World English Bible', file: 'translations/web.usfm', format: 'usfm' }
+        ],
+        storageKey: 'bibleCrossRefs.translations'
+    },
+    
+    // Search settings
+    search: {
+        maxSuggestions: 12       // Rows shown in the autocomplete dropdown
+    },
+    
+    // Focus mode: a verse's neighborhood laid out on its own
+    focus: {
+        hops: 1,                 // Default neighborhood radius (1-3 hops)
+        layout: 'radial',        // 'radial' (rings by hop distance) or 'force'
+        maxVerses: 3000,         // Larger neighborhoods drop their outermost hop
+        maxForceVerses: 600,     // Larger neighborhoods use the radial layout instead
+        forceIterations: 150,
+        edgeOpacity: 0.35,       // Minimum edge opacity while focused
+        // Focused verse first, then 1, 2 and 3 hops away
+        hopColors: ['#ff6b6b', '#ffd93d', '#6bcf7f', '#6ba3ff']
     },
     
     // Visual settings
@@ -29,8 +160,21 @@ const CONFIG = {
         // Reference line styles
         referenceLine: {
             width: 0.5,
-            selectedColor: 'rgba(255, 200, 100, 0.15)',
-            hoveredColor: 'rgba(107, 163, 255, 0.25)'
+            maxWidth: 2.5,           // Width of the strongest edge
+            minOpacity: 0.25,        // Opacity of the weakest edge (strongest is 1)
+            selectedColor: 'rgba(255, 200, 100, 0.35)',
+            hoveredColor: 'rgba(107, 163, 255, 0.5)',
+            incomingColor: 'rgba(120, 220, 160, 0.45)', // "Referenced by" lines of the selected/hovered verse
+            arrowSize: 6             // Arrowhead length showing reference direction (0 = none)
+        },
+        
+        // "All edges" view: every reference drawn as a curve bundled by book
+        allEdges: {
+            opacity: 0.15,           // Default opacity of the strongest edges (adjustable in the UI)
+            bundling: 0.85,          // 0 = straight chords, 1 = every curve through the center
+            sameBookCurve: 0.3,      // How far curves within one book dip toward the center
+            weightLevels: 4,         // Number of weight bands drawn with distinct opacity
+            lineWidth: 0.5
         },
         
         // Glow effects
@@ -40,8 +184,27 @@ const CONFIG = {
             lineWidth: 2
         },
         
+        // Path finder highlight
+        path: {
+            color: '#7cf29c',
+            width: 3,
+            badgeRadius: 9,          // Numbered circle drawn on each verse of the path
+            badgeFont: 'bold 11px "Segoe UI"',
+            badgeTextColor: '#0a0e27'
+        },
+        
+        // Verses of the active collection, joined in reading order
+        collection: {
+            color: '#ffb347',
+            width: 1.5,
+            dash: [6, 4],
+            ringRadius: 8,           // Ring drawn around each verse of the collection
+            ringWidth: 2
+        },
+        
         // Hit detection
         hitRadius: 10,  // Distance in pixels for mouse interaction
+        indexCellSize: 0.02,  // Hit-test grid cell, as a fraction of the ring radius
         
         // Text labels
         label: {
@@ -51,6 +214,80 @@ const CONFIG = {
         }
     },
     
+    // Canonical book order with full names and common abbreviations.
+    // Codes match bookColors; aliases are lowercase with spaces and dots removed.
+    books: [
+        // Old Testament
+        { code: 'GEN', name: 'Genesis', testament: 'OT', aliases: ['gn', 'ge'] },
+        { code: 'EXO', name: 'Exodus', testament: 'OT', aliases: ['ex', 'exod'] },
+        { code: 'LEV', name: 'Leviticus', testament: 'OT', aliases: ['lv', 'le'] },
+        { code: 'NUM', name: 'Numbers', testament: 'OT', aliases: ['nm', 'nu'] },
+        { code: 'DEU', name: 'Deuteronomy', testament: 'OT', aliases: ['dt', 'deut'] },
+        { code: 'JOS', name: 'Joshua', testament: 'OT', aliases: ['josh', 'jsh'] },
+        { code: 'JDG', name: 'Judges', testament: 'OT', aliases: ['judg', 'jg'] },
+        { code: 'RUT', name: 'Ruth', testament: 'OT', aliases: ['ru', 'rth'] },
+        { code: '1SA', name: '1 Samuel', testament: 'OT', aliases: ['1sam', '1sm'] },
+        { code: '2SA', name: '2 Samuel', testament: 'OT', aliases: ['2sam', '2sm'] },
+        { code: '1KI', name: '1 Kings', testament: 'OT', aliases: ['1kgs', '1kg'] },
+        { code: '2KI', name: '2 Kings', testament: 'OT', aliases: ['2kgs', '2kg'] },
+        { code: '1CH', name: '1 Chronicles', testament: 'OT', aliases: ['1chr', '1chron'] },
+        { code: '2CH', name: '2 Chronicles', testament: 'OT', aliases: ['2chr', '2chron'] },
+        { code: 'EZR', name: 'Ezra', testament: 'OT', aliases: [] },
+        { code: 'NEH', name: 'Nehemiah', testament: 'OT', aliases: ['ne'] },
+        { code: 'EST', name: 'Esther', testament: 'OT', aliases: ['es', 'esth'] },
+        { code: 'JOB', name: 'Job', testament: 'OT', aliases: ['jb'] },
+        { code: 'PSA', name: 'Psalms', testament: 'OT', aliases: ['ps', 'psalm', 'pss', 'psm'] },
+        { code: 'PRO', name: 'Proverbs', testament: 'OT', aliases: ['pr', 'prov', 'prv'] },
+        { code: 'ECC', name: 'Ecclesiastes', testament: 'OT', aliases: ['ec', 'eccl', 'qoheleth'] },
+        { code: 'SOS', name: 'Song of Solomon', testament: 'OT', aliases: ['song', 'sng', 'songofsongs', 'canticles', 'ss'] },
+        { code: 'ISA', name: 'Isaiah', testament: 'OT', aliases: ['is'] },
+        { code: 'JER', name: 'Jeremiah', testament: 'OT', aliases: ['jr'] },
+        { code: 'LAM', name: 'Lamentations', testament: 'OT', aliases: ['la'] },
+        { code: 'EZE', name: 'Ezekiel', testament: 'OT', aliases: ['ezk', 'ezek'] },
+        { code: 'DAN', name: 'Daniel', testament: 'OT', aliases: ['dn', 'da'] },
+        { code: 'HOS', name: 'Hosea', testament: 'OT', aliases: ['ho'] },
+        { code: 'JOE', name: 'Joel', testament: 'OT', aliases: ['jl', 'jol'] },
+        { code: 'AMO', name: 'Amos', testament: 'OT', aliases: ['am'] },
+        { code: 'OBA', name: 'Obadiah', testament: 'OT', aliases: ['ob', 'obad'] },
+        { code: 'JON', name: 'Jonah', testament: 'OT', aliases: ['jnh'] },
+        { code: 'MIC', name: 'Micah', testament: 'OT', aliases: ['mc'] },
+        { code: 'NAH', name: 'Nahum', testament: 'OT', aliases: ['na', 'nam'] },
+        { code: 'HAB', name: 'Habakkuk', testament: 'OT', aliases: ['hb'] },
+        { code: 'ZEP', name: 'Zephaniah', testament: 'OT', aliases: ['zp', 'zeph'] },
+        { code: 'HAG', name: 'Haggai', testament: 'OT', aliases: ['hg'] },
+        { code: 'ZEC', name: 'Zechariah', testament: 'OT', aliases: ['zc', 'zech'] },
+        { code: 'MAL', name: 'Malachi', testament: 'OT', aliases: ['ml'] },
+        
+        // New Testament
+        { code: 'MAT', name: 'Matthew', testament: 'NT', aliases: ['mt', 'matt'] },
+        { code: 'MAR', name: 'Mark', testament: 'NT', aliases: ['mk', 'mr', 'mrk'] },
+        { code: 'LUK', name: 'Luke', testament: 'NT', aliases: ['lk', 'lu'] },
+        { code: 'JOH', name: 'John', testament: 'NT', aliases: ['jn', 'jhn'] },
+        { code: 'ACT', name: 'Acts', testament: 'NT', aliases: ['ac'] },
+        { code: 'ROM', name: 'Romans', testament: 'NT', aliases: ['rm', 'ro'] },
+        { code: '1CO', name: '1 Corinthians', testament: 'NT', aliases: ['1cor'] },
+        { code: '2CO', name: '2 Corinthians', testament: 'NT', aliases: ['2cor'] },
+        { code: 'GAL', name: 'Galatians', testament: 'NT', aliases: ['ga'] },
+        { code: 'EPH', name: 'Ephesians', testament: 'NT', aliases: ['ephes'] },
+        { code: 'PHP', name: 'Philippians', testament: 'NT', aliases: ['phil', 'php', 'pp'] },
+        { code: 'COL', name: 'Colossians', testament: 'NT', aliases: [] },
+        { code: '1TH', name: '1 Thessalonians', testament: 'NT', aliases: ['1thess', '1ths'] },
+        { code: '2TH', name: '2 Thessalonians', testament: 'NT', aliases: ['2thess', '2ths'] },
+        { code: '1TI', name: '1 Timothy', testament: 'NT', aliases: ['1tim', '1tm'] },
+        { code: '2TI', name: '2 Timothy', testament: 'NT', aliases: ['2tim', '2tm'] },
+        { code: 'TIT', name: 'Titus', testament: 'NT', aliases: [] },
+        { code: 'PHM', name: 'Philemon', testament: 'NT', aliases: ['philem', 'phlm'] },
+        { code: 'HEB', name: 'Hebrews', testament: 'NT', aliases: [] },
+        { code: 'JAM', name: 'James', testament: 'NT', aliases: ['jas', 'jm'] },
+        { code: '1PE', name: '1 Peter', testament: 'NT', aliases: ['1pet', '1pt'] },
+        { code: '2PE', name: '2 Peter', testament: 'NT', aliases: ['2pet', '2pt'] },
+        { code: '1JO', name: '1 John', testament: 'NT', aliases: ['1jn', '1jhn'] },
+        { code: '2JO', name: '2 John', testament: 'NT', aliases: ['2jn', '2jhn'] },
+        { code: '3JO', name: '3 John', testament: 'NT', aliases: ['3jn', '3jhn'] },
+        { code: 'JUD', name: 'Jude', testament: 'NT', aliases: ['jd'] },
+        { code: 'REV', name: 'Revelation', testament: 'NT', aliases: ['rv', 're', 'revelations', 'apocalypse'] }
+    ],
+    
     // Book color scheme
     bookColors: {
         // Old Testament
@@ -83,6 +320,21 @@ const CONFIG = {
         selected: '#ff6b6b',
         hovered: '#ffd93d',
         normal: null  // Use book color
+    },
+    
+    // "Color by" palettes
+    colorBy: {
+        mode: 'book',            // 'book', 'testament', 'community', or a metric: 'degree', 'inDegree', 'pagerank',
+                                 // 'eigenvector', 'authority', 'betweenness', 'clustering' or 'hub'
+        testament: { OT: '#e0a458', NT: '#6ba3ff' },
+        // Largest communities first; the rest use otherColor
+        categorical: [
+            '#e6194b', '#3cb44b', '#ffe119', '#4363d8', '#f58231', '#911eb4',
+            '#46f0f0', '#f032e6', '#bcf60c', '#fabebe', '#008080', '#e6beff'
+        ],
+        otherColor: '#4a5568',
+        // Low to high, spread over each metric's ranked values
+        sequential: ['#313695', '#4575b4', '#74add1', '#fee090', '#f46d43', '#d73027']
     }
 };
 
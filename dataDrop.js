@@ -0,0 +1,263 @@
+/**
+ * Data Drop Module
+ * 
+ * Shown when the data files can't be fetched (most often because the page
+ * was opened straight from disk, where browsers block fetch). The user
+ * drops one or more data files onto the canvas or picks them with a file
+ * input; they are read by DataImporters, checked, and merged by
+ * DataLoader.processData so the app can start without a reload. Problems
+ * found in the files (a verse missing its "v", references to unknown
+ * IDs, repeated IDs, ...) are listed by line before anything is loaded.
+ */
+
+const DataDrop = (function() {
+    'use strict';
+    
+    const MAX_PROBLEMS_SHOWN = 50;
+    
+    let container, overlay, reportEl, fileInput;
+    let checked = null;      // Checked files waiting for "Load Anyway"
+    let resolveRequest = null;
+    
+    /**
+     * Ask for data files and wait until they're loaded
+     * @param {Array} errors - Why the configured files couldn't be loaded
+     * @returns {Promise} Resolves once DataLoader has data
+     */
+    function request(errors = []) {
+        return new Promise(resolve => {
+            resolveRequest = resolve;
+            show(errors);
+        });
+    }
+    
+    /**
+     * Create the overlay and start listening for dropped files
+     * @param {Array} errors - Load errors to explain
+     */
+    function show(errors) {
+        container = document.getElementById('canvas-container') || document.body;
+        
+        overlay = document.createElement('div');
+        overlay.id = 'data-drop';
+        overlay.className = 'data-drop';
+        overlay.innerHTML = `
+            <div class="data-drop-box">
+                <h3>Load Cross-Reference Data</h3>
+                <div class="data-drop-reason">
+                    ${errors.map(error => `<div>Couldn't load ${Utils.escapeHtml(error)}</div>`).join('')}
+                    <div>${location.protocol === 'file:' ?
+                        'Browsers block loading files this way when the page is opened straight from disk (file://).' :
+                        'Check that the data files are in the same folder as this page.'}</div>
+                </div>
+                <p>Drop a data file here, or</p>
+                <button id="data-drop-pick">Choose File…</button>
+                <input type="file" id="data-drop-file" multiple accept=".json,.txt,.tsv,.csv,.xml,.osis">
+                <div class="data-drop-formats">
+                    ${DataImporters.getFormats().map(format => Utils.escapeHtml(format.label)).join(' · ')}
+                </div>
+                <div id="data-drop-report" class="data-drop-report"></div>
+            </div>
+        `;
+        container.appendChild(overlay);
+        
+        reportEl = document.getElementById('data-drop-report');
+        fileInput = document.getElementById('data-drop-file');
+        fileInput.style.display = 'none';
+        
+        document.getElementById('data-drop-pick').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', () => {
+            handleFiles(fileInput.files);
+            fileInput.value = '';
+        });
+        reportEl.addEventListener('click', handleReportClick);
+        
+        container.addEventListener('dragover', handleDragOver);
+        container.addEventListener('dragleave', handleDragLeave);
+        container.addEventListener('drop', handleDrop);
+    }
+    
+    /**
+     * Remove the overlay and its listeners
+     */
+    function hide() {
+        container.removeEventListener('dragover', handleDragOver);
+        container.removeEventListener('dragleave', handleDragLeave);
+        container.removeEventListener('drop', handleDrop);
+        overlay.remove();
+        overlay = null;
+        checked = null;
+    }
+    
+    /**
+     * Accept the drag (and show that a drop will work)
+     */
+    function handleDragOver(e) {
+        e.preventDefault();
+        overlay.classList.add('dragging');
+    }
+    
+    /**
+     * Stop highlighting once the drag leaves the canvas area
+     */
+    function handleDragLeave(e) {
+        if (!container.contains(e.relatedTarget)) {
+            overlay.classList.remove('dragging');
+        }
+    }
+    
+    /**
+     * Read the dropped files instead of letting the browser open them
+     */
+    function handleDrop(e) {
+        e.preventDefault();
+        overlay.classList.remove('dragging');
+        if (e.dataTransfer) handleFiles(e.dataTransfer.files);
+    }
+    
+    /**
+     * Read and check chosen or dropped files
+     * @param {FileList|Array} fileList - Files to load together
+     */
+    function handleFiles(fileList) {
+        const files = Array.from(fileList || []);
+        if (files.length === 0) return;
+        
+        checked = null;
+        reportEl.innerHTML = `<div class="data-drop-status">Checking ${Utils.escapeHtml(files.map(f => f.name).join(', '))}…</div>`;
+        
+        Promise.all(files.map(readFile)).then(check);
+    }
+    
+    /**
+     * Read a file as text
+     * @param {File} file - File to read
+     * @returns {Promise<Object>} { name, text } or { name, error }
+     */
+    function readFile(file) {
+        return new Promise(resolve => {
+            const reader = new FileReader();
+            reader.onload = () => resolve({ name: file.name, text: reader.result });
+            reader.onerror = () => resolve({ name: file.name, error: 'The file could not be read' });
+            reader.readAsText(file);
+        });
+    }
+    
+    /**
+     * Parse and check file contents; load straight away if nothing is wrong
+     * @param {Array} files - { name, text } or { name, error }
+     * @returns {Array} Results: { name, dataset } or { name, error }
+     */
+    function check(files) {
+        const results = files.map(({ name, text, error }) => {
+            if (error) return { name, error };
+            try {
+                return { name, dataset: DataImporters.parse(text, name, undefined, { checkLines: true }) };
+            } catch (parseError) {
+                console.error(`Error reading data file '${name}':`, parseError);
+                return { name, error: parseError.message };
+            }
+        });
+        
+        if (results.every(result => result.dataset && result.dataset.problems.length === 0)) {
+            load(results);
+        } else {
+            checked = results.filter(result => result.dataset);
+            renderReport(results);
+        }
+        return results;
+    }
+    
+    /**
+     * List what's wrong with each file, offering to load what could be read
+     * @param {Array} results - Check results
+     */
+    function renderReport(results) {
+        const sections = results.map(({ name, dataset, error }) => {
+            if (error) {
+                return `
+                    <div class="data-drop-file error">${Utils.escapeHtml(name)}: ${Utils.escapeHtml(error)}</div>
+                `;
+            }
+            
+            const { problems, verses, edges } = dataset;
+            const count = verses.length > 0 ?
+                `${verses.length.toLocaleString()} verses` :
+                `${edges.length.toLocaleString()} references`;
+            const more = problems.length > MAX_PROBLEMS_SHOWN ?
+                `<li class="more">…and ${(problems.length - MAX_PROBLEMS_SHOWN).toLocaleString()} more</li>` :
+                '';
+            
+            return `
+                <div class="data-drop-file">
+                    ${Utils.escapeHtml(name)}: ${count}, ${problems.length === 0 ? 'no problems' : `${problems.length.toLocaleString()} ${problems.length === 1 ? 'problem' : 'problems'}`}
+                </div>
+                <ul class="data-drop-problems">
+                    ${problems.slice(0, MAX_PROBLEMS_SHOWN).map(problem => `
+                        <li>${problem.line ? `<span class="data-drop-line">Line ${problem.line}</span> ` : ''}${Utils.escapeHtml(problem.message)}</li>
+                    `).join('')}
+                    ${more}
+                </ul>
+            `;
+        });
+        
+        const actions = checked.length > 0 ?
+            '<button data-action="load" title="Skip the entries listed above">Load Anyway</button>' :
+            '';
+        
+        reportEl.innerHTML = `
+            ${sections.join('')}
+            <div class="data-drop-actions">
+                ${actions}
+                <button data-action="pick">Choose Another File</button>
+            </div>
+        `;
+    }
+    
+    /**
+     * Handle the report's buttons
+     */
+    function handleReportClick(e) {
+        const button = e.target.closest('button[data-action]');
+        if (!button) return;
+        
+        if (button.dataset.action === 'load' && checked) {
+            load(checked);
+        } else if (button.dataset.action === 'pick') {
+            fileInput.click();
+        }
+    }
+    
+    /**
+     * Hand the checked datasets to DataLoader and let the app start
+     * @param {Array} results - { name, dataset } for each file
+     */
+    function load(results) {
+        try {
+            DataLoader.processData(results.map(({ name, dataset }) => ({
+                source: { id: name, name: name.replace(/\.[^.]+$/, ''), file: name },
+                ...dataset
+            })));
+        } catch (error) {
+            console.error('Error processing dropped data:', error);
+            reportEl.innerHTML = `<div class="data-drop-file error">Could not use the data: ${Utils.escapeHtml(error.message)}</div>`;
+            return;
+        }
+        
+        console.log(`Loaded data from ${results.map(result => result.name).join(', ')}`);
+        hide();
+        if (resolveRequest) {
+            resolveRequest();
+            resolveRequest = null;
+        }
+    }
+    
+    // Public API
+    return {
+        request,
+        check
+    };
+})();
+
+// Make DataDrop globally available
+window.DataDrop = DataDrop;
\ No newline at end of file
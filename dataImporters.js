@@ -0,0 +1,525 @@
+/**
+ * Data Importers Module
+ * 
+ * Reads cross-reference datasets in several formats into one common shape
+ * that DataLoader.processData merges:
+ * 
+ *     { verses: [{ ref, id }], edges: [{ from, to, weight }], skipped, problems }
+ * 
+ * References are canonical "BOOK C V" strings (e.g. "JOH 3 16"). Only the
+ * native format has verse IDs of its own; other formats list verses
+ * through their edges. `skipped` counts entries that could not be read
+ * and `problems` ({ line, message }) says what was wrong with them.
+ * 
+ * Formats:
+ * - json: the native { id: { v, r: { refId: weight } } } file
+ * - openbible: OpenBible.info's Treasury of Scripture Knowledge TSV
+ *   (From Verse, To Verse, Votes), votes becoming the edge weight
+ * - csv: an edge list with from, to and optional weight columns
+ * - osis: OSIS XML crossReference notes
+ */
+
+const DataImporters = (function() {
+    'use strict';
+    
+    const FORMATS = {
+        json: { label: 'Cross-reference JSON', extensions: ['json'], parse: importJson },
+        openbible: { label: 'OpenBible.info / TSK TSV', extensions: ['tsv', 'txt'], parse: importOpenBible },
+        csv: { label: 'CSV edge list', extensions: ['csv'], parse: importCsv },
+        osis: { label: 'OSIS cross-references', extensions: ['xml', 'osis'], parse: importOsis }
+    };
+    
+    // Header names recognized in CSV edge lists
+    const COLUMNS = {
+        from: ['from', 'source', 'from verse', 'from_verse', 'verse'],
+        to: ['to', 'target', 'to verse', 'to_verse', 'reference', 'ref'],
+        weight: ['weight', 'votes', 'count', 'score']
+    };
+    
+    /**
+     * Read a dataset
+     * With options.checkLines, native JSON is read by a slower parser that
+     * knows the line of every entry, so problems point at their line and
+     * repeated verse IDs are caught.
+     * 
+     * @param {string} text - File contents
+     * @param {string} fileName - File name, used to pick the format
+     * @param {string} format - Format name (detected when omitted)
+     * @param {Object} options - { checkLines }
+     * @returns {Object} { verses, edges, skipped, problems: [{ line, message }], format }
+     */
+    function parse(text, fileName = '', format, options = {}) {
+        const name = format || detectFormat(fileName, text);
+        if (!FORMATS[name]) {
+            throw new Error(`Unknown data format "${name}"`);
+        }
+        
+        const dataset = FORMATS[name].parse(text, createReferenceReader(), options);
+        if (dataset.verses.length === 0 && dataset.edges.length === 0) {
+            throw new Error(`No cross-references found in ${FORMATS[name].label}`);
+        }
+        
+        return { problems: [], ...dataset, format: name };
+    }
+    
+    /**
+     * Pick a format from the file extension, or else from the contents
+     * @param {string} fileName - File name
+     * @param {string} text - File contents
+     * @returns {string} Format name
+     */
+    function detectFormat(fileName, text) {
+        const start = text.trimStart();
+        if (start.startsWith('{')) return 'json';
+        if (start.startsWith('<')) return 'osis';
+        
+        const extension = fileName.includes('.') ? fileName.split('.').pop().toLowerCase() : '';
+        const byExtension = Object.keys(FORMATS).find(name => (FORMATS[name].extensions || []).includes(extension));
+        if (byExtension) return byExtension;
+        
+        const firstLine = start.split('\n', 1)[0];
+        return firstLine.includes('\t') ? 'openbible' : 'csv';
+    }
+    
+    /**
+     * Add an importer for another format
+     * @param {string} name - Format name (as used in CONFIG.dataSources)
+     * @param {Object} format - { label, extensions: [...], parse(text, readReference, options) }
+     */
+    function registerFormat(name, format) {
+        FORMATS[name] = format;
+    }
+    
+    /**
+     * Create a reference reader with its own cache
+     * Datasets repeat the same references many times, so each distinct
+     * string is only parsed once per import.
+     * @returns {Function} Reference text to canonical "BOOK C V", or null
+     */
+    function createReferenceReader() {
+        const cache = new Map();
+        return text => {
+            if (!cache.has(text)) cache.set(text, parseReference(text));
+            return cache.get(text);
+        };
+    }
+    
+    /**
+     * Read a single verse reference in any common notation
+     * "GEN 1 1", "John 3:16", "Gen.1.1" and "KJV:Gen.1.1" all work; ranges
+     * ("Prov.8.22-Prov.8.30", "1 Cor 13:4-7") give their first verse.
+     * @param {string} text - Reference text
+     * @returns {string|null} Canonical "BOOK C V", or null if it names no single verse
+     */
+    function parseReference(text) {
+        const cleaned = String(text)
+            .trim()
+            .replace(/^[a-z0-9]+:(?=[1-3]?[a-z])/i, '')
+            .replace(/-(?=[1-3]?[a-z]).*$/i, '');
+        
+        const parsed = ReferenceParser.parse(cleaned);
+        const reference = parsed.error ? null : parsed.references[0];
+        if (!reference || reference.chapter === null || reference.verse === null) return null;
+        
+        return `${reference.book} ${reference.chapter} ${reference.verse}`;
+    }
+    
+    /**
+     * Read an edge weight
+     * Numbers (vote counts, confidence) are used as-is; anything else counts as 1
+     * @param {*} value - Raw weight
+     * @returns {number} Edge weight
+     */
+    function parseWeight(value) {
+        const weight = typeof value === 'string' ? parseFloat(value) : value;
+        return typeof weight === 'number' && isFinite(weight) ? weight : 1;
+    }
+    
+    /**
+     * Import the native JSON format
+     * Verse IDs are kept. Entries without a readable `v` are skipped, as are
+     * references to IDs missing from the file; each is listed in `problems`.
+     */
+    function importJson(text, readReference, options = {}) {
+        const { data, lineOf, problems } = options.checkLines ?
+            readJsonWithLines(text) :
+            { data: JSON.parse(text), lineOf: () => null, problems: [] };
+        
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error('Expected an object of verses keyed by ID');
+        }
+        
+        const verses = [];
+        const edges = [];
+        const refById = new Map();
+        const idByRef = new Map();
+        let skipped = problems.length;
+        
+        const report = (line, message) => {
+            problems.push({ line, message });
+            skipped++;
+        };
+        
+        Object.entries(data).forEach(([id, entry]) => {
+            if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+                report(lineOf(data, id), `Verse "${id}" is not an object`);
+                return;
+            }
+            if (typeof entry.v !== 'string' || !entry.v.trim()) {
+                report(lineOf(data, id), `Verse "${id}" is missing its "v" reference`);
+                return;
+            }
+            
+            // Books missing from CONFIG.books keep their reference as written
+            const written = entry.v.trim().replace(/\s+/g, ' ');
+            const ref = readReference(entry.v) || (/^\S+ \d+ \d+$/.test(written) ? written : null);
+            if (!ref) {
+                report(lineOf(entry, 'v'), `Verse "${id}" has an unreadable reference "${entry.v}"`);
+                return;
+            }
+            
+            // Kept (the two are merged), but most likely a mistake
+            if (idByRef.has(ref)) {
+                problems.push({
+                    line: lineOf(data, id),
+                    message: `Verse "${id}" repeats ${ref}, already used by verse "${idByRef.get(ref)}"`
+                });
+            } else {
+                idByRef.set(ref, id);
+            }
+            
+            refById.set(id, ref);
+            verses.push({ ref, id });
+        });
+        
+        Object.entries(data).forEach(([id, entry]) => {
+            const from = refById.get(id);
+            if (!from || entry.r === undefined) return;
+            
+            if (!entry.r || typeof entry.r !== 'object' || Array.isArray(entry.r)) {
+                report(lineOf(entry, 'r'), `Verse "${id}" has an "r" that is not an object of references`);
+                return;
+            }
+            
+            Object.entries(entry.r).forEach(([refId, value]) => {
+                const to = refById.get(refId);
+                if (to) {
+                    edges.push({ from, to, weight: parseWeight(value) });
+                } else {
+                    report(lineOf(entry.r, refId), `Verse "${id}" references unknown verse ID "${refId}"`);
+                }
+            });
+        });
+        
+        // Entries are checked in two passes; list their problems in file order,
+        // with any that have no line last
+        if (options.checkLines) {
+            problems.sort((a, b) => (a.line ?? Infinity) - (b.line ?? Infinity));
+        }
+        
+        return { verses, edges, skipped, problems };
+    }
+    
+    /**
+     * Parse JSON, remembering the line each object key is on
+     * Used when checking a data file so problems can point at their line.
+     * A verse ID repeated in the top-level object is reported (JSON.parse
+     * would silently keep the last one); the first one is kept.
+     * 
+     * @param {string} text - JSON text
+     * @returns {Object} { data, lineOf(object, key), problems: [{ line, message }] }
+     * @throws {Error} On malformed JSON, with the line and column in the message
+     */
+    function readJsonWithLines(text) {
+        const keyLines = new WeakMap();
+        const problems = [];
+        const literal = /-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?|true|false|null/y;
+        let pos = 0;
+        let line = 1;
+        let lineStart = 0;
+        
+        const fail = message => {
+            const error = new Error(`${message} on line ${line}, column ${pos - lineStart + 1}`);
+            error.line = line;
+            throw error;
+        };
+        
+        const skipSpace = () => {
+            while (pos < text.length) {
+                const ch = text[pos];
+                if (ch === '\n') {
+                    line++;
+                    lineStart = pos + 1;
+                } else if (ch !== ' ' && ch !== '\t' && ch !== '\r') {
+                    break;
+                }
+                pos++;
+            }
+        };
+        
+        const readString = () => {
+            const start = pos;
+            pos++;
+            while (pos < text.length && text[pos] !== '"') {
+                if (text[pos] === '\n') fail('Unterminated string');
+                pos += text[pos] === '\\' ? 2 : 1;
+            }
+            if (pos >= text.length) fail('Unterminated string');
+            pos++;
+            
+            try {
+                return JSON.parse(text.slice(start, pos));
+            } catch (error) {
+                return fail('Invalid escape in string');
+            }
+        };
+        
+        const readValue = depth => {
+            skipSpace();
+            const ch = text[pos];
+            if (ch === '{') return readObject(depth);
+            if (ch === '[') return readArray(depth);
+            if (ch === '"') return readString();
+            
+            literal.lastIndex = pos;
+            const match = literal.exec(text);
+            if (!match) {
+                fail(pos >= text.length ? 'Unexpected end of file' : `Unexpected "${ch}"`);
+            }
+            pos = literal.lastIndex;
+            return JSON.parse(match[0]);
+        };
+        
+        const readObject = depth => {
+            const object = {};
+            const lines = new Map();
+            keyLines.set(object, lines);
+            
+            pos++;
+            skipSpace();
+            if (text[pos] === '}') {
+                pos++;
+                return object;
+            }
+            
+            for (;;) {
+                skipSpace();
+                if (text[pos] !== '"') fail('Expected a quoted key');
+                const keyLine = line;
+                const key = readString();
+                
+                skipSpace();
+                if (text[pos] !== ':') fail('Expected ":"');
+                pos++;
+                const value = readValue(depth + 1);
+                
+                if (!lines.has(key)) {
+                    lines.set(key, keyLine);
+                    // defineProperty so a "__proto__" key stays an ordinary key, as with JSON.parse
+                    Object.defineProperty(object, key, { value, enumerable: true, writable: true, configurable: true });
+                } else if (depth === 0) {
+                    problems.push({
+                        line: keyLine,
+                        message: `Duplicate verse ID "${key}" (first on line ${lines.get(key)}); this one is ignored`
+                    });
+                }
+                
+                skipSpace();
+                if (text[pos] === '}') {
+                    pos++;
+                    return object;
+                }
+                if (text[pos] !== ',') fail('Expected "," or "}"');
+                pos++;
+            }
+        };
+        
+        const readArray = depth => {
+            const array = [];
+            pos++;
+            skipSpace();
+            if (text[pos] === ']') {
+                pos++;
+                return array;
+            }
+            
+            for (;;) {
+                array.push(readValue(depth + 1));
+                skipSpace();
+                if (text[pos] === ']') {
+                    pos++;
+                    return array;
+                }
+                if (text[pos] !== ',') fail('Expected "," or "]"');
+                pos++;
+            }
+        };
+        
+        const data = readValue(0);
+        skipSpace();
+        if (pos < text.length) fail('Unexpected text after the data');
+        
+        return {
+            data,
+            problems,
+            lineOf: (object, key) => {
+                const lines = keyLines.get(object);
+                return (lines && lines.get(key)) || null;
+            }
+        };
+    }
+    
+    /**
+     * Import OpenBible.info's cross_references.txt
+     * Tab-separated From Verse, To Verse and Votes, with a header line
+     * and references like "Gen.1.1" or "Prov.8.22-Prov.8.30". Votes (which
+     * may be negative) become the edge weight; rows without them count 1.
+     */
+    function importOpenBible(text, readReference) {
+        const edges = [];
+        const problems = [];
+        
+        DataLoader.parseDelimited(text, '\t').forEach(row => {
+            const first = row[0].trim();
+            if (first.startsWith('#') || /^from\b/i.test(first)) return;
+            
+            const from = readReference(first);
+            const to = row.length > 1 ? readReference(row[1]) : null;
+            if (from && to) {
+                edges.push({ from, to, weight: parseWeight(row[2]) });
+            } else {
+                problems.push(rowProblem(row, first, row[1], from));
+            }
+        });
+        
+        return { verses: [], edges, skipped: problems.length, problems };
+    }
+    
+    /**
+     * Import a CSV edge list
+     * Columns are from, to and an optional weight, found by header name
+     * (see COLUMNS) or, without a header, in that order.
+     */
+    function importCsv(text, readReference) {
+        const rows = DataLoader.parseDelimited(text, ',');
+        const edges = [];
+        const problems = [];
+        let columns = { from: 0, to: 1, weight: 2 };
+        
+        if (rows.length > 0 && !readReference(rows[0][0])) {
+            const header = rows.shift().map(field => field.trim().toLowerCase());
+            const find = names => header.findIndex(field => names.includes(field));
+            columns = {
+                from: Math.max(find(COLUMNS.from), 0),
+                to: find(COLUMNS.to) >= 0 ? find(COLUMNS.to) : 1,
+                weight: find(COLUMNS.weight)
+            };
+        }
+        
+        rows.forEach(row => {
+            const from = readReference(row[columns.from] || '');
+            const to = readReference(row[columns.to] || '');
+            if (from && to) {
+                edges.push({ from, to, weight: parseWeight(columns.weight >= 0 ? row[columns.weight] : undefined) });
+            } else {
+                problems.push(rowProblem(row, row[columns.from], row[columns.to], from));
+            }
+        });
+        
+        return { verses: [], edges, skipped: problems.length, problems };
+    }
+    
+    /**
+     * Describe why an edge-list row was skipped
+     * @param {Array} row - Row from DataLoader.parseDelimited (with its line)
+     * @param {string} fromText - Source reference as written
+     * @param {string} toText - Target reference as written
+     * @param {string|null} from - Source reference as read
+     * @returns {Object} { line, message }
+     */
+    function rowProblem(row, fromText, toText, from) {
+        const bad = ((from ? toText : fromText) || '').trim();
+        return {
+            line: row.line || null,
+            message: bad ? `Unreadable reference "${bad}"` : 'Row is missing a reference'
+        };
+    }
+    
+    /**
+     * Import OSIS crossReference notes
+     * A note's source verse is its osisRef (or annotateRef) attribute, or else
+     * the verse it sits in (container or milestone). Each <reference osisRef>
+     * inside it becomes an edge; space-separated lists give several.
+     */
+    function importOsis(text, readReference) {
+        const doc = new DOMParser().parseFromString(text, 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length > 0) {
+            throw new Error('OSIS file is not well-formed XML');
+        }
+        
+        const edges = [];
+        const problems = [];
+        let current = null;
+        
+        const addNote = note => {
+            const source = note.getAttribute('osisRef') || note.getAttribute('annotateRef');
+            const from = source ? readReference(source.split(/\s+/)[0]) : current;
+            const targets = Array.from(note.getElementsByTagNameNS('*', 'reference'))
+                .flatMap(reference => (reference.getAttribute('osisRef') || '').split(/\s+/).filter(Boolean));
+            
+            if (!from) {
+                problems.push({ line: null, message: `Cross-reference note outside a verse${source ? ` ("${source}")` : ''}` });
+                return;
+            }
+            targets.forEach(target => {
+                const to = readReference(target);
+                if (to) {
+                    edges.push({ from, to, weight: 1 });
+                } else {
+                    problems.push({ line: null, message: `Unreadable reference "${target}" in a note on ${from}` });
+                }
+            });
+        };
+        
+        const walk = node => {
+            Array.from(node.children).forEach(child => {
+                if (child.localName === 'verse') {
+                    if (child.getAttribute('eID')) {
+                        current = null;
+                        return;
+                    }
+                    if (child.getAttribute('osisID')) {
+                        current = readReference(child.getAttribute('osisID').split(/\s+/)[0]);
+                        if (!child.getAttribute('sID')) {
+                            walk(child);
+                            current = null;
+                        }
+                        return;
+                    }
+                }
+                
+                if (child.localName === 'note' && child.getAttribute('type') === 'crossReference') {
+                    addNote(child);
+                    return;
+                }
+                walk(child);
+            });
+        };
+        
+        walk(doc.documentElement);
+        return { verses: [], edges, skipped: problems.length, problems };
+    }
+    
+    // Public API
+    return {
+        parse,
+        detectFormat,
+        registerFormat,
+        parseReference,
+        parseWeight,
+        getFormats: () => Object.keys(FORMATS).map(name => ({ name, label: FORMATS[name].label }))
+    };
+})();
+
+// Make DataImporters globally available
+window.DataImporters = DataImporters;
\ No newline at end of file
@@ -2,59 +2,307 @@
  * Data Loader Module
  * 
  * Handles loading and processing of Bible cross-reference data.
+ * References are directed: a verse's `edges`/`refs` are the verses it
+ * references, and `incoming` lists the verses that reference it.
+ * 
+ * Several data sources (CONFIG.dataSources) can be merged. Each is read
+ * by DataImporters into a common shape and processData joins them: verses
+ * are matched by reference, and every edge records which sources list it.
+ * Sources can be switched off and on again without reloading.
  */
 
 const DataLoader = (function() {
     'use strict';
     
     // Private variables
-    let bibleData = {};
     let verses = [];
     let books = new Set();
+    let versesByBook = new Map();
+    let verseById = new Map();
+    let weightRange = { min: 1, max: 1 };
+    
+    let sources = [];                // { id, name, file, format, enabled, edgeCount, skipped }
+    let candidateEdges = new Map();  // Verse ID to [{ id, weights: Map of source ID to weight }]
+    let version = 0;                 // Bumped whenever the edges change
+    let loadErrors = [];             // Why sources failed to load, for the drop screen
+    
+    /**
+     * Get the configured data sources
+     * Without CONFIG.dataSources, CONFIG.dataFile is the only one.
+     * @returns {Array} { id, name, file, format } entries
+     */
+    function getSourceEntries() {
+        const entries = CONFIG.dataSources && CONFIG.dataSources.length > 0 ?
+            CONFIG.dataSources :
+            [{ id: 'default', name: 'Cross-references', file: CONFIG.dataFile, format: 'json' }];
+        
+        return entries.map(entry => ({ ...entry, id: entry.id || entry.file, name: entry.name || entry.file }));
+    }
     
     /**
-     * Load Bible data from JSON file
+     * Load and merge every data source
+     * Sources that fail to load are left out; loading fails only if none load,
+     * and getLoadErrors then says why.
      * @returns {Promise<boolean>} Success status
      */
     async function loadData() {
-        try {
-            const response = await fetch(CONFIG.dataFile);
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
+        const entries = getSourceEntries();
+        loadErrors = [];
+        
+        const datasets = await Promise.all(entries.map(async entry => {
+            try {
+                const response = await fetch(entry.file);
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+                
+                const text = await response.text();
+                return { source: entry, ...DataImporters.parse(text, entry.file, entry.format) };
+                
+            } catch (error) {
+                console.error(`Error loading data source '${entry.file}':`, error);
+                loadErrors.push(`${entry.file}: ${error.message}`);
+                return null;
             }
-            
-            bibleData = await response.json();
-            processData();
-            return true;
-            
-        } catch (error) {
-            console.error('Error loading data:', error);
-            alert(`Failed to load Bible data. Please ensure '${CONFIG.dataFile}' is in the same folder as this HTML file.`);
+        }));
+        
+        const loaded = datasets.filter(Boolean);
+        if (loaded.length === 0) {
             return false;
         }
+        
+        processData(loaded);
+        return true;
     }
     
     /**
-     * Process loaded data into usable format
+     * Merge imported datasets into the verse list
+     * This is the normalization step every importer feeds: verses are joined
+     * by reference, keeping the verse IDs of native files (the first file
+     * wins if two use the same ID) and numbering the rest after them.
+     * An edge listed by several sources is kept once, remembering each
+     * source's weight; see applySources for how they combine.
+     * 
+     * @param {Array} datasets - { source: { id, name, file, format }, verses, edges, skipped }
+     *                           as returned by DataImporters.parse plus the source
      */
-    function processData() {
-        verses = Object.entries(bibleData).map(([id, data]) => {
-            const book = data.v.split(' ')[0];
+    function processData(datasets) {
+        const idByRef = new Map();
+        const usedIds = new Set();
+        
+        datasets.forEach(dataset => {
+            dataset.verses.forEach(({ ref, id }) => {
+                if (idByRef.has(ref) || id === undefined || usedIds.has(id)) return;
+                idByRef.set(ref, id);
+                usedIds.add(id);
+            });
+        });
+        
+        let nextId = 1;
+        usedIds.forEach(id => {
+            const n = parseInt(id, 10);
+            if (n >= nextId) nextId = n + 1;
+        });
+        const idFor = ref => {
+            if (!idByRef.has(ref)) {
+                while (usedIds.has(String(nextId))) nextId++;
+                idByRef.set(ref, String(nextId));
+                usedIds.add(String(nextId));
+            }
+            return idByRef.get(ref);
+        };
+        
+        // Every verse a dataset lists or references, then the merged edges
+        datasets.forEach(dataset => {
+            dataset.verses.forEach(({ ref }) => idFor(ref));
+        });
+        
+        candidateEdges = new Map();
+        const candidateByKey = new Map();
+        datasets.forEach(({ source, edges }) => {
+            edges.forEach(({ from, to, weight }) => {
+                const fromId = idFor(from);
+                const toId = idFor(to);
+                const key = `${fromId}>${toId}`;
+                
+                let candidate = candidateByKey.get(key);
+                if (!candidate) {
+                    candidate = { id: toId, weights: new Map() };
+                    candidateByKey.set(key, candidate);
+                    if (!candidateEdges.has(fromId)) candidateEdges.set(fromId, []);
+                    candidateEdges.get(fromId).push(candidate);
+                }
+                
+                // A source listing the same pair twice (e.g. two ranges) keeps the larger weight
+                const previous = candidate.weights.get(source.id);
+                candidate.weights.set(source.id, previous === undefined ? weight : Math.max(previous, weight));
+            });
+        });
+        
+        sources = datasets.map(({ source, edges, skipped, format }) => ({
+            id: source.id,
+            name: source.name,
+            file: source.file,
+            format,
+            enabled: true,
+            edgeCount: edges.length,
+            skipped
+        }));
+        sources.forEach(source => {
+            const skipped = source.skipped > 0 ? `, ${source.skipped} entries skipped` : '';
+            console.log(`Data source ${source.name}: ${source.edgeCount} references (${source.format}${skipped})`);
+        });
+        datasets.forEach(({ source, problems = [] }) => {
+            problems.slice(0, 10).forEach(problem => console.warn(`${source.file}: ${problem.message}`));
+        });
+        
+        books = new Set();
+        verses = Array.from(idByRef, ([ref, id]) => {
+            const [book, chapter, verseNumber] = ref.split(' ');
             books.add(book);
             
             return {
                 id,
-                verse: data.v,
+                verse: ref,
                 book,
-                refs: Object.keys(data.r || {}),
-                refCount: Object.keys(data.r || {}).length,
+                bookIndex: ReferenceParser.getBookOrder(book),
+                chapter: parseInt(chapter, 10),
+                verseNumber: parseInt(verseNumber, 10),
+                refs: [],                // Filled in by applySources
+                edges: [],
+                refCount: 0,             // Out-degree
+                weightedDegree: 0,
+                incoming: [],
+                inDegree: 0,
                 x: 0,  // Will be calculated during render
                 y: 0   // Will be calculated during render
             };
         });
         
-        // Sort by verse ID for circular layout
-        verses.sort((a, b) => parseInt(a.id) - parseInt(b.id));
+        // Sort in canonical order (book, chapter, verse) for the circular layout;
+        // verse ID breaks ties, e.g. for books missing from CONFIG.books
+        verses.sort((a, b) =>
+            a.bookIndex - b.bookIndex ||
+            a.chapter - b.chapter ||
+            a.verseNumber - b.verseNumber ||
+            parseInt(a.id) - parseInt(b.id)
+        );
+        
+        verseById = new Map(verses.map(v => [v.id, v]));
+        
+        // Group by book for reference lookups
+        versesByBook = new Map();
+        verses.forEach(verse => {
+            if (!versesByBook.has(verse.book)) {
+                versesByBook.set(verse.book, []);
+            }
+            versesByBook.get(verse.book).push(verse);
+        });
+        
+        applySources();
+    }
+    
+    /**
+     * Rebuild every verse's edges from the enabled sources
+     * Verse objects are updated in place. Where several enabled sources list
+     * the same reference, the largest weight is used; each edge's `sources`
+     * lists the source IDs it came from.
+     */
+    function applySources() {
+        const enabled = new Set(sources.filter(source => source.enabled).map(source => source.id));
+        let minWeight = Infinity;
+        let maxWeight = -Infinity;
+        
+        verses.forEach(verse => {
+            verse.edges = [];
+            (candidateEdges.get(verse.id) || []).forEach(candidate => {
+                const listed = Array.from(candidate.weights).filter(([sourceId]) => enabled.has(sourceId));
+                if (listed.length === 0) return;
+                
+                const weight = Math.max(...listed.map(([, w]) => w));
+                minWeight = Math.min(minWeight, weight);
+                maxWeight = Math.max(maxWeight, weight);
+                verse.edges.push({ id: candidate.id, weight, sources: listed.map(([sourceId]) => sourceId) });
+            });
+            
+            verse.refs = verse.edges.map(edge => edge.id);
+            verse.refCount = verse.edges.length;
+            verse.weightedDegree = verse.edges.reduce((sum, edge) => sum + edge.weight, 0);
+            verse.incoming = [];
+            verse.inDegree = 0;
+        });
+        
+        weightRange = minWeight <= maxWeight ?
+            { min: minWeight, max: maxWeight } :
+            { min: 1, max: 1 };
+        
+        // Reverse adjacency: who references each verse (in canonical order)
+        verses.forEach(verse => {
+            verse.edges.forEach(edge => {
+                const target = verseById.get(edge.id);
+                target.incoming.push({ id: verse.id, weight: edge.weight, sources: edge.sources });
+                target.inDegree++;
+            });
+        });
+        
+        version++;
+    }
+    
+    /**
+     * Switch a data source on or off (call App.refreshData afterwards)
+     * @param {string} id - Source ID
+     * @param {boolean} enabled - Whether its references are included
+     * @returns {boolean} True if anything changed
+     */
+    function setSourceEnabled(id, enabled) {
+        const source = sources.find(s => s.id === id);
+        if (!source || source.enabled === enabled) return false;
+        
+        source.enabled = enabled;
+        applySources();
+        return true;
+    }
+    
+    /**
+     * Get the loaded data sources
+     * @returns {Array} Copies of { id, name, file, format, enabled, edgeCount, skipped }
+     */
+    function getSources() {
+        return sources.map(source => ({ ...source }));
+    }
+    
+    /**
+     * Get the weight of the edge between two verses
+     * @param {Object} verse - Source verse
+     * @param {string} refId - Target verse ID
+     * @returns {number} Edge weight, or 0 if there is no such edge
+     */
+    function getEdgeWeight(verse, refId) {
+        const edge = verse.edges.find(e => e.id === refId);
+        return edge ? edge.weight : 0;
+    }
+    
+    /**
+     * Get the smallest and largest edge weight in the dataset
+     * @returns {Object} { min, max }
+     */
+    function getWeightRange() {
+        return weightRange;
+    }
+    
+    /**
+     * Scale an edge weight into 0..1 relative to the dataset
+     * Uses a log scale so a few very strong links don't flatten the rest.
+     * When every edge has the same weight, returns 0.5.
+     * @param {number} weight - Edge weight
+     * @returns {number} Normalized weight
+     */
+    function normalizeWeight(weight) {
+        const { min, max } = weightRange;
+        if (max <= min) return 0.5;
+        
+        const t = Math.log1p(weight - min) / Math.log1p(max - min);
+        return Math.max(0, Math.min(1, t));
     }
     
     /**
@@ -74,21 +322,65 @@ const DataLoader = (function() {
     }
     
     /**
-     * Get raw Bible data
+     * Get the verses of one book
+     * @param {string} book - Book code
+     * @returns {Array} Verses in the same order as getVerses() (empty if unknown)
+     */
+    function getVersesByBook(book) {
+        return versesByBook.get(book) || [];
+    }
+    
+    /**
+     * Get the merged data in the native { id: { v, r } } shape
+     * Only references from enabled sources are included.
      * @returns {Object} Bible data object
      */
     function getBibleData() {
-        return bibleData;
+        const data = {};
+        verses.forEach(verse => {
+            const r = {};
+            verse.edges.forEach(edge => { r[edge.id] = edge.weight; });
+            data[verse.id] = { v: verse.verse, r };
+        });
+        return data;
+    }
+    
+    /**
+     * Find all verses covered by a reference
+     * Accepts anything ReferenceParser understands ("GEN 1 1", "Jn 3:16",
+     * "1 Cor 13:4-7", "Ps 23; Rom 8:28, 31").
+     * @param {string} input - Reference text
+     * @returns {Object} { references, verses, error } - error is null when verses were found
+     */
+    function findVerses(input) {
+        const parsed = ReferenceParser.parse(input);
+        if (parsed.error) {
+            return { references: [], verses: [], error: parsed.error };
+        }
+        
+        const found = new Set();
+        parsed.references.forEach(reference => {
+            (versesByBook.get(reference.book) || []).forEach(verse => {
+                if (ReferenceParser.matches(reference, verse)) {
+                    found.add(verse);
+                }
+            });
+        });
+        
+        const error = found.size === 0 ?
+            `No verses found for ${parsed.references.map(ReferenceParser.format).join('; ')}` :
+            null;
+        
+        return { references: parsed.references, verses: Array.from(found), error };
     }
     
     /**
      * Find a verse by reference
-     * @param {string} verseRef - Verse reference (e.g., "GEN 1 1")
-     * @returns {Object|null} Verse object or null if not found
+     * @param {string} verseRef - Verse reference (e.g., "GEN 1 1", "Genesis 1:1")
+     * @returns {Object|null} First matching verse or null if not found
      */
     function findVerse(verseRef) {
-        const normalized = verseRef.toUpperCase().trim();
-        return verses.find(v => v.verse.includes(normalized)) || null;
+        return findVerses(verseRef).verses[0] || null;
     }
     
     /**
@@ -97,7 +389,68 @@ const DataLoader = (function() {
      * @returns {Object|null} Verse object or null if not found
      */
     function findVerseById(id) {
-        return verses.find(v => v.id === id) || null;
+        return verseById.get(id) || null;
+    }
+    
+    /**
+     * Split CSV or TSV text into rows of fields
+     * Handles quoted fields (with "" for a literal quote) that may contain
+     * the delimiter or line breaks. Blank lines are skipped.
+     * @param {string} text - File contents
+     * @param {string} delimiter - Field separator (',' or '\t')
+     * @returns {Array} Rows, each an array of field strings with a `line`
+     *                  property (1-based line the row starts on)
+     */
+    function parseDelimited(text, delimiter = ',') {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+        let line = 1;
+        let rowLine = 1;
+        
+        const endRow = () => {
+            row.push(field);
+            row.line = rowLine;
+            if (row.length > 1 || row[0].trim() !== '') rows.push(row);
+            row = [];
+            field = '';
+        };
+        
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+            if (ch === '\n') line++;
+            
+            if (quoted) {
+                if (ch === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (ch === '"') {
+                    quoted = false;
+                } else {
+                    field += ch;
+                }
+            } else if (ch === '"' && field === '') {
+                quoted = true;
+            } else if (ch === delimiter) {
+                row.push(field);
+                field = '';
+            } else if (ch === '\n' || ch === '\r') {
+                if (ch === '\r' && text[i + 1] === '\n') {
+                    i++;
+                    line++;
+                } else if (ch === '\r') {
+                    line++;
+                }
+                endRow();
+                rowLine = line;
+            } else {
+                field += ch;
+            }
+        }
+        if (field !== '' || row.length > 0) endRow();
+        
+        return rows;
     }
     
     /**
@@ -117,11 +470,22 @@ const DataLoader = (function() {
     // Public API
     return {
         loadData,
+        processData,
+        getLoadErrors: () => loadErrors.slice(),
+        setSourceEnabled,
+        getSources,
+        getVersion: () => version,
         getVerses,
         getBooks,
+        getVersesByBook,
         getBibleData,
+        getEdgeWeight,
+        getWeightRange,
+        normalizeWeight,
         findVerse,
+        findVerses,
         findVerseById,
+        parseDelimited,
         getStats
     };
 })();
@@ -8,9 +8,23 @@ const EventHandlers = (function() {
     'use strict';
     
     // UI Elements
-    let searchInput, bookFilter, minRefsInput, resetBtn;
+    let searchInput, searchMessageEl, layoutSelect, colorSelect, resetBtn;
     let infoPanel, verseRefEl, statsEl, referencesEl;
-    let verseCountEl, refCountEl, bookCountEl;
+    let verseCountEl, refCountEl, bookCountEl, sourcesEl;
+    let canvas;
+    
+    // Pointer state for panning and pinch-zooming
+    let dragState = null;    // { startX, startY, lastX, lastY, moved } while the mouse is down
+    let touchState = null;   // { points, start, moved } while fingers are down
+    let suppressClick = false;
+    
+    // Verse whose references the info panel lists (null while it shows a path)
+    let listedVerse = null;
+    
+    // Verses selected by clicking or searching, for the back/forward buttons
+    let visited = [];
+    let visitedIndex = -1;
+    let backBtn, forwardBtn, bookmarkBtn;
     
     /**
      * Initialize event handlers
@@ -20,8 +34,8 @@ const EventHandlers = (function() {
         
         // Get UI elements
         searchInput = document.getElementById('search');
-        bookFilter = document.getElementById('book-filter');
-        minRefsInput = document.getElementById('min-refs');
+        searchMessageEl = document.getElementById('search-message');
+        layoutSelect = document.getElementById('layout-mode');
         resetBtn = document.getElementById('reset-btn');
         
         infoPanel = document.getElementById('info-panel');
@@ -34,14 +48,29 @@ const EventHandlers = (function() {
         verseRefEl = infoPanel.querySelector('.verse-ref');
         statsEl = infoPanel.querySelector('.stats');
         referencesEl = infoPanel.querySelector('.references');
+        backBtn = document.getElementById('history-back');
+        forwardBtn = document.getElementById('history-forward');
+        bookmarkBtn = document.getElementById('bookmark-btn');
         
         verseCountEl = document.getElementById('verse-count');
         refCountEl = document.getElementById('ref-count');
         bookCountEl = document.getElementById('book-count');
+        sourcesEl = document.getElementById('data-sources');
         
         // Setup event listeners
         setupCanvasListeners();
         setupControlListeners();
+        setupHistoryListeners();
+        
+        // Data source toggles
+        if (sourcesEl) {
+            sourcesEl.addEventListener('change', e => {
+                const id = e.target.dataset.source;
+                if (id !== undefined && DataLoader.setSourceEnabled(id, e.target.checked)) {
+                    window.app.refreshData();
+                }
+            });
+        }
         
         console.log('EventHandlers initialized');
     }
@@ -50,11 +79,30 @@ const EventHandlers = (function() {
      * Setup canvas event listeners
      */
     function setupCanvasListeners() {
-        const canvas = document.getElementById('canvas');
+        canvas = document.getElementById('canvas');
         
         canvas.addEventListener('mousemove', handleMouseMove);
+        canvas.addEventListener('mousedown', handleMouseDown);
         canvas.addEventListener('click', handleClick);
         canvas.addEventListener('wheel', handleWheel, { passive: false });
+        
+        canvas.addEventListener('touchstart', handleTouchStart, { passive: false });
+        canvas.addEventListener('touchmove', handleTouchMove, { passive: false });
+        canvas.addEventListener('touchend', handleTouchEnd, { passive: false });
+        canvas.addEventListener('touchcancel', handleTouchEnd, { passive: false });
+    }
+    
+    /**
+     * Convert a mouse or touch position to canvas coordinates
+     * @param {Object} point - Event or Touch with clientX/clientY
+     * @returns {Object} { x, y }
+     */
+    function getCanvasPoint(point) {
+        const rect = canvas.getBoundingClientRect();
+        return {
+            x: point.clientX - rect.left,
+            y: point.clientY - rect.top
+        };
     }
     
     /**
@@ -63,18 +111,25 @@ const EventHandlers = (function() {
     function setupControlListeners() {
         console.log('Setting up control listeners...');
         
-        if (!searchInput || !bookFilter || !minRefsInput || !resetBtn) {
+        if (!searchInput || !resetBtn) {
             console.error('Some control elements not found!');
             console.log('searchInput:', searchInput);
-            console.log('bookFilter:', bookFilter);
-            console.log('minRefsInput:', minRefsInput);
             console.log('resetBtn:', resetBtn);
             return;
         }
         
         searchInput.addEventListener('input', handleSearch);
-        bookFilter.addEventListener('change', () => window.app.render());
-        minRefsInput.addEventListener('input', () => window.app.render());
+        
+        setupAllEdgesListeners();
+        setupColorListeners();
+        
+        if (layoutSelect) {
+            layoutSelect.value = Renderer.getViewState().layoutMode;
+            layoutSelect.addEventListener('change', () => {
+                setLayoutMode(layoutSelect.value);
+                window.app.render();
+            });
+        }
         resetBtn.addEventListener('click', handleReset);
         
         console.log('Basic controls set up');
@@ -88,8 +143,6 @@ const EventHandlers = (function() {
             console.log('Stats button found! Adding listener...');
             statsBtn.addEventListener('click', () => {
                 console.log('Stats button clicked!');
-                const verses = DataLoader.getVerses();
-                console.log('Got verses:', verses.length);
                 
                 if (typeof StatsPanel === 'undefined') {
                     console.error('StatsPanel is not defined!');
@@ -97,12 +150,13 @@ const EventHandlers = (function() {
                     return;
                 }
                 
-                if (typeof StatsPanel.computeAndDisplay !== 'function') {
-                    console.error('StatsPanel.computeAndDisplay is not a function!');
+                if (typeof StatsPanel.recompute !== 'function') {
+                    console.error('StatsPanel.recompute is not a function!');
                     return;
                 }
                 
-                StatsPanel.computeAndDisplay(verses);
+                // Whole network, or the filtered subgraph if the panel is set to it
+                StatsPanel.recompute();
             });
             console.log('Stats button listener attached successfully!');
         } else {
@@ -111,14 +165,171 @@ const EventHandlers = (function() {
         }
     }
     
+    /**
+     * Setup the "all edges" toggle and opacity slider
+     * The weight cutoff is one of the edge filters (FilterControls).
+     */
+    function setupAllEdgesListeners() {
+        const toggle = document.getElementById('all-edges');
+        const opacityInput = document.getElementById('edge-opacity');
+        
+        if (!toggle || !opacityInput) return;
+        
+        const options = Renderer.getViewState().allEdges;
+        toggle.checked = options.enabled;
+        opacityInput.value = options.opacity;
+        
+        toggle.addEventListener('change', () => {
+            Renderer.setAllEdgesOptions({ enabled: toggle.checked });
+            window.app.render();
+        });
+        opacityInput.addEventListener('input', () => {
+            Renderer.setAllEdgesOptions({ opacity: parseFloat(opacityInput.value) });
+            window.app.render();
+        });
+    }
+    
+    /**
+     * Setup the info panel's back/forward and bookmark buttons
+     * [ and ] also step back and forward, unless the user is typing.
+     */
+    function setupHistoryListeners() {
+        if (!backBtn || !forwardBtn || !bookmarkBtn) return;
+        
+        backBtn.addEventListener('click', () => stepHistory(-1));
+        forwardBtn.addEventListener('click', () => stepHistory(1));
+        bookmarkBtn.addEventListener('click', () => {
+            if (listedVerse) Collections.toggleVerse(listedVerse);
+        });
+        
+        document.addEventListener('keydown', (e) => {
+            if (e.target && /^(INPUT|SELECT|TEXTAREA)$/.test(e.target.tagName)) return;
+            if (e.key === '[') stepHistory(-1);
+            if (e.key === ']') stepHistory(1);
+        });
+    }
+    
+    /**
+     * Remember a verse the user went to
+     * Going somewhere new after stepping back drops the forward entries.
+     * @param {Object} verse - Verse object
+     */
+    function recordVisit(verse) {
+        if (!verse || visited[visitedIndex] === verse) return;
+        
+        visited = visited.slice(0, visitedIndex + 1);
+        visited.push(verse);
+        if (visited.length > CONFIG.history.limit) {
+            visited.shift();
+        }
+        visitedIndex = visited.length - 1;
+        updateHistoryButtons();
+    }
+    
+    /**
+     * Select the previous or next visited verse
+     * @param {number} direction - -1 for back, 1 for forward
+     */
+    function stepHistory(direction) {
+        const index = visitedIndex + direction;
+        if (index < 0 || index >= visited.length) return;
+        
+        visitedIndex = index;
+        const verse = visited[index];
+        Renderer.setHoveredVerse(verse);
+        selectVerse(verse);
+        updateHistoryButtons();
+    }
+    
+    /**
+     * Enable the back/forward buttons when there's somewhere to go
+     */
+    function updateHistoryButtons() {
+        if (!backBtn) return;
+        backBtn.disabled = visitedIndex <= 0;
+        forwardBtn.disabled = visitedIndex >= visited.length - 1;
+    }
+    
+    /**
+     * Show whether the listed verse is in the active collection
+     */
+    function refreshBookmarkButton() {
+        if (!bookmarkBtn) return;
+        
+        const marked = listedVerse !== null && Collections.has(listedVerse);
+        bookmarkBtn.textContent = marked ? '★ Bookmarked' : '☆ Bookmark';
+        bookmarkBtn.classList.toggle('active', marked);
+        bookmarkBtn.title = `${marked ? 'Remove from' : 'Add to'} "${Collections.getActive().name}"`;
+    }
+    
+    /**
+     * Setup the "color by" selector
+     * Metric modes use the same settings as the stats panel, so the colors
+     * match its lists.
+     */
+    function setupColorListeners() {
+        colorSelect = document.getElementById('color-mode');
+        if (!colorSelect) return;
+        
+        colorSelect.value = CONFIG.colorBy.mode;
+        colorSelect.addEventListener('change', applyColorMode);
+        
+        if (colorSelect.value !== ColorScheme.getMode()) {
+            applyColorMode();
+        }
+    }
+    
+    /**
+     * Apply the mode in the "color by" selector, then redraw
+     */
+    async function applyColorMode() {
+        const settings = typeof StatsPanel !== 'undefined' ? StatsPanel.getSettings() : {};
+        
+        try {
+            if (await ColorScheme.setMode(colorSelect.value, settings)) {
+                window.app.render();
+            } else if (!ColorScheme.isComputing()) {
+                // The scores failed; show the mode that's still in use
+                colorSelect.value = ColorScheme.getMode();
+            }
+        } catch (error) {
+            console.error('Error changing color mode:', error);
+            colorSelect.value = ColorScheme.getMode();
+        }
+    }
+    
+    /**
+     * Switch the color mode as if picked in the selector
+     * @param {string} mode - Color mode (unknown modes are ignored)
+     */
+    function setColorMode(mode) {
+        if (!colorSelect || !colorSelect.querySelector(`option[value="${mode}"]`)) return;
+        if (mode === colorSelect.value && mode === ColorScheme.getMode()) return;
+        
+        colorSelect.value = mode;
+        applyColorMode();
+    }
+    
+    /**
+     * Switch the layout as if picked in the selector (call render afterwards)
+     * @param {string} mode - 'ring', 'canonical' or 'force' (unknown modes are ignored)
+     */
+    function setLayoutMode(mode) {
+        if (layoutSelect && !layoutSelect.querySelector(`option[value="${mode}"]`)) return;
+        
+        if (layoutSelect) layoutSelect.value = mode;
+        Renderer.setLayoutMode(mode);
+        ForceLayout.setActive(mode === 'force');
+    }
+    
     /**
      * Handle mouse move on canvas
      */
     function handleMouseMove(e) {
-        const canvas = e.target;
-        const rect = canvas.getBoundingClientRect();
-        const mouseX = e.clientX - rect.left;
-        const mouseY = e.clientY - rect.top;
+        // Dragging pans the view instead of hovering
+        if (dragState && dragState.moved) return;
+        
+        const { x: mouseX, y: mouseY } = getCanvasPoint(e);
         
         const filteredVerses = window.app.getFilteredVerses();
         const foundVerse = Renderer.findVerseAtPosition(mouseX, mouseY, filteredVerses);
@@ -126,7 +337,12 @@ const EventHandlers = (function() {
         const viewState = Renderer.getViewState();
         if (foundVerse !== viewState.hoveredVerse) {
             Renderer.setHoveredVerse(foundVerse);
-            updateInfoPanel(foundVerse);
+            if (foundVerse) {
+                updateInfoPanel(foundVerse);
+            } else {
+                // Back to the path or selected verse, so its panel can be used
+                restoreInfoPanel();
+            }
             window.app.render();
         }
         
@@ -137,48 +353,252 @@ const EventHandlers = (function() {
      * Handle click on canvas
      */
     function handleClick(e) {
-        const viewState = Renderer.getViewState();
+        // The click that ends a drag shouldn't change the selection
+        if (suppressClick) {
+            suppressClick = false;
+            return;
+        }
         
-        if (viewState.hoveredVerse) {
-            Renderer.setSelectedVerse(viewState.hoveredVerse);
-            updateInfoPanel(viewState.hoveredVerse);
-            window.app.render();
+        const verse = Renderer.getViewState().hoveredVerse;
+        selectVerse(verse);
+        recordVisit(verse);
+    }
+    
+    /**
+     * Select a verse (or clear the selection) and refresh the view
+     * @param {Object|null} verse - Verse to select
+     */
+    function selectVerse(verse) {
+        if (verse) {
+            Renderer.setSelectedVerse(verse);
+            updateInfoPanel(verse);
         } else {
             Renderer.setSelectedVerse(null);
             infoPanel.style.display = 'none';
-            window.app.render();
         }
+        window.app.render();
     }
     
     /**
-     * Handle mouse wheel for zooming
+     * Handle mouse wheel for zooming around the cursor
      */
     function handleWheel(e) {
         e.preventDefault();
-        Renderer.zoom(e.deltaY);
+        const { x, y } = getCanvasPoint(e);
+        Renderer.zoom(-e.deltaY, x, y);
+    }
+    
+    /**
+     * Start a possible drag
+     * In the force layout, pressing on a verse drags (and pins) that verse
+     * instead of panning.
+     */
+    function handleMouseDown(e) {
+        if (e.button !== 0) return;
+        
+        const view = Renderer.getViewState();
+        const canMoveVerses = view.layoutMode === 'force' && !view.customLayout;
+        
+        dragState = {
+            startX: e.clientX,
+            startY: e.clientY,
+            lastX: e.clientX,
+            lastY: e.clientY,
+            moved: false,
+            verse: canMoveVerses ? view.hoveredVerse : null
+        };
+        
+        // Track on window so the drag continues outside the canvas
+        window.addEventListener('mousemove', handleDragMove);
+        window.addEventListener('mouseup', handleDragEnd);
+    }
+    
+    /**
+     * Pan (or move the dragged verse) while the mouse is held down
+     */
+    function handleDragMove(e) {
+        if (!dragState) return;
+        
+        if (!dragState.moved) {
+            const distance = Math.hypot(e.clientX - dragState.startX, e.clientY - dragState.startY);
+            if (distance < CONFIG.canvas.dragThreshold) return;
+            
+            dragState.moved = true;
+            canvas.style.cursor = 'grabbing';
+            if (!dragState.verse) {
+                Renderer.setHoveredVerse(null);
+                Renderer.setInteracting(true);
+            }
+        }
+        
+        if (dragState.verse) {
+            const { x, y } = getCanvasPoint(e);
+            const point = Renderer.toLayoutPoint(x, y);
+            ForceLayout.drag(dragState.verse, point.ux, point.uy);
+            return;
+        }
+        
+        Renderer.pan(e.clientX - dragState.lastX, e.clientY - dragState.lastY);
+        dragState.lastX = e.clientX;
+        dragState.lastY = e.clientY;
+        window.app.render();
+    }
+    
+    /**
+     * Finish a drag
+     */
+    function handleDragEnd() {
+        window.removeEventListener('mousemove', handleDragMove);
+        window.removeEventListener('mouseup', handleDragEnd);
+        
+        if (dragState && dragState.moved) {
+            suppressClick = true;
+            canvas.style.cursor = 'default';
+            if (dragState.verse) {
+                ForceLayout.endDrag();
+            } else {
+                Renderer.setInteracting(false);
+            }
+            window.app.render();
+        }
+        dragState = null;
+    }
+    
+    /**
+     * Get the canvas positions of all current touches
+     * @param {TouchList} touches - Touch list from the event
+     * @returns {Array} Array of { x, y }
+     */
+    function getTouchPoints(touches) {
+        return Array.from(touches).map(getCanvasPoint);
+    }
+    
+    /**
+     * Start a touch pan, pinch or tap
+     */
+    function handleTouchStart(e) {
+        e.preventDefault();
+        const points = getTouchPoints(e.touches);
+        
+        if (!touchState) {
+            touchState = { points, start: points[0], moved: false };
+            Renderer.setInteracting(true);
+        } else {
+            // Another finger joined - no longer a tap
+            touchState.points = points;
+            touchState.moved = true;
+        }
+    }
+    
+    /**
+     * Pan with one finger, pinch-zoom and pan with two
+     */
+    function handleTouchMove(e) {
+        e.preventDefault();
+        if (!touchState) return;
+        
+        const points = getTouchPoints(e.touches);
+        const previous = touchState.points;
+        
+        if (points.length >= 2 && previous.length >= 2) {
+            const mid = midpoint(points[0], points[1]);
+            const prevMid = midpoint(previous[0], previous[1]);
+            const distance = Math.hypot(points[0].x - points[1].x, points[0].y - points[1].y);
+            const prevDistance = Math.hypot(previous[0].x - previous[1].x, previous[0].y - previous[1].y);
+            
+            Renderer.pan(mid.x - prevMid.x, mid.y - prevMid.y);
+            if (prevDistance > 0) {
+                Renderer.zoomAt(distance / prevDistance, mid.x, mid.y, false);
+            }
+            touchState.moved = true;
+        } else if (points.length === 1 && previous.length === 1) {
+            if (!touchState.moved) {
+                const distance = Math.hypot(points[0].x - touchState.start.x, points[0].y - touchState.start.y);
+                if (distance < CONFIG.canvas.dragThreshold) return;
+                touchState.moved = true;
+            }
+            Renderer.pan(points[0].x - previous[0].x, points[0].y - previous[0].y);
+        }
+        
+        touchState.points = points;
         window.app.render();
     }
     
+    /**
+     * Finish a touch gesture; a tap selects the verse under the finger
+     */
+    function handleTouchEnd(e) {
+        e.preventDefault();
+        if (!touchState) return;
+        
+        if (e.touches.length > 0) {
+            touchState.points = getTouchPoints(e.touches);
+            return;
+        }
+        
+        if (!touchState.moved && e.type === 'touchend') {
+            const { x, y } = touchState.start;
+            const found = Renderer.findVerseAtPosition(x, y, window.app.getFilteredVerses());
+            Renderer.setHoveredVerse(found);
+            selectVerse(found);
+            recordVisit(found);
+        }
+        touchState = null;
+        Renderer.setInteracting(false);
+        window.app.render();
+    }
+    
+    /**
+     * Midpoint of two points
+     * @param {Object} a - { x, y }
+     * @param {Object} b - { x, y }
+     * @returns {Object} { x, y }
+     */
+    function midpoint(a, b) {
+        return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+    }
+    
     /**
      * Handle search input
      */
     function handleSearch(e) {
-        const searchTerm = e.target.value.toUpperCase().trim();
+        const searchTerm = e.target.value.trim();
         
         if (!searchTerm) {
+            setSearchMessage('');
             Renderer.setSelectedVerse(null);
             infoPanel.style.display = 'none';
             window.app.render();
             return;
         }
         
-        const found = DataLoader.findVerse(searchTerm);
-        if (found) {
-            Renderer.setSelectedVerse(found);
-            Renderer.setHoveredVerse(found);
-            updateInfoPanel(found);
-            window.app.render();
+        const result = DataLoader.findVerses(searchTerm);
+        if (result.error) {
+            setSearchMessage(result.error, true);
+            return;
         }
+        
+        const found = result.verses[0];
+        setSearchMessage(result.verses.length > 1 ?
+            `${result.verses.length} verses match - showing ${found.verse}` : '');
+        
+        Renderer.setSelectedVerse(found);
+        Renderer.setHoveredVerse(found);
+        updateInfoPanel(found);
+        window.app.render();
+    }
+    
+    /**
+     * Show a message under the search box
+     * @param {string} message - Text to show (empty to clear)
+     * @param {boolean} isError - Whether the input could not be used
+     */
+    function setSearchMessage(message, isError = false) {
+        searchInput.classList.toggle('invalid', isError);
+        
+        if (!searchMessageEl) return;
+        searchMessageEl.textContent = message;
+        searchMessageEl.classList.toggle('error', isError);
     }
     
     /**
@@ -187,8 +607,8 @@ const EventHandlers = (function() {
     function handleReset() {
         Renderer.resetView();
         searchInput.value = '';
-        bookFilter.value = '';
-        minRefsInput.value = '0';
+        setSearchMessage('');
+        FilterControls.clear(false);
         infoPanel.style.display = 'none';
         window.app.render();
     }
@@ -208,32 +628,120 @@ const EventHandlers = (function() {
         // Update verse reference
         verseRefEl.textContent = verse.verse;
         
-        // Update stats
-        const refText = verse.refCount === 1 ? 'cross-reference' : 'cross-references';
-        statsEl.textContent = `${verse.refCount} ${refText}`;
+        // Update stats - references are directed
+        const refText = verse.refCount === 1 ? 'reference' : 'references';
+        statsEl.textContent = `${verse.refCount} ${refText} · referenced by ${verse.inDegree}`;
         
         // Update references list
         updateReferencesList(verse);
+        refreshBookmarkButton();
+        Translations.showVerse(verse);
+    }
+    
+    /**
+     * Show what the info panel lists when no verse is hovered: the
+     * highlighted path if there is one, otherwise the selected verse
+     */
+    function restoreInfoPanel() {
+        if (!PathFinder.showInfo()) {
+            updateInfoPanel(Renderer.getViewState().selectedVerse);
+        }
     }
     
     /**
      * Update the references list in info panel
+     * Outgoing references ("References") and incoming ones ("Referenced by")
+     * are listed separately, leaving out references hidden by the edge filters.
      * @param {Object} verse - Verse object
      */
     function updateReferencesList(verse) {
+        const edgeFilter = FilterControls.getEdgeFilter();
         referencesEl.innerHTML = '';
+        listedVerse = verse;
+        
+        appendReferenceSection('References', verse.edges,
+            edgeFilter && ((target, edge) => edgeFilter.passes(verse, target, edge.weight)));
+        appendReferenceSection('Referenced by', verse.incoming,
+            edgeFilter && ((source, edge) => edgeFilter.passes(source, verse, edge.weight)));
+    }
+    
+    /**
+     * List the shown verse's references again (after the edge filters change)
+     */
+    function refreshReferencesList() {
+        if (listedVerse && infoPanel.style.display !== 'none') {
+            updateReferencesList(listedVerse);
+        }
+    }
+    
+    /**
+     * Append a titled list of linked verses to the info panel
+     * @param {string} title - Section title
+     * @param {Array} edges - Edges ({ id, weight }) to list
+     * @param {Function|null} passes - Called with (linked verse, edge); false leaves it out
+     */
+    function appendReferenceSection(title, edges, passes) {
+        const linked = edges
+            .map(edge => [DataLoader.findVerseById(edge.id), edge])
+            .filter(([refVerse]) => refVerse);
+        const shown = passes ? linked.filter(([refVerse, edge]) => passes(refVerse, edge)) : linked;
         
-        const bibleData = DataLoader.getBibleData();
+        const heading = document.createElement('div');
+        heading.className = 'ref-heading';
+        heading.textContent = shown.length === linked.length ?
+            `${title} (${linked.length})` :
+            `${title} (${shown.length} of ${linked.length})`;
+        referencesEl.appendChild(heading);
         
-        verse.refs.forEach(refId => {
-            const refVerse = bibleData[refId];
-            if (refVerse) {
-                const div = document.createElement('div');
-                div.className = 'ref-item';
-                div.textContent = refVerse.v;
-                div.onclick = () => searchAndSelect(refVerse.v);
-                referencesEl.appendChild(div);
+        shown.forEach(([refVerse, edge]) => {
+            const div = document.createElement('div');
+            div.className = 'ref-item';
+            div.dataset.verseId = refVerse.id;
+            div.textContent = refVerse.verse;
+            div.title = describeSources(edge);
+            div.onclick = () => searchAndSelect(refVerse.verse);
+            referencesEl.appendChild(div);
+        });
+    }
+    
+    /**
+     * Show a path from the path finder in the info panel
+     * Lists every verse along the path with its hop number and whether it
+     * references the previous verse (→) or is referenced by it (←).
+     * @param {Array} path - Verses in path order
+     * @param {string} summary - Line shown under the title (e.g. "Path 1 of 3 · 4 hops")
+     */
+    function showPathInfo(path, summary) {
+        listedVerse = null;
+        refreshBookmarkButton();
+        Translations.showVerse(null);
+        infoPanel.style.display = 'block';
+        verseRefEl.textContent = `${path[0].verse} → ${path[path.length - 1].verse}`;
+        statsEl.textContent = summary;
+        referencesEl.innerHTML = '';
+        
+        path.forEach((verse, i) => {
+            const previous = path[i - 1];
+            const div = document.createElement('div');
+            div.className = 'ref-item path-hop';
+            div.dataset.verseId = verse.id;
+            
+            if (!previous) {
+                div.textContent = `${i + 1}. ${verse.verse}`;
+            } else if (previous.refs.includes(verse.id)) {
+                div.textContent = `${i + 1}. → ${verse.verse}`;
+                div.title = `${previous.verse} references ${verse.verse}`;
+            } else {
+                div.textContent = `${i + 1}. ← ${verse.verse}`;
+                div.title = `${verse.verse} references ${previous.verse}`;
             }
+            
+            // Select on the canvas but keep the path listed
+            div.onclick = () => {
+                Renderer.setSelectedVerse(verse);
+                window.app.render();
+            };
+            referencesEl.appendChild(div);
         });
     }
     
@@ -244,28 +752,22 @@ const EventHandlers = (function() {
     function searchAndSelect(verseRef) {
         const found = DataLoader.findVerse(verseRef);
         if (found) {
+            // Save any pending view change to the entry being left
+            UrlState.flush();
+            
             Renderer.setSelectedVerse(found);
             Renderer.setHoveredVerse(found);
             searchInput.value = verseRef;
+            setSearchMessage('');
             updateInfoPanel(found);
+            recordVisit(found);
             window.app.render();
+            
+            // Each verse visited this way gets a history entry
+            UrlState.push();
         }
     }
     
-    /**
-     * Populate book filter dropdown
-     */
-    function populateBookFilter() {
-        const books = Array.from(DataLoader.getBooks()).sort();
-        
-        books.forEach(book => {
-            const option = document.createElement('option');
-            option.value = book;
-            option.textContent = book;
-            bookFilter.appendChild(option);
-        });
-    }
-    
     /**
      * Update statistics display
      */
@@ -275,24 +777,68 @@ const EventHandlers = (function() {
         verseCountEl.textContent = stats.verseCount.toLocaleString();
         refCountEl.textContent = stats.referenceCount.toLocaleString();
         bookCountEl.textContent = stats.bookCount;
+        renderSources();
+    }
+    
+    /**
+     * List the data sources with a toggle each (only when there are several)
+     */
+    function renderSources() {
+        if (!sourcesEl) return;
+        
+        const sources = DataLoader.getSources();
+        sourcesEl.classList.toggle('hidden', sources.length < 2);
+        if (sources.length < 2) return;
+        
+        sourcesEl.innerHTML = '<div class="data-sources-title">Sources</div>';
+        sources.forEach(source => {
+            const label = document.createElement('label');
+            label.className = 'data-source';
+            label.title = `${source.file} · ${source.edgeCount.toLocaleString()} references`;
+            
+            const input = document.createElement('input');
+            input.type = 'checkbox';
+            input.checked = source.enabled;
+            input.dataset.source = source.id;
+            
+            label.append(input, ` ${source.name}`);
+            sourcesEl.appendChild(label);
+        });
+    }
+    
+    /**
+     * Describe which data sources list a reference (for tooltips)
+     * @param {Object} edge - Edge or incoming entry with `sources`
+     * @returns {string} e.g. "Sources: OpenBible.info, TSK", or '' with a single source
+     */
+    function describeSources(edge) {
+        const sources = DataLoader.getSources();
+        if (sources.length < 2 || !edge.sources) return '';
+        
+        const names = edge.sources.map(id => (sources.find(s => s.id === id) || { name: id }).name);
+        return `Sources: ${names.join(', ')}`;
     }
     
     /**
      * Get current filter values
-     * @returns {Object} Filter values
+     * @returns {Object} Filter values from FilterControls.getFilters()
      */
     function getFilters() {
-        return {
-            book: bookFilter.value,
-            minRefs: parseInt(minRefsInput.value) || 0
-        };
+        return FilterControls.getFilters();
     }
     
     // Public API
     return {
         init,
-        populateBookFilter,
         updateStatistics,
+        searchAndSelect,
+        selectVerse,
+        setLayoutMode,
+        setColorMode,
+        showPathInfo,
+        restoreInfoPanel,
+        refreshReferencesList,
+        refreshBookmarkButton,
         getFilters
     };
 })();
@@ -0,0 +1,626 @@
+/**
+ * Filter Controls Module
+ * 
+ * Owns the verse filters: a book picker (any set of books, with presets
+ * such as Old Testament or Gospels), chapter ranges when a single book is
+ * picked, a reference-count range and a "references book X" cross-filter.
+ * Also owns the edge filters, which hide references rather than verses:
+ * by testament direction, within or across books, between two books and
+ * by minimum weight. The renderer, the info panel's reference list and
+ * subgraph statistics all read them through getEdgeFilter.
+ * Active filters are listed as removable chips under the header controls.
+ * App.getFilteredVerses reads the values through EventHandlers.getFilters.
+ */
+
+const FilterControls = (function() {
+    'use strict';
+    
+    let button, panel, chipsEl, minRefsInput, maxRefsInput, chapterInput, referencesSelect;
+    let directionSelect, scopeSelect, edgeBookSelects, minWeightInput;
+    
+    // Testament directions for the edge filter
+    const DIRECTIONS = {
+        'OT-NT': { label: 'OT → NT', from: 'OT', to: 'NT' },
+        'NT-OT': { label: 'NT → OT', from: 'NT', to: 'OT' },
+        between: { label: 'Between testaments' }
+    };
+    
+    const state = {
+        books: [],           // Book codes in canonical order (empty = all books)
+        chapters: [],        // [from, to] chapter ranges, used with a single book
+        chapterText: '',     // Chapter ranges as typed
+        minRefs: 0,
+        maxRefs: null,       // null = no upper bound
+        referencesBook: '',  // Only verses referencing this book ('' = any)
+        direction: '',       // Key of DIRECTIONS ('' = any)
+        scope: '',           // 'same' (within a book), 'cross' (between books) or '' for both
+        edgeBooks: ['', ''], // Only references between these books, either way ('' = any book)
+        minWeight: CONFIG.filters.minEdgeWeight  // null = no cutoff
+    };
+    
+    // Edge predicate for the current state, rebuilt by update()
+    let edgeFilter = null;
+    let testamentByBook = null;
+    
+    /**
+     * Initialize the controls (after the data has loaded)
+     */
+    function init() {
+        button = document.getElementById('book-filter-btn');
+        chipsEl = document.getElementById('filter-chips');
+        minRefsInput = document.getElementById('min-refs');
+        maxRefsInput = document.getElementById('max-refs');
+        
+        if (!button || !chipsEl || !minRefsInput || !maxRefsInput) {
+            console.error('Filter controls not found - filters disabled');
+            return;
+        }
+        
+        createPanel();
+        
+        button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            panel.classList.toggle('hidden');
+        });
+        
+        // Close the picker when clicking elsewhere
+        document.addEventListener('click', (e) => {
+            if (!panel.contains(e.target)) {
+                panel.classList.add('hidden');
+            }
+        });
+        
+        minRefsInput.addEventListener('input', handleRefRangeInput);
+        maxRefsInput.addEventListener('input', handleRefRangeInput);
+        
+        chipsEl.addEventListener('click', (e) => {
+            const remove = e.target.closest('[data-filter]');
+            if (remove) removeFilter(remove.dataset.filter);
+        });
+        
+        update(false);
+    }
+    
+    /**
+     * Create the book picker under the Books button
+     */
+    function createPanel() {
+        const books = getAvailableBooks();
+        const bookBoxes = testament => books
+            .filter(b => b.testament === testament)
+            .map(b => `
+                <label class="filter-book" title="${b.name}">
+                    <input type="checkbox" value="${b.code}">
+                    ${b.code}
+                </label>
+            `).join('');
+        const bookOptions = books.map(b => `<option value="${b.code}">${b.name}</option>`).join('');
+        
+        panel = document.createElement('div');
+        panel.id = 'filter-panel';
+        panel.className = 'filter-panel hidden';
+        
+        panel.innerHTML = `
+            <div class="filter-presets">
+                <button data-preset="">All</button>
+                ${Object.entries(CONFIG.filters.presets).map(([key, preset]) =>
+                    `<button data-preset="${key}">${preset.label}</button>`
+                ).join('')}
+            </div>
+            <div class="filter-testament-title">Old Testament</div>
+            <div class="filter-books">${bookBoxes('OT')}</div>
+            <div class="filter-testament-title">New Testament</div>
+            <div class="filter-books">${bookBoxes('NT')}</div>
+            <label class="filter-row" title="Only with a single book selected">
+                Chapters
+                <input type="text" id="filter-chapters" placeholder="e.g., 1-11, 15">
+            </label>
+            <label class="filter-row">
+                Only verses referencing
+                <select id="filter-references">
+                    <option value="">Any book</option>
+                    ${bookOptions}
+                </select>
+            </label>
+            <div class="filter-section-title">References shown</div>
+            <label class="filter-row">
+                Direction
+                <select id="filter-direction">
+                    <option value="">Any</option>
+                    ${Object.entries(DIRECTIONS).map(([key, direction]) =>
+                        `<option value="${key}">${direction.label}</option>`
+                    ).join('')}
+                </select>
+            </label>
+            <label class="filter-row">
+                Books
+                <select id="filter-scope">
+                    <option value="">Same and cross-book</option>
+                    <option value="same">Same book only</option>
+                    <option value="cross">Cross-book only</option>
+                </select>
+            </label>
+            <div class="filter-row">
+                Between
+                <select class="filter-edge-book">
+                    <option value="">Any book</option>
+                    ${bookOptions}
+                </select>
+                and
+                <select class="filter-edge-book">
+                    <option value="">Any book</option>
+                    ${bookOptions}
+                </select>
+            </div>
+            <label class="filter-row">
+                Min weight
+                <input type="number" id="filter-min-weight" placeholder="none">
+            </label>
+            <div class="filter-panel-buttons">
+                <button id="filter-clear">Clear Filters</button>
+            </div>
+        `;
+        
+        button.parentElement.appendChild(panel);
+        
+        chapterInput = document.getElementById('filter-chapters');
+        referencesSelect = document.getElementById('filter-references');
+        directionSelect = document.getElementById('filter-direction');
+        scopeSelect = document.getElementById('filter-scope');
+        edgeBookSelects = Array.from(panel.querySelectorAll('.filter-edge-book'));
+        minWeightInput = document.getElementById('filter-min-weight');
+        
+        panel.querySelectorAll('[data-preset]').forEach(presetButton => {
+            presetButton.addEventListener('click', () => applyPreset(presetButton.dataset.preset));
+        });
+        
+        panel.querySelectorAll('.filter-book input').forEach(box => {
+            box.addEventListener('change', () => {
+                const selected = new Set(state.books);
+                if (box.checked) {
+                    selected.add(box.value);
+                } else {
+                    selected.delete(box.value);
+                }
+                setBooks(books.filter(b => selected.has(b.code)).map(b => b.code));
+            });
+        });
+        
+        chapterInput.addEventListener('input', () => {
+            const ranges = parseChapterRanges(chapterInput.value);
+            chapterInput.classList.toggle('invalid', ranges === null);
+            if (ranges === null) return;
+            
+            state.chapters = ranges;
+            state.chapterText = chapterInput.value.trim();
+            update();
+        });
+        
+        referencesSelect.addEventListener('change', () => {
+            state.referencesBook = referencesSelect.value;
+            update();
+        });
+        
+        directionSelect.addEventListener('change', () => {
+            state.direction = directionSelect.value;
+            update();
+        });
+        
+        scopeSelect.addEventListener('change', () => {
+            state.scope = scopeSelect.value;
+            update();
+        });
+        
+        edgeBookSelects.forEach(select => {
+            select.addEventListener('change', () => {
+                state.edgeBooks = edgeBookSelects.map(s => s.value);
+                update();
+            });
+        });
+        
+        minWeightInput.addEventListener('input', () => {
+            const weight = parseFloat(minWeightInput.value);
+            state.minWeight = isNaN(weight) ? null : weight;
+            update();
+        });
+        
+        document.getElementById('filter-clear').addEventListener('click', () => clear());
+    }
+    
+    /**
+     * Books present in the data, in canonical order
+     * @returns {Array} CONFIG.books entries
+     */
+    function getAvailableBooks() {
+        const present = DataLoader.getBooks();
+        return CONFIG.books.filter(b => present.has(b.code));
+    }
+    
+    /**
+     * Get the book codes of a preset
+     * @param {string} key - Key of CONFIG.filters.presets
+     * @returns {Array} Book codes present in the data, in canonical order
+     */
+    function getPresetBooks(key) {
+        const preset = CONFIG.filters.presets[key];
+        if (!preset) return [];
+        
+        return getAvailableBooks()
+            .filter(b => preset.testament ? b.testament === preset.testament : preset.books.includes(b.code))
+            .map(b => b.code);
+    }
+    
+    /**
+     * Select the books of a preset ('' for all books)
+     * @param {string} key - Key of CONFIG.filters.presets
+     */
+    function applyPreset(key) {
+        setBooks(getPresetBooks(key));
+    }
+    
+    /**
+     * Replace the book selection
+     * Chapter ranges only make sense for one book, so they're cleared otherwise.
+     * @param {Array} books - Book codes in canonical order
+     */
+    function setBooks(books) {
+        state.books = books;
+        if (books.length !== 1) {
+            state.chapters = [];
+            state.chapterText = '';
+        }
+        update();
+    }
+    
+    /**
+     * Parse chapter ranges such as "1-11, 15"
+     * @param {string} text - Ranges separated by commas or semicolons
+     * @returns {Array|null} [from, to] pairs (empty for no text), or null if invalid
+     */
+    function parseChapterRanges(text) {
+        const ranges = [];
+        const parts = text.split(/[,;]/).map(part => part.trim()).filter(Boolean);
+        
+        for (const part of parts) {
+            const match = part.match(/^(\d+)(?:\s*[-–]\s*(\d+))?$/);
+            if (!match) return null;
+            
+            const from = parseInt(match[1], 10);
+            const to = match[2] ? parseInt(match[2], 10) : from;
+            if (from < 1 || to < from) return null;
+            ranges.push([from, to]);
+        }
+        
+        return ranges;
+    }
+    
+    /**
+     * Read the reference-count range from the header inputs
+     */
+    function handleRefRangeInput() {
+        state.minRefs = parseInt(minRefsInput.value, 10) || 0;
+        
+        const max = parseInt(maxRefsInput.value, 10);
+        state.maxRefs = isNaN(max) ? null : max;
+        maxRefsInput.classList.toggle('invalid', state.maxRefs !== null && state.maxRefs < state.minRefs);
+        
+        update();
+    }
+    
+    /**
+     * Remove one kind of filter (from its chip)
+     * @param {string} filter - 'books', 'chapters', 'minRefs', 'maxRefs', 'referencesBook',
+     *     'direction', 'scope', 'edgeBooks' or 'minWeight'
+     */
+    function removeFilter(filter) {
+        switch (filter) {
+            case 'books':
+                setBooks([]);
+                return;
+            case 'chapters':
+                state.chapters = [];
+                state.chapterText = '';
+                break;
+            case 'minRefs':
+                state.minRefs = 0;
+                break;
+            case 'maxRefs':
+                state.maxRefs = null;
+                break;
+            case 'referencesBook':
+                state.referencesBook = '';
+                break;
+            case 'direction':
+                state.direction = '';
+                break;
+            case 'scope':
+                state.scope = '';
+                break;
+            case 'edgeBooks':
+                state.edgeBooks = ['', ''];
+                break;
+            case 'minWeight':
+                state.minWeight = null;
+                break;
+        }
+        update();
+    }
+    
+    /**
+     * Reset every filter
+     * @param {boolean} redraw - Whether to render afterwards
+     */
+    function clear(redraw = true) {
+        state.books = [];
+        state.chapters = [];
+        state.chapterText = '';
+        state.minRefs = 0;
+        state.maxRefs = null;
+        state.referencesBook = '';
+        state.direction = '';
+        state.scope = '';
+        state.edgeBooks = ['', ''];
+        state.minWeight = null;
+        update(redraw);
+    }
+    
+    /**
+     * Sync the controls and chips with the state, then redraw
+     * The renderer and the info panel are handed the new edge filter.
+     * @param {boolean} redraw - Whether to render afterwards
+     */
+    function update(redraw = true) {
+        if (!panel) return;
+        
+        const selected = new Set(state.books);
+        panel.querySelectorAll('.filter-book input').forEach(box => {
+            box.checked = selected.has(box.value);
+        });
+        
+        chapterInput.disabled = state.books.length !== 1;
+        if (chapterInput.value.trim() !== state.chapterText) {
+            chapterInput.value = state.chapterText;
+        }
+        chapterInput.classList.remove('invalid');
+        referencesSelect.value = state.referencesBook;
+        directionSelect.value = state.direction;
+        scopeSelect.value = state.scope;
+        edgeBookSelects.forEach((select, i) => {
+            select.value = state.edgeBooks[i];
+        });
+        const typedWeight = parseFloat(minWeightInput.value);
+        if ((isNaN(typedWeight) ? null : typedWeight) !== state.minWeight) {
+            minWeightInput.value = state.minWeight === null ? '' : String(state.minWeight);
+        }
+        
+        // Leave the inputs alone while what's typed already means the same
+        if ((parseInt(minRefsInput.value, 10) || 0) !== state.minRefs) {
+            minRefsInput.value = String(state.minRefs);
+        }
+        const typedMax = parseInt(maxRefsInput.value, 10);
+        if ((isNaN(typedMax) ? null : typedMax) !== state.maxRefs) {
+            maxRefsInput.value = state.maxRefs === null ? '' : String(state.maxRefs);
+        }
+        if (state.maxRefs === null) maxRefsInput.classList.remove('invalid');
+        
+        button.textContent = `${describeBooks()} ▾`;
+        renderChips();
+        
+        edgeFilter = buildEdgeFilter();
+        Renderer.setEdgeFilter(edgeFilter);
+        EventHandlers.refreshReferencesList();
+        
+        if (redraw) {
+            window.app.render();
+        }
+    }
+    
+    /**
+     * Describe the book selection
+     * @returns {string} Preset name, up to three book codes, or a count
+     */
+    function describeBooks() {
+        if (state.books.length === 0) return 'All Books';
+        
+        const key = state.books.join(',');
+        const preset = Object.keys(CONFIG.filters.presets).find(p => getPresetBooks(p).join(',') === key);
+        if (preset) return CONFIG.filters.presets[preset].label;
+        
+        return state.books.length <= 3 ? state.books.join(', ') : `${state.books.length} books`;
+    }
+    
+    /**
+     * Show a removable chip for each active filter
+     */
+    function renderChips() {
+        const chips = [];
+        
+        if (state.books.length > 0) {
+            chips.push(['books', `Books: ${describeBooks()}`]);
+        }
+        if (state.books.length === 1 && state.chapters.length > 0) {
+            const ranges = state.chapters.map(([from, to]) => from === to ? from : `${from}–${to}`);
+            chips.push(['chapters', `${state.books[0]} chapters ${ranges.join(', ')}`]);
+        }
+        if (state.minRefs > 0) {
+            chips.push(['minRefs', `≥ ${state.minRefs} references`]);
+        }
+        if (state.maxRefs !== null) {
+            chips.push(['maxRefs', `≤ ${state.maxRefs} references`]);
+        }
+        if (state.referencesBook) {
+            const book = CONFIG.books.find(b => b.code === state.referencesBook);
+            chips.push(['referencesBook', `References ${book ? book.name : state.referencesBook}`]);
+        }
+        if (state.direction) {
+            chips.push(['direction', `${DIRECTIONS[state.direction].label} references`]);
+        }
+        if (state.scope) {
+            chips.push(['scope', state.scope === 'same' ? 'Same-book references' : 'Cross-book references']);
+        }
+        const edgeBooks = state.edgeBooks.filter(Boolean);
+        if (edgeBooks.length === 2) {
+            chips.push(['edgeBooks', `References ${edgeBooks[0]} ↔ ${edgeBooks[1]}`]);
+        } else if (edgeBooks.length === 1) {
+            chips.push(['edgeBooks', `References to or from ${edgeBooks[0]}`]);
+        }
+        if (state.minWeight !== null) {
+            chips.push(['minWeight', `Weight ≥ ${state.minWeight}`]);
+        }
+        
+        chipsEl.innerHTML = chips.map(([filter, label]) => `
+            <span class="filter-chip">
+                ${label}
+                <button class="chip-remove" data-filter="${filter}" title="Remove filter">×</button>
+            </span>
+        `).join('');
+        chipsEl.classList.toggle('hidden', chips.length === 0);
+    }
+    
+    /**
+     * Get the current filter values
+     * @returns {Object} { books, chapters, minRefs, maxRefs, referencesBook } -
+     *     chapters is only non-empty when exactly one book is selected
+     */
+    function getFilters() {
+        return {
+            books: state.books.slice(),
+            chapters: state.books.length === 1 ? state.chapters.map(range => range.slice()) : [],
+            minRefs: state.minRefs,
+            maxRefs: state.maxRefs,
+            referencesBook: state.referencesBook
+        };
+    }
+    
+    /**
+     * Get every filter setting, e.g. to save it in the URL
+     * @returns {Object} { books, chapterText, minRefs, maxRefs, referencesBook,
+     *     direction, scope, edgeBooks, minWeight }
+     */
+    function getState() {
+        return {
+            books: state.books.slice(),
+            chapterText: state.chapterText,
+            minRefs: state.minRefs,
+            maxRefs: state.maxRefs,
+            referencesBook: state.referencesBook,
+            direction: state.direction,
+            scope: state.scope,
+            edgeBooks: state.edgeBooks.slice(),
+            minWeight: state.minWeight
+        };
+    }
+    
+    /**
+     * Replace every filter setting (missing values are cleared)
+     * Values that don't apply to the loaded data, such as unknown books,
+     * are dropped rather than rejected, so old links still open.
+     * @param {Object} values - As returned by getState
+     * @param {boolean} redraw - Whether to render afterwards
+     */
+    function setState(values, redraw = true) {
+        const present = new Set(getAvailableBooks().map(b => b.code));
+        const known = book => (present.has(book) ? book : '');
+        const chapters = values.chapterText ? parseChapterRanges(values.chapterText) : [];
+        
+        state.books = getAvailableBooks()
+            .filter(b => (values.books || []).includes(b.code))
+            .map(b => b.code);
+        state.chapters = state.books.length === 1 && chapters ? chapters : [];
+        state.chapterText = state.chapters.length > 0 ? values.chapterText.trim() : '';
+        state.minRefs = Math.max(0, parseInt(values.minRefs, 10) || 0);
+        state.maxRefs = Number.isInteger(values.maxRefs) ? values.maxRefs : null;
+        state.referencesBook = known(values.referencesBook);
+        // Own keys only: "toString" and the like are not directions
+        state.direction = Object.prototype.hasOwnProperty.call(DIRECTIONS, values.direction) ? values.direction : '';
+        state.scope = ['same', 'cross'].includes(values.scope) ? values.scope : '';
+        state.edgeBooks = [0, 1].map(i => known((values.edgeBooks || [])[i]));
+        state.minWeight = Number.isFinite(values.minWeight) ? values.minWeight : null;
+        update(redraw);
+    }
+    
+    /**
+     * Build the edge predicate for the current state
+     * References are directed: source is the referencing verse.
+     * With one book chosen under "Between", references to or from it pass.
+     * @returns {Object|null} { key, passes(source, target, weight) }, or null
+     *     when no edge filter is active
+     */
+    function buildEdgeFilter() {
+        const { direction, scope, minWeight } = state;
+        const edgeBooks = state.edgeBooks.filter(Boolean);
+        
+        if (!direction && !scope && edgeBooks.length === 0 && minWeight === null) {
+            return null;
+        }
+        
+        const directionRule = DIRECTIONS[direction];
+        const [bookA, bookB] = edgeBooks;
+        
+        function passes(source, target, weight) {
+            if (minWeight !== null && weight < minWeight) return false;
+            
+            if (scope === 'same' && source.book !== target.book) return false;
+            if (scope === 'cross' && source.book === target.book) return false;
+            
+            if (directionRule) {
+                const from = getTestament(source.book);
+                const to = getTestament(target.book);
+                if (from === to) return false;
+                if (directionRule.from && (from !== directionRule.from || to !== directionRule.to)) return false;
+            }
+            
+            if (bookB) {
+                return (source.book === bookA && target.book === bookB) ||
+                    (source.book === bookB && target.book === bookA);
+            }
+            if (bookA) {
+                return source.book === bookA || target.book === bookA;
+            }
+            return true;
+        }
+        
+        return {
+            key: JSON.stringify([direction, scope, edgeBooks, minWeight]),
+            passes
+        };
+    }
+    
+    /**
+     * Look up a book's testament
+     * @param {string} book - Book code
+     * @returns {string} 'OT', 'NT' or undefined
+     */
+    function getTestament(book) {
+        if (!testamentByBook) {
+            testamentByBook = new Map(CONFIG.books.map(b => [b.code, b.testament]));
+        }
+        return testamentByBook.get(book);
+    }
+    
+    /**
+     * Get the edge filter
+     * @returns {Object|null} { key, passes(source, target, weight) } taking the
+     *     referencing and referenced verse objects, or null if every reference passes
+     */
+    function getEdgeFilter() {
+        return edgeFilter;
+    }
+    
+    // Public API
+    return {
+        init,
+        applyPreset,
+        setBooks,
+        removeFilter,
+        clear,
+        getFilters,
+        getState,
+        setState,
+        getEdgeFilter,
+        parseChapterRanges
+    };
+})();
+
+// Make FilterControls globally available
+window.FilterControls = FilterControls;
\ No newline at end of file
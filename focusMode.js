@@ -0,0 +1,452 @@
+/**
+ * Focus Mode Module
+ * 
+ * Isolates a verse's 1-, 2- or 3-hop neighborhood (following references
+ * in either direction), lays just those verses out radially by hop
+ * distance or with a force-directed layout, and colors them by hop.
+ * Focusing on a verse inside a neighborhood adds a breadcrumb, so the
+ * user can step back out one level at a time (or with Escape).
+ */
+
+const FocusMode = (function() {
+    'use strict';
+    
+    let bar, crumbsEl, hopsSelect, layoutSelect, noteEl;
+    
+    // Breadcrumbs, outermost first: { verse, hops, reached, layout, distances, note }
+    let stack = [];
+    let version = 0;  // Bumped whenever the focused neighborhood or layout changes
+    
+    /**
+     * Initialize the breadcrumb bar and focus triggers
+     */
+    function init() {
+        createBar();
+        
+        const focusBtn = document.getElementById('focus-btn');
+        if (focusBtn) {
+            focusBtn.addEventListener('click', () => {
+                const view = Renderer.getViewState();
+                const verse = view.selectedVerse || view.hoveredVerse;
+                if (verse) enter(verse);
+            });
+        }
+        
+        // Double-click a verse to focus on it
+        const canvas = document.getElementById('canvas');
+        if (canvas) {
+            canvas.addEventListener('dblclick', () => {
+                const verse = Renderer.getViewState().hoveredVerse;
+                if (verse) enter(verse);
+            });
+        }
+        
+        // Escape steps back out, unless the user is typing
+        document.addEventListener('keydown', (e) => {
+            if (e.key !== 'Escape' || stack.length === 0) return;
+            if (e.target && /^(INPUT|SELECT|TEXTAREA)$/.test(e.target.tagName)) return;
+            back();
+        });
+    }
+    
+    /**
+     * Create the breadcrumb bar
+     */
+    function createBar() {
+        bar = document.createElement('div');
+        bar.id = 'focus-bar';
+        bar.className = 'focus-bar hidden';
+        
+        bar.innerHTML = `
+            <div class="focus-crumbs"></div>
+            <div class="focus-controls">
+                <label>
+                    Hops
+                    <select id="focus-hops">
+                        <option value="1">1</option>
+                        <option value="2">2</option>
+                        <option value="3">3</option>
+                    </select>
+                </label>
+                <label>
+                    Layout
+                    <select id="focus-layout">
+                        <option value="radial">Radial by hop</option>
+                        <option value="force">Force-directed</option>
+                    </select>
+                </label>
+                <button id="focus-exit">Exit Focus</button>
+            </div>
+            <div class="focus-note"></div>
+        `;
+        
+        const container = document.getElementById('canvas-container') || document.body;
+        container.appendChild(bar);
+        
+        crumbsEl = bar.querySelector('.focus-crumbs');
+        noteEl = bar.querySelector('.focus-note');
+        hopsSelect = document.getElementById('focus-hops');
+        layoutSelect = document.getElementById('focus-layout');
+        
+        // Changing the settings updates the current level rather than adding one
+        hopsSelect.addEventListener('change', () => {
+            const current = getCurrent();
+            if (!current) return;
+            Object.assign(current, getNeighborhood(current.verse, parseInt(hopsSelect.value, 10)));
+            apply();
+        });
+        layoutSelect.addEventListener('change', () => {
+            const current = getCurrent();
+            if (!current) return;
+            current.layout = layoutSelect.value;
+            apply();
+        });
+        document.getElementById('focus-exit').addEventListener('click', exit);
+    }
+    
+    /**
+     * Focus on a verse's neighborhood, adding a breadcrumb
+     * Hops and layout default to the current level's, then CONFIG.focus.
+     * @param {Object} verse - Verse to focus on
+     * @param {number} hops - Neighborhood radius (1-3)
+     * @param {string} layout - 'radial' or 'force'
+     */
+    function enter(verse, hops, layout) {
+        const current = getCurrent();
+        const radius = hops || (current ? current.hops : CONFIG.focus.hops);
+        
+        // Focusing on the current verse again just changes the settings
+        if (current && current.verse === verse) {
+            stack.pop();
+        }
+        
+        stack.push({
+            verse,
+            layout: layout || (current ? current.layout : CONFIG.focus.layout),
+            ...getNeighborhood(verse, radius)
+        });
+        apply();
+    }
+    
+    /**
+     * Step back out one level
+     */
+    function back() {
+        goTo(stack.length - 1);
+    }
+    
+    /**
+     * Go back to a breadcrumb
+     * @param {number} depth - Number of levels to keep (0 = full network)
+     */
+    function goTo(depth) {
+        stack = stack.slice(0, Math.max(depth, 0));
+        apply();
+    }
+    
+    /**
+     * Leave focus mode and show the full network
+     */
+    function exit() {
+        goTo(0);
+    }
+    
+    /**
+     * Get the innermost breadcrumb
+     * @returns {Object|null} Current level or null when not focused
+     */
+    function getCurrent() {
+        return stack.length > 0 ? stack[stack.length - 1] : null;
+    }
+    
+    /**
+     * Find every verse within a number of hops
+     * References count in both directions. If the neighborhood would exceed
+     * CONFIG.focus.maxVerses, the outermost hop is left out.
+     * @param {Object} verse - Center verse
+     * @param {number} hops - Neighborhood radius
+     * @returns {Object} { hops, reached (hops actually included), distances (Map of verse ID to hop), note }
+     */
+    function getNeighborhood(verse, hops) {
+        const distances = new Map([[verse.id, 0]]);
+        let frontier = [verse];
+        let reached = 0;
+        let note = '';
+        
+        for (let hop = 1; hop <= hops && frontier.length > 0; hop++) {
+            const next = [];
+            frontier.forEach(current => {
+                current.edges.concat(current.incoming).forEach(edge => {
+                    if (distances.has(edge.id)) return;
+                    const neighbor = DataLoader.findVerseById(edge.id);
+                    if (!neighbor) return;
+                    distances.set(edge.id, hop);
+                    next.push(neighbor);
+                });
+            });
+            
+            if (distances.size > CONFIG.focus.maxVerses) {
+                next.forEach(neighbor => distances.delete(neighbor.id));
+                note = `${hop} hops would show ${(distances.size + next.length).toLocaleString()} verses - showing ${hop - 1}.`;
+                break;
+            }
+            
+            reached = hop;
+            frontier = next;
+        }
+        
+        return { hops, reached, distances, note };
+    }
+    
+    /**
+     * Apply the current level: layout, colors, selection and breadcrumbs
+     */
+    function apply() {
+        version++;
+        const current = getCurrent();
+        const selected = current ? current.verse : Renderer.getViewState().selectedVerse;
+        
+        if (current) {
+            const key = `focus-${version}`;
+            Renderer.setCustomLayout({ key, place: verses => placeVerses(verses, current) });
+            ColorScheme.setHopDistances(current.distances);
+        } else {
+            Renderer.setCustomLayout(null);
+            ColorScheme.setHopDistances(null);
+        }
+        
+        Renderer.resetView();
+        renderBar();
+        
+        // resetView clears the selection; selecting again also renders
+        if (selected) {
+            EventHandlers.selectVerse(selected);
+        } else {
+            window.app.render();
+        }
+    }
+    
+    /**
+     * Lay out the shown verses of the current neighborhood
+     * @param {Array} verses - Verses to place (the filtered neighborhood)
+     * @param {Object} level - Current breadcrumb
+     */
+    function placeVerses(verses, level) {
+        placeRadial(verses, level.distances);
+        
+        if (level.layout === 'force') {
+            if (verses.length <= CONFIG.focus.maxForceVerses) {
+                placeForce(verses, level.verse);
+            } else {
+                console.warn(`Focus neighborhood has ${verses.length} verses - using the radial layout`);
+            }
+        }
+    }
+    
+    /**
+     * Place verses on rings by hop distance, the focused verse in the middle
+     * Each ring is ordered by the angle of the verse that reached it, so
+     * branches of the neighborhood stay together.
+     * @param {Array} verses - Verses to place (in canonical order)
+     * @param {Map} distances - Verse ID to hop distance
+     */
+    function placeRadial(verses, distances) {
+        const rings = [];
+        verses.forEach(verse => {
+            const hop = distances.get(verse.id);
+            (rings[hop] = rings[hop] || []).push(verse);
+        });
+        
+        const maxHop = Math.max(rings.length - 1, 1);
+        const angles = new Map();
+        
+        rings.forEach((ring, hop) => {
+            if (!ring) return;
+            
+            if (hop === 0) {
+                ring.forEach(verse => {
+                    verse.angle = 0;
+                    verse.ux = 0;
+                    verse.uy = 0;
+                    angles.set(verse.id, 0);
+                });
+                return;
+            }
+            
+            // Stable sort keeps canonical order among verses with the same parent
+            const parentAngle = new Map(ring.map(verse => [verse.id, getParentAngle(verse, angles)]));
+            ring.sort((a, b) => parentAngle.get(a.id) - parentAngle.get(b.id));
+            
+            const r = hop / maxHop;
+            ring.forEach((verse, i) => {
+                const angle = -Math.PI / 2 + (i / ring.length) * Math.PI * 2;
+                verse.angle = angle;
+                verse.ux = Math.cos(angle) * r;
+                verse.uy = Math.sin(angle) * r;
+                angles.set(verse.id, angle);
+            });
+        });
+    }
+    
+    /**
+     * Smallest angle among a verse's neighbors already placed on inner rings
+     * @param {Object} verse - Verse being placed
+     * @param {Map} angles - Verse ID to angle for placed verses
+     * @returns {number} Angle, or Infinity if no neighbor is placed
+     */
+    function getParentAngle(verse, angles) {
+        let best = Infinity;
+        verse.edges.concat(verse.incoming).forEach(edge => {
+            if (angles.has(edge.id)) {
+                best = Math.min(best, angles.get(edge.id));
+            }
+        });
+        return best;
+    }
+    
+    /**
+     * Refine positions with a force-directed layout
+     * Fruchterman-Reingold: every pair repels, references pull their ends
+     * together. The focused verse stays in the middle and the result is
+     * scaled to the unit circle.
+     * @param {Array} verses - Verses with starting positions
+     * @param {Object} center - Focused verse
+     */
+    function placeForce(verses, center) {
+        const n = verses.length;
+        if (n < 2) return;
+        
+        const index = new Map(verses.map((v, i) => [v.id, i]));
+        const x = Float64Array.from(verses, v => v.ux);
+        const y = Float64Array.from(verses, v => v.uy);
+        const dx = new Float64Array(n);
+        const dy = new Float64Array(n);
+        const centerIndex = index.get(center.id);
+        
+        const links = [];
+        verses.forEach((verse, i) => {
+            verse.edges.forEach(edge => {
+                const j = index.get(edge.id);
+                if (j !== undefined && j !== i) links.push(i, j);
+            });
+        });
+        
+        // Ideal distance between verses so n of them fill the unit circle
+        const k = Math.sqrt(Math.PI / n);
+        const iterations = CONFIG.focus.forceIterations;
+        
+        for (let iter = 0; iter < iterations; iter++) {
+            const temperature = 0.1 * (1 - iter / iterations);
+            dx.fill(0);
+            dy.fill(0);
+            
+            for (let i = 0; i < n; i++) {
+                for (let j = i + 1; j < n; j++) {
+                    const ox = x[i] - x[j];
+                    const oy = y[i] - y[j];
+                    const distance = Math.sqrt(ox * ox + oy * oy) || 1e-4;
+                    const force = (k * k) / (distance * distance);
+                    dx[i] += ox * force;
+                    dy[i] += oy * force;
+                    dx[j] -= ox * force;
+                    dy[j] -= oy * force;
+                }
+            }
+            
+            for (let l = 0; l < links.length; l += 2) {
+                const i = links[l];
+                const j = links[l + 1];
+                const ox = x[i] - x[j];
+                const oy = y[i] - y[j];
+                const force = Math.sqrt(ox * ox + oy * oy) / k;
+                dx[i] -= ox * force;
+                dy[i] -= oy * force;
+                dx[j] += ox * force;
+                dy[j] += oy * force;
+            }
+            
+            for (let i = 0; i < n; i++) {
+                if (i === centerIndex) continue;
+                
+                // Gentle pull toward the middle keeps disconnected verses close
+                dx[i] -= x[i] * k;
+                dy[i] -= y[i] * k;
+                
+                const length = Math.sqrt(dx[i] * dx[i] + dy[i] * dy[i]);
+                if (length === 0) continue;
+                const step = Math.min(length, temperature);
+                x[i] += (dx[i] / length) * step;
+                y[i] += (dy[i] / length) * step;
+            }
+        }
+        
+        let maxRadius = 0;
+        for (let i = 0; i < n; i++) {
+            maxRadius = Math.max(maxRadius, Math.sqrt(x[i] * x[i] + y[i] * y[i]));
+        }
+        maxRadius = maxRadius || 1;
+        
+        verses.forEach((verse, i) => {
+            verse.ux = x[i] / maxRadius;
+            verse.uy = y[i] / maxRadius;
+            verse.angle = Math.atan2(verse.uy, verse.ux);
+        });
+    }
+    
+    /**
+     * Render the breadcrumbs and sync the controls with the current level
+     */
+    function renderBar() {
+        const current = getCurrent();
+        bar.classList.toggle('hidden', !current);
+        if (!current) return;
+        
+        crumbsEl.innerHTML = '';
+        const crumbs = [{ label: 'Full network' }].concat(stack.map(level => ({
+            label: `${level.verse.verse} · ${level.reached} ${level.reached === 1 ? 'hop' : 'hops'} (${level.distances.size.toLocaleString()})`
+        })));
+        
+        crumbs.forEach((crumb, depth) => {
+            if (depth > 0) {
+                const separator = document.createElement('span');
+                separator.className = 'focus-separator';
+                separator.textContent = '›';
+                crumbsEl.appendChild(separator);
+            }
+            
+            const item = document.createElement('span');
+            item.textContent = crumb.label;
+            if (depth < stack.length) {
+                item.className = 'focus-crumb';
+                item.addEventListener('click', () => goTo(depth));
+            } else {
+                item.className = 'focus-crumb current';
+            }
+            crumbsEl.appendChild(item);
+        });
+        
+        hopsSelect.value = String(current.hops);
+        layoutSelect.value = current.layout;
+        
+        let note = current.note;
+        if (current.layout === 'force' && current.distances.size > CONFIG.focus.maxForceVerses) {
+            note += ` Too many verses for the force layout - showing rings by hop.`;
+        }
+        noteEl.textContent = note.trim();
+    }
+    
+    // Public API
+    return {
+        init,
+        enter,
+        back,
+        goTo,
+        exit,
+        isActive: () => stack.length > 0,
+        getDistances: () => (getCurrent() ? getCurrent().distances : null),
+        getVersion: () => version
+    };
+})();
+
+// Make FocusMode globally available
+window.FocusMode = FocusMode;
\ No newline at end of file
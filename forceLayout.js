@@ -0,0 +1,873 @@
+/**
+ * Force Layout Module
+ * 
+ * The "Force" layout mode: a force-directed layout of the currently
+ * filtered verses. References pull their verses together, every verse
+ * repels every other (approximated with a Barnes-Hut quadtree) and each
+ * verse is drawn toward the middle of its community from detectCommunities,
+ * so clusters gather visibly.
+ * 
+ * The simulation cools over CONFIG.forceLayout.iterations ticks. Work is
+ * done in slices of CONFIG.forceLayout.frameBudget ms per animation frame,
+ * and a tick on a large graph may span several frames, so the page stays
+ * responsive while it settles. Dragging a verse pins it where it is dropped; positions and
+ * pins can be saved to localStorage and are reused next time. They are
+ * saved by reference ("GEN 1 1"), since verse IDs depend on which data
+ * sources were loaded.
+ */
+
+const ForceLayout = (function() {
+    'use strict';
+    
+    let active = false;
+    let sim = null;              // Running simulation for one verse list
+    let alpha = 0;               // Current heat; forces scale with it
+    let alphaTarget = 0;         // Heat to hold while dragging
+    let frame = null;
+    let tickCursor = 0;          // Progress through the current tick (0 = not started)
+    
+    // Positions in simulation units, kept across filter changes
+    let positions = new Map();   // Verse ID to { x, y }
+    let pinned = new Map();      // Verse ID to { x, y }
+    
+    let communities = null;      // Verse ID to community rank, once computed
+    let communityJob = null;
+    
+    // Mapping from simulation units to the unit circle, from the last placement
+    let transform = { cx: 0, cy: 0, scale: 1 };
+    
+    let controls, statusEl;
+    
+    // Barnes-Hut quadtree, reused between ticks
+    const tree = {
+        capacity: 0,
+        count: 0,
+        x0: null,
+        y0: null,
+        size: null,
+        children: null,  // Four per node, -1 for a leaf
+        first: null,     // First body in a leaf, -1 if empty
+        mass: null,
+        comX: null,
+        comY: null,
+        next: null       // Next body in the same leaf (coincident verses)
+    };
+    
+    /**
+     * Initialize the layout controls and restore saved positions
+     */
+    function init() {
+        createControls();
+        loadSaved();
+        setActive(Renderer.getViewState().layoutMode === 'force');
+    }
+    
+    /**
+     * Create the status line and buttons shown next to the layout selector
+     */
+    function createControls() {
+        controls = document.createElement('div');
+        controls.id = 'force-controls';
+        controls.className = 'control-group force-controls hidden';
+        
+        controls.innerHTML = `
+            <span id="force-status" class="force-status"></span>
+            <button id="force-save" title="Remember these positions and pins for next time">Save</button>
+            <button id="force-unpin" title="Let dragged verses move again">Unpin All</button>
+            <button id="force-reset" title="Forget saved positions and lay out again">Reset</button>
+        `;
+        
+        const layoutSelect = document.getElementById('layout-mode');
+        const group = layoutSelect ? layoutSelect.closest('.control-group') : null;
+        if (group) {
+            group.after(controls);
+        } else {
+            (document.getElementById('controls') || document.body).appendChild(controls);
+        }
+        
+        statusEl = document.getElementById('force-status');
+        
+        document.getElementById('force-save').addEventListener('click', save);
+        document.getElementById('force-unpin').addEventListener('click', unpinAll);
+        document.getElementById('force-reset').addEventListener('click', reset);
+    }
+    
+    /**
+     * Show or hide the controls when the layout mode changes
+     * Leaving the mode pauses the simulation; it resumes when the mode returns.
+     * @param {boolean} value - Whether the force layout is the current mode
+     */
+    function setActive(value) {
+        active = value;
+        controls.classList.toggle('hidden', !value);
+        
+        if (!value && frame !== null) {
+            cancelAnimationFrame(frame);
+            frame = null;
+        }
+        updateStatus();
+    }
+    
+    /**
+     * Set each verse's ux/uy from the simulation (called by Renderer.updateLayout)
+     * A new verse list starts a new simulation, keeping known positions.
+     * @param {Array} verses - Verses to lay out
+     */
+    function place(verses) {
+        if (!sim || sim.verses !== verses) {
+            start(verses);
+        }
+        
+        writePositions();
+        
+        if (isRunning()) {
+            schedule();
+        }
+    }
+    
+    /**
+     * Start a simulation for a verse list
+     * Verses laid out before keep their positions; new ones start on a
+     * sunflower spiral. The more verses are new, the hotter the start.
+     * @param {Array} verses - Verses to lay out
+     */
+    function start(verses) {
+        syncPositions();
+        
+        const n = verses.length;
+        const index = new Map(verses.map((v, i) => [v.id, i]));
+        const x = new Float64Array(n);
+        const y = new Float64Array(n);
+        const fx = new Float64Array(n).fill(NaN);
+        const fy = new Float64Array(n).fill(NaN);
+        const spiralAngle = Math.PI * (3 - Math.sqrt(5));
+        let known = 0;
+        
+        verses.forEach((verse, i) => {
+            const position = positions.get(verse.id);
+            if (position) {
+                x[i] = position.x;
+                y[i] = position.y;
+                known++;
+            } else {
+                const r = 10 * Math.sqrt(0.5 + i);
+                x[i] = r * Math.cos(i * spiralAngle);
+                y[i] = r * Math.sin(i * spiralAngle);
+            }
+            
+            const pin = pinned.get(verse.id);
+            if (pin) {
+                fx[i] = x[i] = pin.x;
+                fy[i] = y[i] = pin.y;
+            }
+        });
+        
+        sim = {
+            verses,
+            index,
+            n,
+            x,
+            y,
+            vx: new Float64Array(n),
+            vy: new Float64Array(n),
+            fx,
+            fy,
+            links: buildLinks(verses, index),
+            community: null,
+            communityCount: 0
+        };
+        tickCursor = 0;
+        
+        assignCommunities();
+        
+        const fresh = n - known;
+        if (fresh > n / 2) {
+            alpha = 1;
+        } else if (fresh > 0) {
+            alpha = Math.max(alpha, CONFIG.forceLayout.reheatAlpha);
+        }
+        
+        requestCommunities();
+    }
+    
+    /**
+     * Collect the references between simulated verses, once per pair
+     * Each link's pull is shared out by degree, as in d3-force: links to
+     * busy verses are weaker, and the less connected end moves more.
+     * @param {Array} verses - Simulated verses
+     * @param {Map} index - Verse ID to simulation index
+     * @returns {Object} { source, target, strength, bias, count }
+     */
+    function buildLinks(verses, index) {
+        const n = verses.length;
+        const seen = new Set();
+        const pairs = [];
+        const degree = new Uint32Array(n);
+        
+        verses.forEach((verse, i) => {
+            verse.edges.forEach(edge => {
+                const j = index.get(edge.id);
+                if (j === undefined || j === i) return;
+                
+                const key = i < j ? i * n + j : j * n + i;
+                if (seen.has(key)) return;
+                seen.add(key);
+                
+                pairs.push(i, j);
+                degree[i]++;
+                degree[j]++;
+            });
+        });
+        
+        const count = pairs.length / 2;
+        const links = {
+            source: new Uint32Array(count),
+            target: new Uint32Array(count),
+            strength: new Float64Array(count),
+            bias: new Float64Array(count),
+            count
+        };
+        
+        for (let l = 0; l < count; l++) {
+            const s = pairs[l * 2];
+            const t = pairs[l * 2 + 1];
+            links.source[l] = s;
+            links.target[l] = t;
+            links.strength[l] = 1 / Math.min(degree[s], degree[t]);
+            links.bias[l] = degree[s] / (degree[s] + degree[t]);
+        }
+        
+        return links;
+    }
+    
+    /**
+     * Ask the statistics worker for communities (once)
+     * Uses the stats panel's settings, so the groups match its Communities tab.
+     */
+    function requestCommunities() {
+        if (communities || communityJob) return;
+        
+        const settings = typeof StatsPanel !== 'undefined' ? StatsPanel.getSettings() : {};
+        const job = NetworkStats.getVerseScoresAsync(DataLoader.getVerses(), 'community', settings);
+        communityJob = job;
+        
+        job.promise.then(scores => {
+            if (communityJob !== job || !scores) return;
+            communityJob = null;
+            communities = scores;
+            
+            if (sim) {
+                assignCommunities();
+                alpha = Math.max(alpha, CONFIG.forceLayout.reheatAlpha);
+                schedule();
+                updateStatus();
+            }
+        }).catch(error => {
+            if (communityJob === job) communityJob = null;
+            console.error('Error computing communities for the force layout:', error);
+        });
+    }
+    
+    /**
+     * Give each simulated verse a dense community number
+     */
+    function assignCommunities() {
+        if (!communities) return;
+        
+        const numbers = new Map();
+        sim.community = Int32Array.from(sim.verses, verse => {
+            const rank = communities.get(verse.id);
+            if (rank === undefined) return -1;
+            if (!numbers.has(rank)) numbers.set(rank, numbers.size);
+            return numbers.get(rank);
+        });
+        sim.communityCount = numbers.size;
+    }
+    
+    /**
+     * Whether the simulation is still moving
+     * @returns {boolean} True while it has heat left or a verse is being dragged
+     */
+    function isRunning() {
+        return sim !== null && (alpha >= CONFIG.forceLayout.alphaMin || alphaTarget > 0);
+    }
+    
+    /**
+     * Queue the next batch of ticks
+     */
+    function schedule() {
+        if (frame === null && active) {
+            frame = requestAnimationFrame(step);
+        }
+    }
+    
+    /**
+     * Work on the simulation for up to CONFIG.forceLayout.frameBudget ms
+     * Redraws if any tick finished, otherwise just carries on next frame.
+     * Pauses while another layout (focus mode) is on screen.
+     */
+    function step() {
+        frame = null;
+        if (!active || !sim || Renderer.getViewState().customLayout) return;
+        
+        const deadline = performance.now() + CONFIG.forceLayout.frameBudget;
+        let moved = false;
+        do {
+            moved = tick(deadline) || moved;
+        } while (isRunning() && performance.now() < deadline);
+        
+        if (!moved) {
+            schedule();
+            return;
+        }
+        
+        Renderer.invalidateLayout();
+        updateStatus();
+        window.app.render();
+    }
+    
+    /**
+     * Advance the simulation by one tick, or as much of it as fits
+     * The charge and link passes stop at the deadline and resume from
+     * tickCursor on the next call; positions only move once both are done.
+     * @param {number} deadline - performance.now() time to stop at
+     * @returns {boolean} True if the tick finished and positions moved
+     */
+    function tick(deadline) {
+        const { n, x, y, vx, vy, fx, fy, links } = sim;
+        const settings = CONFIG.forceLayout;
+        const total = n + links.count;
+        const slice = 512;
+        
+        if (tickCursor === 0) {
+            alpha += (alphaTarget - alpha) * (1 - Math.pow(settings.alphaMin, 1 / settings.iterations));
+            buildTree(x, y, n);
+        }
+        
+        while (tickCursor < total) {
+            const end = Math.min(tickCursor + slice, total);
+            if (tickCursor < n) {
+                applyCharge(tickCursor, Math.min(end, n));
+            }
+            if (end > n) {
+                applyLinks(Math.max(tickCursor, n) - n, end - n);
+            }
+            tickCursor = end;
+            
+            if (tickCursor < total && performance.now() >= deadline) return false;
+        }
+        tickCursor = 0;
+        
+        applyCentering();
+        applyCommunities();
+        
+        const keep = 1 - settings.velocityDecay;
+        for (let i = 0; i < n; i++) {
+            if (!isNaN(fx[i])) {
+                x[i] = fx[i];
+                y[i] = fy[i];
+                vx[i] = 0;
+                vy[i] = 0;
+            } else {
+                vx[i] *= keep;
+                vy[i] *= keep;
+                x[i] += vx[i];
+                y[i] += vy[i];
+            }
+        }
+        return true;
+    }
+    
+    /**
+     * Repel a range of verses from every other, using the quadtree
+     * A cell whose size is small next to its distance (size / distance < theta)
+     * acts as a single body at its center of mass.
+     * @param {number} from - First verse index
+     * @param {number} to - Index after the last verse
+     */
+    function applyCharge(from, to) {
+        const { x, y, vx, vy } = sim;
+        const theta2 = CONFIG.forceLayout.theta * CONFIG.forceLayout.theta;
+        const strength = CONFIG.forceLayout.charge * alpha;
+        const minDistance2 = 1;
+        const stack = [];
+        
+        for (let i = from; i < to; i++) {
+            const xi = x[i];
+            const yi = y[i];
+            stack.push(0);
+            
+            while (stack.length > 0) {
+                const node = stack.pop();
+                const mass = tree.mass[node];
+                if (mass === 0) continue;
+                
+                let dx = tree.comX[node] - xi;
+                let dy = tree.comY[node] - yi;
+                let l = dx * dx + dy * dy;
+                const size = tree.size[node];
+                
+                // Far enough away to treat as one body
+                if (size * size / theta2 < l) {
+                    if (l < minDistance2) l = Math.sqrt(minDistance2 * l);
+                    vx[i] += dx * strength * mass / l;
+                    vy[i] += dy * strength * mass / l;
+                    continue;
+                }
+                
+                const child = node * 4;
+                if (tree.children[child] !== -1) {
+                    stack.push(tree.children[child], tree.children[child + 1],
+                               tree.children[child + 2], tree.children[child + 3]);
+                    continue;
+                }
+                
+                // Nearby leaf: each verse in it separately
+                for (let j = tree.first[node]; j !== -1; j = tree.next[j]) {
+                    if (j === i) continue;
+                    dx = x[j] - xi;
+                    dy = y[j] - yi;
+                    if (dx === 0) dx = jiggle();
+                    if (dy === 0) dy = jiggle();
+                    l = dx * dx + dy * dy;
+                    if (l < minDistance2) l = Math.sqrt(minDistance2 * l);
+                    vx[i] += dx * strength / l;
+                    vy[i] += dy * strength / l;
+                }
+            }
+        }
+    }
+    
+    /**
+     * Build the quadtree over the current positions
+     * Node 0 is the root; children are always created after their parent,
+     * so a reverse pass fills in masses bottom-up.
+     * @param {Float64Array} x - X positions
+     * @param {Float64Array} y - Y positions
+     * @param {number} n - Number of bodies
+     */
+    function buildTree(x, y, n) {
+        if (!tree.next || tree.next.length < n) {
+            tree.next = new Int32Array(n);
+        }
+        
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        for (let i = 0; i < n; i++) {
+            if (x[i] < minX) minX = x[i];
+            if (x[i] > maxX) maxX = x[i];
+            if (y[i] < minY) minY = y[i];
+            if (y[i] > maxY) maxY = y[i];
+        }
+        const size = Math.max(maxX - minX, maxY - minY, 1) * 1.0001;
+        
+        tree.count = 0;
+        addNode(minX, minY, size);
+        
+        for (let i = 0; i < n; i++) {
+            insertBody(i, x, y);
+        }
+        
+        for (let node = tree.count - 1; node >= 0; node--) {
+            let mass = 0, sumX = 0, sumY = 0;
+            const child = node * 4;
+            
+            if (tree.children[child] !== -1) {
+                for (let c = child; c < child + 4; c++) {
+                    const m = tree.mass[tree.children[c]];
+                    mass += m;
+                    sumX += tree.comX[tree.children[c]] * m;
+                    sumY += tree.comY[tree.children[c]] * m;
+                }
+            } else {
+                for (let j = tree.first[node]; j !== -1; j = tree.next[j]) {
+                    mass++;
+                    sumX += x[j];
+                    sumY += y[j];
+                }
+            }
+            
+            tree.mass[node] = mass;
+            tree.comX[node] = mass > 0 ? sumX / mass : 0;
+            tree.comY[node] = mass > 0 ? sumY / mass : 0;
+        }
+    }
+    
+    /**
+     * Add an empty leaf to the quadtree, growing its buffers if needed
+     * @returns {number} Node index
+     */
+    function addNode(x0, y0, size) {
+        if (tree.count === tree.capacity) {
+            growTree(Math.max(64, tree.capacity * 2));
+        }
+        
+        const node = tree.count++;
+        tree.x0[node] = x0;
+        tree.y0[node] = y0;
+        tree.size[node] = size;
+        tree.children.fill(-1, node * 4, node * 4 + 4);
+        tree.first[node] = -1;
+        return node;
+    }
+    
+    /**
+     * Reallocate the quadtree buffers with room for more nodes
+     * @param {number} capacity - New node capacity
+     */
+    function growTree(capacity) {
+        const grow = (Type, old, length) => {
+            const array = new Type(length);
+            if (old) array.set(old);
+            return array;
+        };
+        
+        tree.x0 = grow(Float64Array, tree.x0, capacity);
+        tree.y0 = grow(Float64Array, tree.y0, capacity);
+        tree.size = grow(Float64Array, tree.size, capacity);
+        tree.mass = grow(Float64Array, tree.mass, capacity);
+        tree.comX = grow(Float64Array, tree.comX, capacity);
+        tree.comY = grow(Float64Array, tree.comY, capacity);
+        tree.first = grow(Int32Array, tree.first, capacity);
+        tree.children = grow(Int32Array, tree.children, capacity * 4);
+        tree.capacity = capacity;
+    }
+    
+    /**
+     * Insert a body, splitting leaves until it has one to itself
+     * Verses at (almost) the same spot share a leaf instead of splitting forever.
+     * @param {number} i - Body index
+     */
+    function insertBody(i, x, y) {
+        let node = 0;
+        
+        while (true) {
+            const child = node * 4;
+            const half = tree.size[node] / 2;
+            
+            if (tree.children[child] !== -1) {
+                const right = x[i] >= tree.x0[node] + half ? 1 : 0;
+                const bottom = y[i] >= tree.y0[node] + half ? 2 : 0;
+                node = tree.children[child + right + bottom];
+                continue;
+            }
+            
+            const j = tree.first[node];
+            if (j === -1) {
+                tree.first[node] = i;
+                tree.next[i] = -1;
+                return;
+            }
+            
+            if ((x[j] === x[i] && y[j] === y[i]) || half < 1e-6) {
+                tree.next[i] = j;
+                tree.first[node] = i;
+                return;
+            }
+            
+            // Split the leaf and move its verses into the matching quarter
+            const x0 = tree.x0[node];
+            const y0 = tree.y0[node];
+            for (let q = 0; q < 4; q++) {
+                const quarter = addNode(x0 + (q & 1) * half, y0 + (q >> 1) * half, half);
+                tree.children[child + q] = quarter;
+            }
+            
+            const right = x[j] >= x0 + half ? 1 : 0;
+            const bottom = y[j] >= y0 + half ? 2 : 0;
+            tree.first[tree.children[child + right + bottom]] = j;
+            tree.first[node] = -1;
+        }
+    }
+    
+    /**
+     * Pull the two ends of a range of references toward CONFIG.forceLayout.linkDistance
+     * @param {number} from - First link index
+     * @param {number} to - Index after the last link
+     */
+    function applyLinks(from, to) {
+        const { x, y, vx, vy, links } = sim;
+        const distance = CONFIG.forceLayout.linkDistance;
+        
+        for (let l = from; l < to; l++) {
+            const s = links.source[l];
+            const t = links.target[l];
+            
+            let dx = x[t] + vx[t] - x[s] - vx[s] || jiggle();
+            let dy = y[t] + vy[t] - y[s] - vy[s] || jiggle();
+            let length = Math.sqrt(dx * dx + dy * dy);
+            length = (length - distance) / length * alpha * links.strength[l];
+            dx *= length;
+            dy *= length;
+            
+            const bias = links.bias[l];
+            vx[t] -= dx * bias;
+            vy[t] -= dy * bias;
+            vx[s] += dx * (1 - bias);
+            vy[s] += dy * (1 - bias);
+        }
+    }
+    
+    /**
+     * Pull every verse gently toward the origin so unconnected ones stay near
+     */
+    function applyCentering() {
+        const { n, x, y, vx, vy } = sim;
+        const strength = CONFIG.forceLayout.gravity * alpha;
+        
+        for (let i = 0; i < n; i++) {
+            vx[i] -= x[i] * strength;
+            vy[i] -= y[i] * strength;
+        }
+    }
+    
+    /**
+     * Pull each verse toward the center of its community
+     */
+    function applyCommunities() {
+        const { n, x, y, vx, vy, community, communityCount } = sim;
+        if (!community) return;
+        
+        const sumX = new Float64Array(communityCount);
+        const sumY = new Float64Array(communityCount);
+        const size = new Uint32Array(communityCount);
+        
+        for (let i = 0; i < n; i++) {
+            const c = community[i];
+            if (c < 0) continue;
+            sumX[c] += x[i];
+            sumY[c] += y[i];
+            size[c]++;
+        }
+        
+        const strength = CONFIG.forceLayout.communityStrength * alpha;
+        for (let i = 0; i < n; i++) {
+            const c = community[i];
+            if (c < 0 || size[c] < 2) continue;
+            vx[i] += (sumX[c] / size[c] - x[i]) * strength;
+            vy[i] += (sumY[c] / size[c] - y[i]) * strength;
+        }
+    }
+    
+    /**
+     * Tiny random offset that separates verses at exactly the same spot
+     * @returns {number} Offset in simulation units
+     */
+    function jiggle() {
+        return (Math.random() - 0.5) * 1e-6;
+    }
+    
+    /**
+     * Scale the simulation to the unit circle and store it on the verses
+     */
+    function writePositions() {
+        const { verses, n, x, y } = sim;
+        
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        for (let i = 0; i < n; i++) {
+            if (x[i] < minX) minX = x[i];
+            if (x[i] > maxX) maxX = x[i];
+            if (y[i] < minY) minY = y[i];
+            if (y[i] > maxY) maxY = y[i];
+        }
+        
+        const cx = n > 0 ? (minX + maxX) / 2 : 0;
+        const cy = n > 0 ? (minY + maxY) / 2 : 0;
+        let maxRadius = 0;
+        for (let i = 0; i < n; i++) {
+            maxRadius = Math.max(maxRadius, Math.hypot(x[i] - cx, y[i] - cy));
+        }
+        
+        transform = { cx, cy, scale: maxRadius > 0 ? 1 / maxRadius : 1 };
+        
+        verses.forEach((verse, i) => {
+            verse.ux = (x[i] - cx) * transform.scale;
+            verse.uy = (y[i] - cy) * transform.scale;
+            verse.angle = Math.atan2(verse.uy, verse.ux);
+        });
+    }
+    
+    /**
+     * Copy the running simulation's positions into the kept positions
+     */
+    function syncPositions() {
+        if (!sim) return;
+        
+        sim.verses.forEach((verse, i) => {
+            positions.set(verse.id, { x: sim.x[i], y: sim.y[i] });
+        });
+    }
+    
+    /**
+     * Move a verse to a point and pin it there, heating the layout so
+     * its neighbors follow
+     * @param {Object} verse - Verse being dragged
+     * @param {number} ux - Layout X (unit circle)
+     * @param {number} uy - Layout Y (unit circle)
+     */
+    function drag(verse, ux, uy) {
+        const x = ux / transform.scale + transform.cx;
+        const y = uy / transform.scale + transform.cy;
+        pinned.set(verse.id, { x, y });
+        
+        const i = sim ? sim.index.get(verse.id) : undefined;
+        if (i === undefined) return;
+        
+        sim.fx[i] = x;
+        sim.fy[i] = y;
+        alphaTarget = CONFIG.forceLayout.dragAlpha;
+        if (alpha < alphaTarget) alpha = alphaTarget;
+        schedule();
+    }
+    
+    /**
+     * Finish a drag; the verse stays pinned and the layout cools down
+     */
+    function endDrag() {
+        alphaTarget = 0;
+        schedule();
+        updateStatus();
+    }
+    
+    /**
+     * Release every pinned verse
+     */
+    function unpinAll() {
+        pinned.clear();
+        
+        if (sim) {
+            sim.fx.fill(NaN);
+            sim.fy.fill(NaN);
+            alpha = Math.max(alpha, CONFIG.forceLayout.reheatAlpha);
+            schedule();
+        }
+        updateStatus();
+    }
+    
+    /**
+     * Save all known positions and pins to localStorage, keyed by reference
+     * @returns {boolean} True if saved
+     */
+    function save() {
+        syncPositions();
+        
+        const round = value => Math.round(value * 10) / 10;
+        const saved = {};
+        positions.forEach((position, id) => {
+            const verse = DataLoader.findVerseById(id);
+            if (!verse) return;
+            
+            const pin = pinned.get(id);
+            saved[verse.verse] = pin ? [round(pin.x), round(pin.y), 1] : [round(position.x), round(position.y)];
+        });
+        
+        try {
+            localStorage.setItem(CONFIG.forceLayout.storageKey, JSON.stringify(saved));
+        } catch (error) {
+            console.error('Error saving force layout positions:', error);
+            updateStatus('Could not save positions');
+            return false;
+        }
+        
+        console.log(`Saved force layout positions for ${positions.size} verses`);
+        updateStatus('Positions saved');
+        return true;
+    }
+    
+    /**
+     * Restore positions and pins saved by save()
+     */
+    function loadSaved() {
+        let saved;
+        try {
+            saved = JSON.parse(localStorage.getItem(CONFIG.forceLayout.storageKey) || 'null');
+        } catch (error) {
+            console.error('Error reading saved force layout positions:', error);
+            return;
+        }
+        if (!saved) return;
+        
+        const idByRef = new Map(DataLoader.getVerses().map(verse => [verse.verse, verse.id]));
+        
+        try {
+            Object.entries(saved).forEach(([ref, entry]) => {
+                const id = idByRef.get(ref);
+                if (id === undefined) return;
+                
+                // Skip anything but [x, y] or [x, y, 1] (stale or hand-edited values)
+                if (!Array.isArray(entry) || !Number.isFinite(entry[0]) || !Number.isFinite(entry[1])) return;
+                
+                const [x, y, isPinned] = entry;
+                positions.set(id, { x, y });
+                if (isPinned) pinned.set(id, { x, y });
+            });
+        } catch (error) {
+            console.error('Error restoring saved force layout positions:', error);
+            positions = new Map();
+            pinned = new Map();
+            return;
+        }
+        
+        console.log(`Restored force layout positions for ${positions.size} verses`);
+    }
+    
+    /**
+     * Forget saved positions and pins and lay out from scratch
+     */
+    function reset() {
+        try {
+            localStorage.removeItem(CONFIG.forceLayout.storageKey);
+        } catch (error) {
+            console.error('Error clearing saved force layout positions:', error);
+        }
+        
+        positions = new Map();
+        pinned = new Map();
+        sim = null;
+        alpha = 0;
+        
+        Renderer.invalidateLayout();
+        window.app.render();
+    }
+    
+    /**
+     * Show progress and pin count next to the buttons
+     * @param {string} message - Optional note to show instead of the progress
+     */
+    function updateStatus(message) {
+        if (!statusEl) return;
+        
+        let text = message;
+        if (!text) {
+            if (!sim) {
+                text = '';
+            } else if (isRunning()) {
+                const progress = Math.log(Math.max(alpha, CONFIG.forceLayout.alphaMin)) / Math.log(CONFIG.forceLayout.alphaMin);
+                text = `Settling ${Math.round(Math.min(progress, 1) * 100)}%`;
+            } else {
+                text = 'Settled';
+            }
+        }
+        
+        if (pinned.size > 0) {
+            text += `${text ? ' · ' : ''}${pinned.size} pinned`;
+        }
+        statusEl.textContent = text;
+    }
+    
+    // Public API
+    return {
+        init,
+        setActive,
+        place,
+        drag,
+        endDrag,
+        unpinAll,
+        save,
+        reset,
+        isRunning,
+        isPinned: verse => pinned.has(verse.id)
+    };
+})();
+
+// Make ForceLayout globally available
+window.ForceLayout = ForceLayout;
\ No newline at end of file
@@ -3,149 +3,1058 @@
  * 
  * Analyzes the Bible cross-reference network to compute various metrics:
  * - Degree centrality (most connected verses)
+ * - In/out-degree and PageRank (citation direction)
+ * - Eigenvector centrality and HITS hub/authority scores
  * - Betweenness centrality (bridge verses)
  * - Clustering coefficient (how interconnected neighborhoods are)
  * - Community detection (verse clusters)
  * - Hub identification (most influential verses)
+ * - Shortest paths between verses (k shortest, for the path finder)
+ * 
+ * Degree, betweenness, PageRank, eigenvector, HITS and community detection accept { weighted: true }
+ * to use the edge weights from each verse's `edges` instead of plain counts.
+ * References are directed (verse -> referenced verse); community detection
+ * and modularity work on the symmetrized graph.
+ * 
+ * computeAllStatsAsync and getVerseScoresAsync run in statsWorker.js so the
+ * page stays responsive; this file is loaded both on the page and in the worker.
  */
 
 const NetworkStats = (function() {
     'use strict';
     
-    // Cache computed statistics
-    let statsCache = {
-        centrality: null,
-        betweenness: null,
-        clustering: null,
-        communities: null,
-        hubs: null,
-        lastComputed: null
-    };
+    // Cache computed statistics, for the graph named by cachedGraph
+    let statsCache = createEmptyCache();
+    let cachedGraph = 'all';
+    
+    // Floor for edge weights so zero/negative votes still form a (very long) path
+    const MIN_EDGE_WEIGHT = 0.01;
+    
+    // Background worker for the async functions (created on first use)
+    let worker = null;
+    let workerFailed = false;  // Once it fails, later jobs run on the main thread
+    const jobs = new Map();
+    let nextJobId = 1;
+    
+    /**
+     * Create an empty statistics cache
+     * Weighted variants are cached separately from the unweighted ones.
+     * @returns {Object} Empty cache
+     */
+    function createEmptyCache() {
+        return {
+            centrality: null,
+            weightedCentrality: null,
+            directedDegree: null,
+            weightedDirectedDegree: null,
+            pageRank: null,
+            weightedPageRank: null,
+            eigenvector: null,
+            weightedEigenvector: null,
+            hits: null,
+            weightedHits: null,
+            betweenness: null,
+            weightedBetweenness: null,
+            clustering: null,
+            communities: null,
+            weightedCommunities: null,
+            hubs: null,
+            weightedHubs: null,
+            lastComputed: null
+        };
+    }
+    
+    /**
+     * Start a fresh cache when statistics are asked for a different graph
+     * Callers name the verse set with options.graph ('all' for the whole
+     * network, or a key for a filtered subgraph).
+     * @param {Object} options - { graph }
+     */
+    function useGraph(options) {
+        const graph = (options && options.graph) || 'all';
+        if (graph !== cachedGraph) {
+            statsCache = createEmptyCache();
+            cachedGraph = graph;
+        }
+    }
+    
+    /**
+     * Get the cache slot name for a metric
+     * @param {string} name - Unweighted slot name (e.g. 'centrality')
+     * @param {Object} options - { weighted }
+     * @returns {string} Cache slot name
+     */
+    function cacheKey(name, options) {
+        if (!options || !options.weighted) return name;
+        return 'weighted' + name.charAt(0).toUpperCase() + name.slice(1);
+    }
+    
+    /**
+     * Strength of an edge for weighted metrics
+     * @param {number} weight - Raw edge weight
+     * @returns {number} Positive edge strength
+     */
+    function edgeStrength(weight) {
+        return Math.max(weight, MIN_EDGE_WEIGHT);
+    }
     
     /**
      * Calculate degree centrality for all verses
      * Higher score = more connections = more central to the network
      * 
+     * The weighted variant uses each verse's total edge weight (strength)
+     * 
      * @param {Array} verses - All verses
+     * @param {Object} options - { weighted }
      * @returns {Array} Verses sorted by centrality (highest first)
      */
-    function calculateDegreeCentrality(verses) {
-        if (statsCache.centrality) return statsCache.centrality;
+    function calculateDegreeCentrality(verses, options = {}) {
+        const key = cacheKey('centrality', options);
+        if (statsCache[key]) return statsCache[key];
+        
+        const degreeOf = options.weighted ?
+            (verse => verse.edges.reduce((sum, edge) => sum + edgeStrength(edge.weight), 0)) :
+            (verse => verse.refCount);
         
-        const maxRefs = Math.max(...verses.map(v => v.refCount));
+        const degrees = verses.map(degreeOf);
+        const maxDegree = degrees.reduce((max, d) => Math.max(max, d), 0) || 1;
         
-        const centralityScores = verses.map(verse => ({
+        const centralityScores = verses.map((verse, i) => ({
             ...verse,
-            degreeCentrality: verse.refCount / maxRefs,
-            normalizedDegree: verse.refCount
+            degreeCentrality: degrees[i] / maxDegree,
+            normalizedDegree: degrees[i]
         }));
         
         const sorted = centralityScores.sort((a, b) => 
             b.degreeCentrality - a.degreeCentrality
         );
         
-        statsCache.centrality = sorted;
+        statsCache[key] = sorted;
         return sorted;
     }
     
     /**
-     * Calculate betweenness centrality using sampling
-     * Identifies verses that act as "bridges" between different parts
+     * Calculate in-degree and out-degree for all verses
+     * In-degree counts the verses referencing a verse; out-degree the verses it references.
+     * The weighted variant sums edge strengths instead.
      * 
      * @param {Array} verses - All verses
-     * @param {number} sampleSize - Number of verse pairs to sample
-     * @returns {Array} Verses sorted by betweenness (highest first)
+     * @param {Object} options - { weighted }
+     * @returns {Array} Verses with inDegree/outDegree, sorted by in-degree (highest first)
      */
-    function calculateBetweennessCentrality(verses, sampleSize = 200) {
-        if (statsCache.betweenness) return statsCache.betweenness;
+    function calculateDirectedDegree(verses, options = {}) {
+        const key = cacheKey('directedDegree', options);
+        if (statsCache[key]) return statsCache[key];
         
-        console.log('Computing betweenness centrality (sampled)...');
+        const sum = edges => options.weighted ?
+            edges.reduce((total, edge) => total + edgeStrength(edge.weight), 0) :
+            edges.length;
         
-        // Create verse lookup
-        const verseMap = new Map(verses.map(v => [v.id, v]));
+        const scores = verses.map(verse => ({
+            ...verse,
+            inDegree: sum(verse.incoming),
+            outDegree: sum(verse.edges)
+        }));
+        
+        const sorted = scores.sort((a, b) => b.inDegree - a.inDegree || b.outDegree - a.outDegree);
+        
+        statsCache[key] = sorted;
+        return sorted;
+    }
+    
+    /**
+     * Calculate PageRank by power iteration
+     * A verse ranks highly when highly ranked verses reference it. Verses with
+     * no references spread their rank evenly over the whole network.
+     * The weighted variant follows stronger references more often.
+     * 
+     * @param {Array} verses - All verses
+     * @param {Object} options - { weighted, damping, onIteration(done, total) }
+     * @returns {Array} Verses sorted by PageRank (highest first)
+     */
+    function calculatePageRank(verses, options = {}) {
+        const key = cacheKey('pageRank', options);
+        const damping = options.damping === undefined ? 0.85 : options.damping;
+        
+        // Separate results per damping factor
+        if (statsCache[key] && statsCache[key].damping === damping) return statsCache[key].scores;
         
-        // Initialize betweenness scores
-        const betweenness = new Map(verses.map(v => [v.id, 0]));
+        console.log(`Computing ${options.weighted ? 'weighted ' : ''}PageRank (damping ${damping})...`);
         
-        // Use smaller sample for speed - 200 paths is enough for pattern detection
-        const sample = Math.min(sampleSize, verses.length);
-        let foundPaths = 0;
+        const { count, offsets, targets, weights } = buildAdjacency(verses);
+        const maxIterations = 100;
+        const tolerance = 1e-8;
         
-        for (let i = 0; i < sample; i++) {
-            // Progress update every 50 iterations
-            if (i % 50 === 0) {
-                console.log(`Betweenness: ${i}/${sample} samples processed...`);
+        // Share of a verse's rank passed along each of its references
+        const share = new Float64Array(targets.length);
+        for (let v = 0; v < count; v++) {
+            let total = 0;
+            for (let e = offsets[v]; e < offsets[v + 1]; e++) {
+                share[e] = options.weighted ? edgeStrength(weights[e]) : 1;
+                total += share[e];
+            }
+            for (let e = offsets[v]; e < offsets[v + 1]; e++) {
+                share[e] /= total;
             }
+        }
+        
+        let rank = new Float64Array(count).fill(1 / count);
+        let next = new Float64Array(count);
+        
+        for (let iter = 0; iter < maxIterations; iter++) {
+            let danglingRank = 0;
+            next.fill(0);
             
-            const source = verses[Math.floor(Math.random() * verses.length)];
-            const target = verses[Math.floor(Math.random() * verses.length)];
+            for (let v = 0; v < count; v++) {
+                if (offsets[v] === offsets[v + 1]) {
+                    danglingRank += rank[v];
+                    continue;
+                }
+                for (let e = offsets[v]; e < offsets[v + 1]; e++) {
+                    next[targets[e]] += rank[v] * share[e];
+                }
+            }
             
-            if (source.id === target.id) continue;
+            const base = (1 - damping + damping * danglingRank) / count;
+            let change = 0;
+            for (let v = 0; v < count; v++) {
+                next[v] = base + damping * next[v];
+                change += Math.abs(next[v] - rank[v]);
+            }
             
-            const path = findShortestPath(source, target, verseMap);
+            [rank, next] = [next, rank];
+            if (options.onIteration) options.onIteration(iter + 1, maxIterations);
             
-            if (path && path.length > 2) {
-                foundPaths++;
-                // Increment betweenness for intermediate nodes
-                for (let j = 1; j < path.length - 1; j++) {
-                    const current = betweenness.get(path[j].id) || 0;
-                    betweenness.set(path[j].id, current + 1);
+            if (change < tolerance) {
+                console.log('PageRank converged at iteration', iter + 1);
+                break;
+            }
+        }
+        
+        const maxRank = rank.reduce((max, r) => Math.max(max, r), 0) || 1;
+        
+        const scores = verses.map((verse, i) => ({
+            ...verse,
+            pageRank: rank[i],
+            pageRankCentrality: rank[i] / maxRank
+        }));
+        
+        const sorted = scores.sort((a, b) => b.pageRank - a.pageRank);
+        
+        statsCache[key] = { damping, scores: sorted };
+        console.log('PageRank computed');
+        return sorted;
+    }
+    
+    /**
+     * Calculate eigenvector centrality by power iteration
+     * A verse scores highly when it is connected to other high-scoring verses.
+     * Direction is ignored (references count both ways), since on the directed
+     * graph verses that nothing references would all score zero.
+     * 
+     * @param {Array} verses - All verses
+     * @param {Object} options - { weighted, onIteration(done, total) }
+     * @returns {Array} Verses sorted by eigenvector centrality (highest first)
+     */
+    function calculateEigenvectorCentrality(verses, options = {}) {
+        const key = cacheKey('eigenvector', options);
+        if (statsCache[key]) return statsCache[key];
+        
+        console.log(`Computing ${options.weighted ? 'weighted ' : ''}eigenvector centrality...`);
+        
+        const { count, offsets, targets, weights } = buildUndirectedGraph(verses, options);
+        const maxIterations = 200;
+        const tolerance = 1e-8;
+        
+        let scores = new Float64Array(count).fill(1);
+        let next = new Float64Array(count);
+        
+        for (let iter = 0; iter < maxIterations; iter++) {
+            // Adding the current scores (x + Ax) keeps the iteration from
+            // oscillating on bipartite parts of the network
+            for (let v = 0; v < count; v++) {
+                let sum = scores[v];
+                for (let e = offsets[v]; e < offsets[v + 1]; e++) {
+                    sum += weights[e] * scores[targets[e]];
                 }
+                next[v] = sum;
+            }
+            
+            const max = next.reduce((m, x) => Math.max(m, x), 0) || 1;
+            let change = 0;
+            for (let v = 0; v < count; v++) {
+                next[v] /= max;
+                change += Math.abs(next[v] - scores[v]);
+            }
+            
+            [scores, next] = [next, scores];
+            if (options.onIteration) options.onIteration(iter + 1, maxIterations);
+            
+            if (change < tolerance) {
+                console.log('Eigenvector centrality converged at iteration', iter + 1);
+                break;
             }
         }
         
-        console.log(`Found ${foundPaths} paths out of ${sample} samples`);
+        const result = verses.map((verse, i) => ({
+            ...verse,
+            eigenvectorCentrality: scores[i]
+        }));
         
-        // Normalize scores
-        const maxBetweenness = Math.max(...betweenness.values()) || 1;
+        const sorted = result.sort((a, b) => b.eigenvectorCentrality - a.eigenvectorCentrality);
         
-        const scores = verses.map(verse => ({
+        statsCache[key] = sorted;
+        console.log('Eigenvector centrality computed');
+        return sorted;
+    }
+    
+    /**
+     * Calculate HITS hub and authority scores
+     * Good authorities are referenced by good hubs; good hubs reference good
+     * authorities. Both scores are scaled so the top verse has 1.
+     * 
+     * @param {Array} verses - All verses
+     * @param {Object} options - { weighted, onIteration(done, total) }
+     * @returns {Array} Verses with authorityScore and hitsHubScore, sorted by authority (highest first)
+     */
+    function calculateHITS(verses, options = {}) {
+        const key = cacheKey('hits', options);
+        if (statsCache[key]) return statsCache[key];
+        
+        console.log(`Computing ${options.weighted ? 'weighted ' : ''}HITS scores...`);
+        
+        const { count, offsets, targets, weights } = buildAdjacency(verses);
+        const strengths = options.weighted ? weights.map(edgeStrength) : null;
+        const maxIterations = 100;
+        const tolerance = 1e-8;
+        
+        let hubs = new Float64Array(count).fill(1);
+        let authorities = new Float64Array(count);
+        
+        const normalize = values => {
+            const norm = Math.sqrt(values.reduce((sum, x) => sum + x * x, 0)) || 1;
+            for (let v = 0; v < count; v++) values[v] /= norm;
+        };
+        
+        for (let iter = 0; iter < maxIterations; iter++) {
+            // Authority: sum of the hub scores of verses referencing it
+            authorities.fill(0);
+            for (let v = 0; v < count; v++) {
+                for (let e = offsets[v]; e < offsets[v + 1]; e++) {
+                    authorities[targets[e]] += (strengths ? strengths[e] : 1) * hubs[v];
+                }
+            }
+            normalize(authorities);
+            
+            // Hub: sum of the authority scores of the verses it references
+            const nextHubs = new Float64Array(count);
+            for (let v = 0; v < count; v++) {
+                for (let e = offsets[v]; e < offsets[v + 1]; e++) {
+                    nextHubs[v] += (strengths ? strengths[e] : 1) * authorities[targets[e]];
+                }
+            }
+            normalize(nextHubs);
+            
+            let change = 0;
+            for (let v = 0; v < count; v++) {
+                change += Math.abs(nextHubs[v] - hubs[v]);
+            }
+            hubs = nextHubs;
+            
+            if (options.onIteration) options.onIteration(iter + 1, maxIterations);
+            
+            if (change < tolerance) {
+                console.log('HITS converged at iteration', iter + 1);
+                break;
+            }
+        }
+        
+        const maxAuthority = authorities.reduce((m, x) => Math.max(m, x), 0) || 1;
+        const maxHub = hubs.reduce((m, x) => Math.max(m, x), 0) || 1;
+        
+        const result = verses.map((verse, i) => ({
             ...verse,
-            betweennessCentrality: (betweenness.get(verse.id) || 0) / maxBetweenness,
-            betweennessScore: betweenness.get(verse.id) || 0
+            authorityScore: authorities[i] / maxAuthority,
+            hitsHubScore: hubs[i] / maxHub
+        }));
+        
+        const sorted = result.sort((a, b) => b.authorityScore - a.authorityScore);
+        
+        statsCache[key] = sorted;
+        console.log('HITS scores computed');
+        return sorted;
+    }
+    
+    /**
+     * Measure how many references are returned
+     * @param {Array} verses - All verses
+     * @returns {Object} { reciprocity, reciprocalEdges, edgeCount } over references between known verses
+     */
+    function calculateReciprocity(verses) {
+        const refsById = new Map(verses.map(v => [v.id, new Set(v.refs)]));
+        let edgeCount = 0;
+        let reciprocalEdges = 0;
+        
+        verses.forEach(verse => {
+            verse.refs.forEach(refId => {
+                const targetRefs = refsById.get(refId);
+                if (!targetRefs || refId === verse.id) return;
+                
+                edgeCount++;
+                if (targetRefs.has(verse.id)) reciprocalEdges++;
+            });
+        });
+        
+        return {
+            reciprocity: edgeCount > 0 ? reciprocalEdges / edgeCount : 0,
+            reciprocalEdges,
+            edgeCount
+        };
+    }
+    
+    /**
+     * Count references between books
+     * @param {Array} verses - All verses (in canonical order)
+     * @returns {Object} { books, counts } - book codes in order of first verse, and
+     *     counts[i][j] = references from a verse in books[i] to a verse in books[j]
+     */
+    function calculateBookMatrix(verses) {
+        const books = [];
+        const bookIndex = new Map();
+        verses.forEach(verse => {
+            if (!bookIndex.has(verse.book)) {
+                bookIndex.set(verse.book, books.length);
+                books.push(verse.book);
+            }
+        });
+        
+        const indexById = new Map(verses.map(v => [v.id, bookIndex.get(v.book)]));
+        const counts = books.map(() => new Array(books.length).fill(0));
+        
+        verses.forEach(verse => {
+            const row = counts[bookIndex.get(verse.book)];
+            verse.refs.forEach(refId => {
+                const target = indexById.get(refId);
+                if (target !== undefined) row[target]++;
+            });
+        });
+        
+        return { books, counts };
+    }
+    
+    /**
+     * Calculate betweenness centrality with Brandes' algorithm
+     * Identifies verses that act as "bridges" between different parts.
+     * Exact when sampleSize is 0 or covers every verse; otherwise shortest
+     * paths are counted from sampleSize pivot verses chosen with a seeded PRNG
+     * and scaled up, so the same seed always gives the same estimate.
+     * The weighted variant treats strong edges as short (distance = 1 / weight)
+     * 
+     * @param {Array} verses - All verses
+     * @param {number} sampleSize - Number of pivot verses (0 = exact)
+     * @param {Object} options - { weighted, seed, onIteration(done, total) }
+     * @returns {Array} Verses sorted by betweenness (highest first)
+     */
+    function calculateBetweennessCentrality(verses, sampleSize = 200, options = {}) {
+        const key = cacheKey('betweenness', options);
+        const seed = options.seed === undefined ? 1 : options.seed;
+        const exact = !sampleSize || sampleSize >= verses.length;
+        const params = exact ? 'exact' : `${sampleSize}|${seed}`;
+        
+        // Separate results per sample size and seed
+        if (statsCache[key] && statsCache[key].params === params) return statsCache[key].scores;
+        
+        console.log(`Computing ${options.weighted ? 'weighted ' : ''}betweenness centrality (${exact ? 'exact' : `${sampleSize} pivots, seed ${seed}`})...`);
+        
+        const graph = buildAdjacency(verses);
+        const n = graph.count;
+        
+        // Sources: every verse, or a seeded sample of pivots
+        let sources;
+        if (exact) {
+            sources = Array.from({ length: n }, (_, i) => i);
+        } else {
+            sources = samplePivots(n, sampleSize, createRandom(seed));
+        }
+        
+        const betweenness = new Float64Array(n);
+        const accumulate = options.weighted ?
+            createWeightedAccumulator(graph) :
+            createUnweightedAccumulator(graph);
+        
+        const reportEvery = Math.max(1, Math.floor(sources.length / 100));
+        const logEvery = Math.max(1, Math.floor(sources.length / 10));
+        
+        sources.forEach((source, i) => {
+            if (i % logEvery === 0) {
+                console.log(`Betweenness: ${i}/${sources.length} sources processed...`);
+            }
+            if (i % reportEvery === 0 && options.onIteration) {
+                options.onIteration(i, sources.length);
+            }
+            accumulate(source, betweenness);
+        });
+        
+        // Pivot sampling estimates the full sum over all sources
+        const scale = n / sources.length;
+        let maxBetweenness = 0;
+        for (let i = 0; i < n; i++) {
+            betweenness[i] *= scale;
+            maxBetweenness = Math.max(maxBetweenness, betweenness[i]);
+        }
+        maxBetweenness = maxBetweenness || 1;
+        
+        const scores = verses.map((verse, i) => ({
+            ...verse,
+            betweennessCentrality: betweenness[i] / maxBetweenness,
+            betweennessScore: betweenness[i]
         }));
         
         const sorted = scores.sort((a, b) => 
             b.betweennessCentrality - a.betweennessCentrality
         );
         
-        statsCache.betweenness = sorted;
+        statsCache[key] = { params, scores: sorted };
         console.log('Betweenness centrality computed');
         return sorted;
     }
     
     /**
-     * Find shortest path between two verses using BFS
-     * 
-     * @param {Object} start - Starting verse
-     * @param {Object} end - Target verse
-     * @param {Map} verseMap - Map of verse ID to verse object
-     * @returns {Array|null} Path as array of verses, or null if no path
+     * Build an index-based adjacency list (CSR layout)
+     * Neighbors of verse i are targets[offsets[i]] .. targets[offsets[i + 1] - 1],
+     * with matching raw edge weights; references to unknown verses are dropped.
+     * 
+     * @param {Array} verses - All verses
+     * @returns {Object} { count, offsets, targets, weights }
+     */
+    function buildAdjacency(verses) {
+        const indexById = new Map(verses.map((v, i) => [v.id, i]));
+        const offsets = new Int32Array(verses.length + 1);
+        const targets = [];
+        const weights = [];
+        
+        verses.forEach((verse, i) => {
+            offsets[i] = targets.length;
+            for (const edge of verse.edges) {
+                const target = indexById.get(edge.id);
+                if (target !== undefined) {
+                    targets.push(target);
+                    weights.push(edge.weight);
+                }
+            }
+        });
+        offsets[verses.length] = targets.length;
+        
+        return {
+            count: verses.length,
+            offsets,
+            targets: Int32Array.from(targets),
+            weights: Float64Array.from(weights)
+        };
+    }
+    
+    /**
+     * Brandes single-source step for unweighted graphs (BFS)
+     * Returns a function that adds one source's dependencies to a score array.
+     * Buffers are allocated once and reset only where the search reached.
+     * 
+     * @param {Object} graph - Adjacency from buildAdjacency
+     * @returns {Function} accumulate(source, betweenness)
+     */
+    function createUnweightedAccumulator(graph) {
+        const { count, offsets, targets } = graph;
+        const distance = new Int32Array(count).fill(-1);
+        const sigma = new Float64Array(count);
+        const delta = new Float64Array(count);
+        const order = new Int32Array(count);
+        
+        return function accumulate(source, betweenness) {
+            let head = 0;
+            let tail = 0;
+            
+            distance[source] = 0;
+            sigma[source] = 1;
+            order[tail++] = source;
+            
+            // BFS; the queue doubles as the visit order for the backward pass
+            while (head < tail) {
+                const v = order[head++];
+                for (let e = offsets[v]; e < offsets[v + 1]; e++) {
+                    const w = targets[e];
+                    if (distance[w] < 0) {
+                        distance[w] = distance[v] + 1;
+                        order[tail++] = w;
+                    }
+                    if (distance[w] === distance[v] + 1) {
+                        sigma[w] += sigma[v];
+                    }
+                }
+            }
+            
+            // Dependencies flow back from the farthest verses
+            for (let i = tail - 1; i >= 0; i--) {
+                const v = order[i];
+                for (let e = offsets[v]; e < offsets[v + 1]; e++) {
+                    const w = targets[e];
+                    if (distance[w] === distance[v] + 1) {
+                        delta[v] += (sigma[v] / sigma[w]) * (1 + delta[w]);
+                    }
+                }
+                if (v !== source) betweenness[v] += delta[v];
+            }
+            
+            for (let i = 0; i < tail; i++) {
+                const v = order[i];
+                distance[v] = -1;
+                sigma[v] = 0;
+                delta[v] = 0;
+            }
+        };
+    }
+    
+    /**
+     * Brandes single-source step for weighted graphs (Dijkstra)
+     * Edge length is 1 / weight, as in findWeightedShortestPath.
+     * 
+     * @param {Object} graph - Adjacency from buildAdjacency
+     * @returns {Function} accumulate(source, betweenness)
+     */
+    function createWeightedAccumulator(graph) {
+        const { count, offsets, targets, weights } = graph;
+        const lengths = weights.map(weight => 1 / edgeStrength(weight));
+        const distance = new Float64Array(count).fill(Infinity);
+        const sigma = new Float64Array(count);
+        const delta = new Float64Array(count);
+        const settled = new Uint8Array(count);
+        const order = new Int32Array(count);
+        
+        // Path lengths are sums of floats, so ties need a tolerance
+        const isShortest = (from, to, length) => Math.abs(distance[from] + length - distance[to]) < 1e-9;
+        
+        return function accumulate(source, betweenness) {
+            const heap = createMinHeap();
+            let settledCount = 0;
+            
+            distance[source] = 0;
+            sigma[source] = 1;
+            heap.push(0, source);
+            
+            while (heap.size() > 0) {
+                const { priority, value: v } = heap.pop();
+                if (settled[v] || priority > distance[v]) continue;
+                
+                settled[v] = 1;
+                order[settledCount++] = v;
+                
+                for (let e = offsets[v]; e < offsets[v + 1]; e++) {
+                    const w = targets[e];
+                    if (settled[w]) continue;
+                    
+                    const candidate = distance[v] + lengths[e];
+                    if (isShortest(v, w, lengths[e])) {
+                        sigma[w] += sigma[v];
+                    } else if (candidate < distance[w]) {
+                        distance[w] = candidate;
+                        sigma[w] = sigma[v];
+                        heap.push(candidate, w);
+                    }
+                }
+            }
+            
+            for (let i = settledCount - 1; i >= 0; i--) {
+                const v = order[i];
+                for (let e = offsets[v]; e < offsets[v + 1]; e++) {
+                    const w = targets[e];
+                    if (isShortest(v, w, lengths[e])) {
+                        delta[v] += (sigma[v] / sigma[w]) * (1 + delta[w]);
+                    }
+                }
+                if (v !== source) betweenness[v] += delta[v];
+            }
+            
+            // Every verse the search reached was settled before the heap emptied
+            for (let i = 0; i < settledCount; i++) {
+                const v = order[i];
+                distance[v] = Infinity;
+                sigma[v] = 0;
+                delta[v] = 0;
+                settled[v] = 0;
+            }
+        };
+    }
+    
+    /**
+     * Pick distinct pivot indices with a partial Fisher-Yates shuffle
+     * @param {number} count - Number of verses
+     * @param {number} sampleSize - Number of pivots
+     * @param {Function} random - PRNG returning [0, 1)
+     * @returns {Array} Pivot indices
+     */
+    function samplePivots(count, sampleSize, random) {
+        const indices = Array.from({ length: count }, (_, i) => i);
+        const size = Math.min(sampleSize, count);
+        
+        for (let i = 0; i < size; i++) {
+            const j = i + Math.floor(random() * (count - i));
+            const tmp = indices[i];
+            indices[i] = indices[j];
+            indices[j] = tmp;
+        }
+        
+        return indices.slice(0, size);
+    }
+    
+    /**
+     * Create a seeded pseudo-random number generator (mulberry32)
+     * @param {number} seed - Integer seed
+     * @returns {Function} Returns a number in [0, 1) on each call
+     */
+    function createRandom(seed) {
+        let state = seed >>> 0;
+        return function random() {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+    
+    /**
+     * Find shortest path between two verses using BFS
+     * 
+     * @param {Object} start - Starting verse
+     * @param {Object} end - Target verse
+     * @param {Map} verseMap - Map of verse ID to verse object
+     * @returns {Array|null} Path as array of verses, or null if no path
+     */
+    function findShortestPath(start, end, verseMap) {
+        // Each verse remembers where it was reached from; paths are rebuilt at the end
+        const previous = new Map([[start.id, null]]);
+        const queue = [start];
+        
+        for (let head = 0; head < queue.length; head++) {
+            const current = queue[head];
+            
+            if (current.id === end.id) {
+                const path = [];
+                for (let verse = current; verse; verse = previous.get(verse.id)) {
+                    path.unshift(verse);
+                }
+                return path;
+            }
+            
+            for (const refId of current.refs) {
+                if (!previous.has(refId)) {
+                    const nextVerse = verseMap.get(refId);
+                    if (nextVerse) {
+                        previous.set(refId, current);
+                        queue.push(nextVerse);
+                    }
+                }
+            }
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Find the strongest path between two verses using Dijkstra
+     * Each edge costs 1 / weight, so heavily weighted references are preferred.
+     * 
+     * @param {Object} start - Starting verse
+     * @param {Object} end - Target verse
+     * @param {Map} verseMap - Map of verse ID to verse object
+     * @returns {Array|null} Path as array of verses, or null if no path
+     */
+    function findWeightedShortestPath(start, end, verseMap) {
+        const distances = new Map([[start.id, 0]]);
+        const previous = new Map();
+        const heap = createMinHeap();
+        heap.push(0, start);
+        
+        while (heap.size() > 0) {
+            const { priority, value: current } = heap.pop();
+            
+            // Skip stale heap entries
+            if (priority > distances.get(current.id)) continue;
+            
+            if (current.id === end.id) {
+                const path = [current];
+                let id = current.id;
+                while (previous.has(id)) {
+                    const prev = previous.get(id);
+                    path.unshift(prev);
+                    id = prev.id;
+                }
+                return path;
+            }
+            
+            for (const edge of current.edges) {
+                const nextVerse = verseMap.get(edge.id);
+                if (!nextVerse) continue;
+                
+                const distance = priority + 1 / edgeStrength(edge.weight);
+                if (distance < (distances.has(edge.id) ? distances.get(edge.id) : Infinity)) {
+                    distances.set(edge.id, distance);
+                    previous.set(edge.id, current);
+                    heap.push(distance, nextVerse);
+                }
+            }
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Find the k shortest paths from one verse to any of a set of verses
+     * Uses Yen's algorithm, so the paths are loopless and each differs from
+     * the others. Every hop costs 1, or 1 / weight when weighted.
+     * 
+     * @param {Array} verses - All verses
+     * @param {string} startId - ID of the starting verse
+     * @param {Array} endIds - IDs of the target verses (e.g. every verse of a chapter)
+     * @param {number} k - Number of paths to find
+     * @param {Object} options - { weighted, directed (only follow references forwards), onIteration(done, total) }
+     * @returns {Array} Paths { ids, cost, hops }, shortest first (empty if not connected)
+     */
+    function findKShortestPaths(verses, startId, endIds, k = 1, options = {}) {
+        const graph = buildPathGraph(verses, options);
+        const source = graph.indexById.get(startId);
+        const targets = new Set(endIds.map(id => graph.indexById.get(id)).filter(i => i !== undefined));
+        
+        if (source === undefined || targets.size === 0) return [];
+        
+        // Already there
+        if (targets.has(source)) {
+            return [{ ids: [startId], cost: 0, hops: 0 }];
+        }
+        
+        const blockedNodes = new Uint8Array(graph.count);
+        const blockedEdges = new Set();
+        
+        const first = searchPath(graph, source, targets, blockedNodes, blockedEdges);
+        if (!first) return [];
+        
+        const found = [first];
+        const candidates = [];
+        const seen = new Set([first.nodes.join(',')]);
+        
+        for (let n = 1; n < k; n++) {
+            const previous = found[n - 1].nodes;
+            
+            // Branch off the previous path at each of its verses
+            for (let i = 0; i < previous.length - 1; i++) {
+                const spur = previous[i];
+                const root = previous.slice(0, i + 1);
+                
+                // Don't repeat an edge any found path takes from this root
+                blockedEdges.clear();
+                found.forEach(path => {
+                    if (path.nodes.length > i + 1 && root.every((node, j) => path.nodes[j] === node)) {
+                        blockedEdges.add(path.nodes[i] * graph.count + path.nodes[i + 1]);
+                    }
+                });
+                
+                // Keep the path loopless
+                blockedNodes.fill(0);
+                for (let j = 0; j < i; j++) blockedNodes[root[j]] = 1;
+                
+                const spurPath = searchPath(graph, spur, targets, blockedNodes, blockedEdges);
+                if (!spurPath) continue;
+                
+                const nodes = root.slice(0, -1).concat(spurPath.nodes);
+                const key = nodes.join(',');
+                if (seen.has(key)) continue;
+                
+                seen.add(key);
+                candidates.push({ nodes, cost: getPathCost(graph, root) + spurPath.cost });
+            }
+            
+            if (options.onIteration) options.onIteration(n, k - 1);
+            if (candidates.length === 0) break;
+            
+            // Cheapest candidate next; fewer hops breaks ties
+            candidates.sort((a, b) => a.cost - b.cost || a.nodes.length - b.nodes.length);
+            found.push(candidates.shift());
+        }
+        
+        blockedNodes.fill(0);
+        blockedEdges.clear();
+        
+        return found.map(path => ({
+            ids: path.nodes.map(i => verses[i].id),
+            cost: path.cost,
+            hops: path.nodes.length - 1
+        }));
+    }
+    
+    /**
+     * Build the graph searched by findKShortestPaths
+     * Without `directed`, references can be followed either way. Parallel
+     * references between two verses keep the cheaper cost.
+     * 
+     * @param {Array} verses - All verses
+     * @param {Object} options - { weighted, directed }
+     * @returns {Object} { count, indexById, offsets, targets, costs }
+     */
+    function buildPathGraph(verses, options) {
+        const indexById = new Map(verses.map((v, i) => [v.id, i]));
+        const links = verses.map(() => new Map());
+        
+        const link = (from, to, weight) => {
+            if (from === to) return;
+            const cost = options.weighted ? 1 / edgeStrength(weight) : 1;
+            if (!links[from].has(to) || cost < links[from].get(to)) {
+                links[from].set(to, cost);
+            }
+        };
+        
+        verses.forEach((verse, i) => {
+            for (const edge of verse.edges) {
+                const j = indexById.get(edge.id);
+                if (j === undefined) continue;
+                
+                link(i, j, edge.weight);
+                if (!options.directed) link(j, i, edge.weight);
+            }
+        });
+        
+        const offsets = new Int32Array(verses.length + 1);
+        const targets = [];
+        const costs = [];
+        links.forEach((neighbors, i) => {
+            offsets[i] = targets.length;
+            for (const [j, cost] of neighbors) {
+                targets.push(j);
+                costs.push(cost);
+            }
+        });
+        offsets[verses.length] = targets.length;
+        
+        return {
+            count: verses.length,
+            indexById,
+            offsets,
+            targets: Int32Array.from(targets),
+            costs: Float64Array.from(costs)
+        };
+    }
+    
+    /**
+     * Dijkstra from one node to the nearest of a set of targets
+     * @param {Object} graph - From buildPathGraph
+     * @param {number} source - Start node index
+     * @param {Set} targets - Target node indices
+     * @param {Uint8Array} blockedNodes - 1 for nodes that can't be visited
+     * @param {Set} blockedEdges - Edges (from * count + to) that can't be used
+     * @returns {Object|null} { nodes, cost } or null if no target is reachable
+     */
+    function searchPath(graph, source, targets, blockedNodes, blockedEdges) {
+        const { count, offsets, targets: neighbors, costs } = graph;
+        const distances = new Map([[source, 0]]);
+        const previous = new Map();
+        const heap = createMinHeap();
+        heap.push(0, source);
+        
+        while (heap.size() > 0) {
+            const { priority, value: node } = heap.pop();
+            
+            // Skip stale heap entries
+            if (priority > distances.get(node)) continue;
+            
+            if (targets.has(node)) {
+                const nodes = [node];
+                for (let n = node; previous.has(n); n = previous.get(n)) {
+                    nodes.unshift(previous.get(n));
+                }
+                return { nodes, cost: priority };
+            }
+            
+            for (let e = offsets[node]; e < offsets[node + 1]; e++) {
+                const next = neighbors[e];
+                if (blockedNodes[next] || blockedEdges.has(node * count + next)) continue;
+                
+                const distance = priority + costs[e];
+                if (distance < (distances.has(next) ? distances.get(next) : Infinity)) {
+                    distances.set(next, distance);
+                    previous.set(next, node);
+                    heap.push(distance, next);
+                }
+            }
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Total cost of following a path's edges
+     * @param {Object} graph - From buildPathGraph
+     * @param {Array} nodes - Node indices along the path
+     * @returns {number} Sum of edge costs
+     */
+    function getPathCost(graph, nodes) {
+        let cost = 0;
+        for (let i = 0; i < nodes.length - 1; i++) {
+            for (let e = graph.offsets[nodes[i]]; e < graph.offsets[nodes[i] + 1]; e++) {
+                if (graph.targets[e] === nodes[i + 1]) {
+                    cost += graph.costs[e];
+                    break;
+                }
+            }
+        }
+        return cost;
+    }
+    
+    /**
+     * Create a minimal binary min-heap keyed by numeric priority
+     * @returns {Object} Heap with push(priority, value), pop() and size()
      */
-    function findShortestPath(start, end, verseMap) {
-        const queue = [[start]];
-        const visited = new Set([start.id]);
-        const maxDepth = 6; // Limit search depth for performance
+    function createMinHeap() {
+        const items = [];
         
-        while (queue.length > 0) {
-            const path = queue.shift();
-            const current = path[path.length - 1];
-            
-            if (path.length > maxDepth) continue;
-            if (current.id === end.id) return path;
-            
-            for (const refId of current.refs) {
-                if (!visited.has(refId)) {
-                    visited.add(refId);
-                    const nextVerse = verseMap.get(refId);
-                    if (nextVerse) {
-                        queue.push([...path, nextVerse]);
-                    }
+        function swap(i, j) {
+            const tmp = items[i];
+            items[i] = items[j];
+            items[j] = tmp;
+        }
+        
+        function push(priority, value) {
+            items.push({ priority, value });
+            let i = items.length - 1;
+            while (i > 0) {
+                const parent = (i - 1) >> 1;
+                if (items[parent].priority <= items[i].priority) break;
+                swap(i, parent);
+                i = parent;
+            }
+        }
+        
+        function pop() {
+            const top = items[0];
+            const last = items.pop();
+            if (items.length > 0) {
+                items[0] = last;
+                let i = 0;
+                for (;;) {
+                    const left = i * 2 + 1;
+                    const right = left + 1;
+                    let smallest = i;
+                    if (left < items.length && items[left].priority < items[smallest].priority) smallest = left;
+                    if (right < items.length && items[right].priority < items[smallest].priority) smallest = right;
+                    if (smallest === i) break;
+                    swap(i, smallest);
+                    i = smallest;
                 }
             }
+            return top;
         }
         
-        return null;
+        return {
+            push,
+            pop,
+            size: () => items.length
+        };
     }
     
     /**
@@ -211,18 +1120,24 @@ const NetworkStats = (function() {
      * Identify hub verses (high degree + high centrality)
      * 
      * @param {Array} verses - All verses
+     * @param {number} topN - Number of verses to mark as hubs
+     * @param {Object} options - { weighted }
      * @returns {Array} Top hub verses
      */
-    function identifyHubs(verses, topN = 50) {
-        if (statsCache.hubs) return statsCache.hubs;
+    function identifyHubs(verses, topN = 50, options = {}) {
+        const key = cacheKey('hubs', options);
+        if (statsCache[key]) return statsCache[key];
         
-        const centrality = calculateDegreeCentrality(verses);
+        const centrality = calculateDegreeCentrality(verses, options);
         const clustering = calculateClusteringCoefficient(verses);
         
+        const centralityById = new Map(centrality.map(v => [v.id, v]));
+        const clusteringById = new Map(clustering.map(v => [v.id, v]));
+        
         // Create a combined score
         const hubScores = verses.map(verse => {
-            const centralityData = centrality.find(v => v.id === verse.id);
-            const clusteringData = clustering.find(v => v.id === verse.id);
+            const centralityData = centralityById.get(verse.id);
+            const clusteringData = clusteringById.get(verse.id);
             
             // Hub score = high degree + low clustering (connects different clusters)
             const hubScore = centralityData.degreeCentrality * 
@@ -242,45 +1157,97 @@ const NetworkStats = (function() {
             sorted[i].isHub = true;
         }
         
-        statsCache.hubs = sorted;
+        statsCache[key] = sorted;
         return sorted;
     }
     
     /**
-     * Detect communities using simple label propagation
-     * Groups verses that are highly interconnected
+     * Detect communities
+     * 'louvain' (default) greedily maximizes modularity; 'labelPropagation'
+     * spreads the most common neighbor label. Both visit verses in an order
+     * shuffled with the seeded PRNG, so the same seed gives the same partition.
+     * The weighted variant lets stronger references count for more.
      * 
      * @param {Array} verses - All verses
-     * @param {number} iterations - Number of iterations
-     * @returns {Object} Community assignments
+     * @param {number} iterations - Label propagation rounds (unused by Louvain)
+     * @param {Object} options - { weighted, algorithm, resolution, seed, onIteration(done, total) }
+     * @returns {Object} Community assignments with the partition's modularity
      */
-    function detectCommunities(verses, iterations = 5) {
-        if (statsCache.communities) return statsCache.communities;
+    function detectCommunities(verses, iterations = 5, options = {}) {
+        const key = cacheKey('communities', options);
+        const algorithm = options.algorithm || 'louvain';
+        const resolution = options.resolution === undefined ? 1 : options.resolution;
+        const seed = options.seed === undefined ? 1 : options.seed;
+        const params = `${algorithm}|${resolution}|${seed}|${iterations}`;
         
-        console.log('Detecting communities...');
+        // Separate results per algorithm and parameters
+        if (statsCache[key] && statsCache[key].params === params) return statsCache[key].result;
         
-        const verseMap = new Map(verses.map(v => [v.id, v]));
+        console.log(`Detecting ${options.weighted ? 'weighted ' : ''}communities (${algorithm}, resolution ${resolution}, seed ${seed})...`);
+        
+        const random = createRandom(seed);
+        const labels = algorithm === 'labelPropagation' ?
+            propagateLabels(verses, iterations, random, options) :
+            runLouvain(verses, resolution, random, options);
+        
+        // Group verses by community
+        const communities = new Map();
+        
+        for (const verse of verses) {
+            const label = labels.get(verse.id);
+            if (!communities.has(label)) {
+                communities.set(label, []);
+            }
+            communities.get(label).push(verse);
+        }
+        
+        // Filter out tiny communities
+        const significantCommunities = Array.from(communities.entries())
+            .filter(([_, members]) => members.length >= 3)
+            .sort((a, b) => b[1].length - a[1].length);
+        
+        const result = {
+            communities: significantCommunities,
+            communityCount: significantCommunities.length,
+            totalCommunityCount: communities.size,
+            modularity: calculateModularity(verses, labels, { weighted: options.weighted, resolution }),
+            algorithm,
+            resolution,
+            seed,
+            labels
+        };
         
+        statsCache[key] = { params, result };
+        console.log(`Found ${result.communityCount} communities (modularity ${result.modularity.toFixed(4)})`);
+        return result;
+    }
+    
+    /**
+     * Label propagation
+     * @param {Array} verses - All verses
+     * @param {number} iterations - Maximum rounds
+     * @param {Function} random - Seeded PRNG
+     * @param {Object} options - { weighted, onIteration }
+     * @returns {Map} Verse ID to label (a member's verse ID)
+     */
+    function propagateLabels(verses, iterations, random, options) {
         // Initialize each verse to its own community
         const labels = new Map(verses.map(v => [v.id, v.id]));
         
-        // Label propagation - reduced to 5 iterations for speed
         for (let iter = 0; iter < iterations; iter++) {
             let changed = 0;
             
-            // Randomize order
-            const shuffled = [...verses].sort(() => Math.random() - 0.5);
-            
-            for (const verse of shuffled) {
+            for (const verse of shuffle(verses, random)) {
                 if (verse.refCount === 0) continue;
                 
                 // Count neighbor labels
                 const labelCounts = new Map();
                 
-                for (const refId of verse.refs) {
-                    const label = labels.get(refId);
+                for (const edge of verse.edges) {
+                    const label = labels.get(edge.id);
                     if (label) {
-                        labelCounts.set(label, (labelCounts.get(label) || 0) + 1);
+                        const vote = options.weighted ? edgeStrength(edge.weight) : 1;
+                        labelCounts.set(label, (labelCounts.get(label) || 0) + vote);
                     }
                 }
                 
@@ -301,7 +1268,8 @@ const NetworkStats = (function() {
                 }
             }
             
-            console.log(`Community detection - Iteration ${iter + 1}/${iterations}: ${changed} changes`);
+            console.log(`Label propagation - Iteration ${iter + 1}/${iterations}: ${changed} changes`);
+            if (options.onIteration) options.onIteration(iter + 1, iterations);
             
             if (changed === 0) {
                 console.log('Converged early at iteration', iter + 1);
@@ -309,31 +1277,319 @@ const NetworkStats = (function() {
             }
         }
         
-        // Group verses by community
-        const communities = new Map();
+        return labels;
+    }
+    
+    /**
+     * Louvain method: move verses between communities while modularity
+     * improves, then merge each community into one node and repeat.
+     * 
+     * @param {Array} verses - All verses
+     * @param {number} resolution - Higher values give smaller communities
+     * @param {Function} random - Seeded PRNG
+     * @param {Object} options - { weighted, onIteration }
+     * @returns {Map} Verse ID to label (the first member's verse ID)
+     */
+    function runLouvain(verses, resolution, random, options) {
+        let graph = buildUndirectedGraph(verses, options);
         
-        for (const verse of verses) {
-            const label = labels.get(verse.id);
-            if (!communities.has(label)) {
-                communities.set(label, []);
+        // Community of each original verse, refined level by level
+        let membership = Int32Array.from(verses, (_, i) => i);
+        
+        for (let level = 1; ; level++) {
+            const { community, count, moved } = moveNodes(graph, resolution, random);
+            
+            membership = membership.map(node => community[node]);
+            console.log(`Louvain - Level ${level}: ${count} communities`);
+            if (options.onIteration) options.onIteration(level, 0);
+            
+            if (!moved || count === graph.count) break;
+            graph = aggregateGraph(graph, community, count);
+        }
+        
+        // Label each community with its first verse
+        const firstMember = new Map();
+        const labels = new Map();
+        verses.forEach((verse, i) => {
+            if (!firstMember.has(membership[i])) {
+                firstMember.set(membership[i], verse.id);
+            }
+            labels.set(verse.id, firstMember.get(membership[i]));
+        });
+        
+        return labels;
+    }
+    
+    /**
+     * Louvain local moving phase
+     * Each node joins the neighboring community with the largest modularity
+     * gain until a full pass makes no moves.
+     * 
+     * @param {Object} graph - Graph from buildUndirectedGraph or aggregateGraph
+     * @param {number} resolution - Resolution parameter
+     * @param {Function} random - Seeded PRNG
+     * @returns {Object} { community (renumbered 0..count-1), count, moved }
+     */
+    function moveNodes(graph, resolution, random) {
+        const { count, offsets, targets, weights, degrees, totalWeight } = graph;
+        const community = Int32Array.from({ length: count }, (_, i) => i);
+        const communityDegree = Float64Array.from(degrees);
+        
+        // Weight from the current node to each neighboring community
+        const linkWeight = new Float64Array(count);
+        const neighborCommunities = new Int32Array(count);
+        
+        const order = shuffle(Array.from({ length: count }, (_, i) => i), random);
+        let moved = false;
+        let improved = true;
+        
+        while (improved) {
+            improved = false;
+            
+            for (const node of order) {
+                const current = community[node];
+                const degree = degrees[node];
+                let neighborCount = 0;
+                
+                for (let e = offsets[node]; e < offsets[node + 1]; e++) {
+                    const target = targets[e];
+                    if (target === node) continue;
+                    const c = community[target];
+                    if (linkWeight[c] === 0) neighborCommunities[neighborCount++] = c;
+                    linkWeight[c] += weights[e];
+                }
+                
+                // Take the node out, then find the best community to put it in
+                communityDegree[current] -= degree;
+                
+                const gain = c => linkWeight[c] - resolution * communityDegree[c] * degree / totalWeight;
+                let best = current;
+                let bestGain = gain(current);
+                
+                for (let i = 0; i < neighborCount; i++) {
+                    const c = neighborCommunities[i];
+                    const candidateGain = gain(c);
+                    if (candidateGain > bestGain + 1e-12) {
+                        best = c;
+                        bestGain = candidateGain;
+                    }
+                }
+                
+                communityDegree[best] += degree;
+                if (best !== current) {
+                    community[node] = best;
+                    improved = true;
+                    moved = true;
+                }
+                
+                for (let i = 0; i < neighborCount; i++) {
+                    linkWeight[neighborCommunities[i]] = 0;
+                }
             }
-            communities.get(label).push(verse);
         }
         
-        // Filter out tiny communities
-        const significantCommunities = Array.from(communities.entries())
-            .filter(([_, members]) => members.length >= 3)
-            .sort((a, b) => b[1].length - a[1].length);
+        // Renumber communities 0..n-1
+        const renumber = new Map();
+        const renumbered = community.map(c => {
+            if (!renumber.has(c)) renumber.set(c, renumber.size);
+            return renumber.get(c);
+        });
         
-        const result = {
-            communities: significantCommunities,
-            communityCount: significantCommunities.length,
-            labels
+        return { community: renumbered, count: renumber.size, moved };
+    }
+    
+    /**
+     * Merge each community into a single node
+     * Edges inside a community become a self-loop carrying their total weight.
+     * 
+     * @param {Object} graph - Current level graph
+     * @param {Int32Array} community - Community of each node
+     * @param {number} communityCount - Number of communities
+     * @returns {Object} Aggregated graph
+     */
+    function aggregateGraph(graph, community, communityCount) {
+        const links = Array.from({ length: communityCount }, () => new Map());
+        
+        for (let node = 0; node < graph.count; node++) {
+            const from = links[community[node]];
+            for (let e = graph.offsets[node]; e < graph.offsets[node + 1]; e++) {
+                const to = community[graph.targets[e]];
+                from.set(to, (from.get(to) || 0) + graph.weights[e]);
+            }
+        }
+        
+        return createGraph(links);
+    }
+    
+    /**
+     * Build the symmetric graph used for modularity
+     * A reference listed in one direction only counts half as much as a
+     * reciprocal pair, so the adjacency is (W + W^T) / 2.
+     * 
+     * @param {Array} verses - All verses
+     * @param {Object} options - { weighted }
+     * @returns {Object} Graph for moveNodes/aggregateGraph
+     */
+    function buildUndirectedGraph(verses, options = {}) {
+        const indexById = new Map(verses.map((v, i) => [v.id, i]));
+        const links = verses.map(() => new Map());
+        
+        verses.forEach((verse, i) => {
+            for (const edge of verse.edges) {
+                const j = indexById.get(edge.id);
+                if (j === undefined || j === i) continue;
+                
+                const half = (options.weighted ? edgeStrength(edge.weight) : 1) / 2;
+                links[i].set(j, (links[i].get(j) || 0) + half);
+                links[j].set(i, (links[j].get(i) || 0) + half);
+            }
+        });
+        
+        return createGraph(links);
+    }
+    
+    /**
+     * Pack per-node link maps into a CSR graph
+     * A node's degree includes its self-loop, and totalWeight is the sum of
+     * all degrees (2m).
+     * 
+     * @param {Array} links - Map of neighbor index to weight for each node
+     * @returns {Object} { count, offsets, targets, weights, degrees, totalWeight }
+     */
+    function createGraph(links) {
+        const count = links.length;
+        const offsets = new Int32Array(count + 1);
+        const degrees = new Float64Array(count);
+        const targets = [];
+        const weights = [];
+        let totalWeight = 0;
+        
+        links.forEach((neighbors, i) => {
+            offsets[i] = targets.length;
+            for (const [j, weight] of neighbors) {
+                targets.push(j);
+                weights.push(weight);
+                degrees[i] += weight;
+            }
+            totalWeight += degrees[i];
+        });
+        offsets[count] = targets.length;
+        
+        return {
+            count,
+            offsets,
+            targets: Int32Array.from(targets),
+            weights: Float64Array.from(weights),
+            degrees,
+            // Avoid dividing by zero on graphs with no references
+            totalWeight: totalWeight || 1
         };
+    }
+    
+    /**
+     * Calculate the modularity of a partition
+     * Q = sum over communities of in/2m - resolution * (tot/2m)^2
+     * 
+     * @param {Array} verses - All verses
+     * @param {Map} labels - Verse ID to community label
+     * @param {Object} options - { weighted, resolution }
+     * @returns {number} Modularity (higher = denser communities than chance)
+     */
+    function calculateModularity(verses, labels, options = {}) {
+        const graph = buildUndirectedGraph(verses, options);
+        const resolution = options.resolution === undefined ? 1 : options.resolution;
+        const internal = new Map();
+        const total = new Map();
         
-        statsCache.communities = result;
-        console.log(`Found ${result.communityCount} communities`);
-        return result;
+        verses.forEach((verse, i) => {
+            const label = labels.get(verse.id);
+            total.set(label, (total.get(label) || 0) + graph.degrees[i]);
+            
+            for (let e = graph.offsets[i]; e < graph.offsets[i + 1]; e++) {
+                if (labels.get(verses[graph.targets[e]].id) === label) {
+                    internal.set(label, (internal.get(label) || 0) + graph.weights[e]);
+                }
+            }
+        });
+        
+        let modularity = 0;
+        for (const [label, degree] of total) {
+            const share = degree / graph.totalWeight;
+            modularity += (internal.get(label) || 0) / graph.totalWeight - resolution * share * share;
+        }
+        
+        return modularity;
+    }
+    
+    /**
+     * Shuffle a copy of an array (Fisher-Yates)
+     * @param {Array} items - Items to shuffle
+     * @param {Function} random - Seeded PRNG
+     * @returns {Array} Shuffled copy
+     */
+    function shuffle(items, random) {
+        const shuffled = items.slice();
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            const tmp = shuffled[i];
+            shuffled[i] = shuffled[j];
+            shuffled[j] = tmp;
+        }
+        return shuffled;
+    }
+    
+    /**
+     * Get one metric's score for every verse, for coloring the canvas
+     * Communities are numbered by size (0 = largest).
+     * 
+     * @param {Array} verses - All verses
+     * @param {string} metric - 'degree', 'inDegree', 'pagerank', 'eigenvector', 'authority', 'betweenness', 'clustering', 'hub' or 'community'
+     * @param {Object} options - { weighted, sampleSize, seed, damping, communityAlgorithm, resolution, graph }
+     * @returns {Map} Verse ID to score
+     */
+    function getVerseScores(verses, metric, options = {}) {
+        useGraph(options);
+        const metricOptions = { weighted: options.weighted, seed: options.seed };
+        const byId = (scored, field) => new Map(scored.map(v => [v.id, v[field]]));
+        
+        switch (metric) {
+            case 'degree':
+                return byId(calculateDegreeCentrality(verses, metricOptions), 'degreeCentrality');
+            case 'inDegree':
+                return byId(calculateDirectedDegree(verses, metricOptions), 'inDegree');
+            case 'pagerank':
+                return byId(calculatePageRank(verses, { ...metricOptions, damping: options.damping }), 'pageRank');
+            case 'eigenvector':
+                return byId(calculateEigenvectorCentrality(verses, metricOptions), 'eigenvectorCentrality');
+            case 'authority':
+                return byId(calculateHITS(verses, metricOptions), 'authorityScore');
+            case 'betweenness': {
+                const sampleSize = options.sampleSize === undefined ? 200 : options.sampleSize;
+                return byId(calculateBetweennessCentrality(verses, sampleSize, metricOptions), 'betweennessCentrality');
+            }
+            case 'clustering':
+                return byId(calculateClusteringCoefficient(verses), 'clusteringCoefficient');
+            case 'hub':
+                return byId(identifyHubs(verses, 30, metricOptions), 'hubScore');
+            case 'community': {
+                const result = detectCommunities(verses, 5, {
+                    ...metricOptions,
+                    algorithm: options.communityAlgorithm,
+                    resolution: options.resolution
+                });
+                
+                // Rank communities by size, including those under 3 verses
+                const sizes = new Map();
+                result.labels.forEach(label => sizes.set(label, (sizes.get(label) || 0) + 1));
+                const rank = new Map(Array.from(sizes.keys())
+                    .sort((a, b) => sizes.get(b) - sizes.get(a))
+                    .map((label, i) => [label, i]));
+                
+                return new Map(Array.from(result.labels, ([id, label]) => [id, rank.get(label)]));
+            }
+            default:
+                throw new Error(`Unknown metric "${metric}"`);
+        }
     }
     
     /**
@@ -354,14 +1610,19 @@ const NetworkStats = (function() {
         const centrality = calculateDegreeCentrality(verses);
         const topVerses = centrality.slice(0, 10);
         
-        // Network density
-        const possibleConnections = (verses.length * (verses.length - 1)) / 2;
-        const actualConnections = totalRefs / 2; // Each ref is bidirectional
-        const density = actualConnections / possibleConnections;
+        // Network density - references are directed, so every ordered pair could be one
+        const possibleConnections = verses.length * (verses.length - 1);
+        const density = possibleConnections > 0 ? totalRefs / possibleConnections : 0;
+        
+        const { reciprocity, reciprocalEdges } = calculateReciprocity(verses);
+        const maxInDegree = verses.reduce((max, v) => Math.max(max, v.inDegree), 0);
         
         return {
             nodeCount: verses.length,
             edgeCount: totalRefs,
+            reciprocity: (reciprocity * 100).toFixed(1) + '%',
+            reciprocalPairs: reciprocalEdges / 2,
+            maxInDegree,
             avgDegree: avgRefs.toFixed(2),
             medianDegree: medianRefs,
             maxDegree: maxRefs,
@@ -376,25 +1637,72 @@ const NetworkStats = (function() {
     
     /**
      * Compute all statistics
+     * Metrics are computed one at a time; onProgress receives
+     * { metric, label, step, steps, done, total } at each checkpoint and
+     * onResult(name, value) is called as soon as each metric is ready.
+     * Pass metrics (e.g. ['communities']) to compute only some of them.
      * 
      * @param {Array} verses - All verses
+     * @param {Object} options - { weighted, sampleSize, seed, damping, communityAlgorithm, resolution, metrics, graph, onProgress, onResult }
      * @returns {Object} All computed statistics
      */
-    function computeAllStats(verses) {
+    function computeAllStats(verses, options = {}) {
+        useGraph(options);
         console.log('='.repeat(60));
         console.log('Computing all network statistics...');
-        console.log(`Dataset: ${verses.length} verses`);
+        console.log(`Dataset: ${verses.length} verses${options.weighted ? ' (weighted)' : ''}`);
         console.log('='.repeat(60));
         const startTime = Date.now();
         
-        const stats = {
-            network: getNetworkStatistics(verses),
-            centrality: calculateDegreeCentrality(verses).slice(0, 20),
-            betweenness: calculateBetweennessCentrality(verses, 200).slice(0, 20),  // Reduced sample
-            clustering: calculateClusteringCoefficient(verses).slice(0, 20),
-            hubs: identifyHubs(verses, 30).filter(v => v.isHub),
-            communities: detectCommunities(verses, 5)  // Reduced iterations
+        const metricOptions = { weighted: options.weighted, seed: options.seed };
+        const sampleSize = options.sampleSize === undefined ? 200 : options.sampleSize;
+        const communityOptions = {
+            algorithm: options.communityAlgorithm,
+            resolution: options.resolution
         };
+        const allSteps = [
+            ['network', 'Network overview', () => getNetworkStatistics(verses)],
+            ['centrality', 'Degree centrality', () => calculateDegreeCentrality(verses, metricOptions).slice(0, 20)],
+            ['direction', 'In/out degree', () => {
+                const directed = calculateDirectedDegree(verses, metricOptions);
+                return {
+                    mostReferenced: directed.slice(0, 20),
+                    mostReferencing: directed.slice().sort((a, b) => b.outDegree - a.outDegree).slice(0, 20)
+                };
+            }],
+            ['pagerank', 'PageRank', () => calculatePageRank(verses, { ...metricOptions, damping: options.damping }).slice(0, 20)],
+            ['eigenvector', 'Eigenvector centrality', () => calculateEigenvectorCentrality(verses, metricOptions).slice(0, 20)],
+            ['hits', 'HITS hubs and authorities', () => {
+                const scored = calculateHITS(verses, metricOptions);
+                const topHubs = scored.slice().sort((a, b) => b.hitsHubScore - a.hitsHubScore).slice(0, 20);
+                // Top authorities plus top hubs, so the tab can sort by either
+                const ids = new Set(scored.slice(0, 20).map(v => v.id));
+                return scored.slice(0, 20).concat(topHubs.filter(v => !ids.has(v.id)));
+            }],
+            ['betweenness', 'Betweenness centrality', () => calculateBetweennessCentrality(verses, sampleSize, metricOptions).slice(0, 20)],
+            ['clustering', 'Clustering coefficients', () => calculateClusteringCoefficient(verses).slice(0, 20)],
+            ['hubs', 'Hub verses', () => identifyHubs(verses, 30, metricOptions).filter(v => v.isHub)],
+            ['communities', 'Communities', () => detectCommunities(verses, 5, { ...metricOptions, ...communityOptions })]
+        ];
+        const steps = options.metrics ?
+            allSteps.filter(([metric]) => options.metrics.includes(metric)) :
+            allSteps;
+        
+        const stats = { weighted: !!options.weighted };
+        
+        steps.forEach(([metric, label, compute], i) => {
+            const report = (done, total) => {
+                if (options.onProgress) {
+                    options.onProgress({ metric, label, step: i + 1, steps: steps.length, done, total });
+                }
+            };
+            
+            report(0, 0);
+            metricOptions.onIteration = report;
+            stats[metric] = compute();
+            
+            if (options.onResult) options.onResult(metric, stats[metric]);
+        });
         
         const elapsed = ((Date.now() - startTime) / 1000).toFixed(2);
         console.log('='.repeat(60));
@@ -405,18 +1713,221 @@ const NetworkStats = (function() {
         return stats;
     }
     
+    /**
+     * Compute all statistics in a Web Worker
+     * Falls back to the main thread when workers are unavailable.
+     * 
+     * @param {Array} verses - All verses
+     * @param {Object} options - As for computeAllStats
+     * @returns {Object} { promise, cancel } - promise resolves to the stats, or null if cancelled
+     */
+    function computeAllStatsAsync(verses, options = {}) {
+        const { onProgress, onResult, ...settings } = options;
+        
+        return startJob(
+            { type: 'compute', verses: verses.map(toWorkerVerse), options: settings },
+            options,
+            () => computeAllStats(verses, options)
+        );
+    }
+    
+    /**
+     * Get one metric's score for every verse in a Web Worker
+     * @param {Array} verses - All verses
+     * @param {string} metric - As for getVerseScores
+     * @param {Object} options - As for computeAllStats (without callbacks)
+     * @returns {Object} { promise, cancel } - promise resolves to the scores, or null if cancelled
+     */
+    function getVerseScoresAsync(verses, metric, options = {}) {
+        return startJob(
+            { type: 'scores', verses: verses.map(toWorkerVerse), metric, options },
+            {},
+            () => getVerseScores(verses, metric, options)
+        );
+    }
+    
+    /**
+     * Find the k shortest paths between verses in a Web Worker
+     * @param {Array} verses - All verses
+     * @param {string} startId - ID of the starting verse
+     * @param {Array} endIds - IDs of the target verses
+     * @param {number} k - Number of paths to find
+     * @param {Object} options - { weighted, directed }
+     * @returns {Object} { promise, cancel } - promise resolves to the paths, or null if cancelled
+     */
+    function findKShortestPathsAsync(verses, startId, endIds, k, options = {}) {
+        return startJob(
+            { type: 'paths', verses: verses.map(toWorkerVerse), startId, endIds, k, options },
+            {},
+            () => findKShortestPaths(verses, startId, endIds, k, options)
+        );
+    }
+    
+    /**
+     * Queue a job on the worker
+     * Jobs run one after another in the order they were started.
+     * 
+     * @param {Object} message - Worker message without jobId
+     * @param {Object} callbacks - { onProgress, onResult }
+     * @param {Function} runOnMainThread - Fallback when workers are unavailable
+     * @returns {Object} { promise, cancel }
+     */
+    function startJob(message, callbacks, runOnMainThread) {
+        let resolveJob, rejectJob;
+        const promise = new Promise((resolve, reject) => {
+            resolveJob = resolve;
+            rejectJob = reject;
+        });
+        
+        const job = {
+            id: nextJobId++,
+            message,
+            callbacks,
+            stats: { weighted: !!(message.options && message.options.weighted) },
+            resolve: resolveJob,
+            reject: rejectJob
+        };
+        
+        try {
+            getWorker().postMessage({ ...message, jobId: job.id });
+        } catch (error) {
+            console.warn('Web Worker unavailable - computing statistics on the main thread:', error);
+            // Let the loading state paint before blocking
+            job.timer = setTimeout(() => {
+                jobs.delete(job.id);
+                try {
+                    resolveJob(runOnMainThread());
+                } catch (computeError) {
+                    rejectJob(computeError);
+                }
+            }, 50);
+        }
+        
+        jobs.set(job.id, job);
+        return { promise, cancel: () => cancelJob(job) };
+    }
+    
+    /**
+     * Get the statistics worker, creating it if needed
+     * @returns {Worker} Worker running statsWorker.js
+     * @throws {Error} If an earlier worker failed
+     */
+    function getWorker() {
+        if (worker) return worker;
+        if (workerFailed) throw new Error('Statistics worker failed earlier');
+        
+        const created = new Worker('statsWorker.js');
+        created.addEventListener('message', handleWorkerMessage);
+        created.addEventListener('error', (e) => {
+            if (created !== worker) return;
+            console.error('Statistics worker error:', e.message);
+            
+            // A broken worker never answers, so don't send it any more jobs
+            created.terminate();
+            worker = null;
+            workerFailed = true;
+            
+            const error = new Error(e.message || 'Statistics worker failed');
+            jobs.forEach(job => job.reject(error));
+            jobs.clear();
+        });
+        
+        worker = created;
+        return worker;
+    }
+    
+    /**
+     * Route a message from the worker to its job
+     * @param {MessageEvent} e - { type, jobId, ... }
+     */
+    function handleWorkerMessage(e) {
+        const message = e.data;
+        const job = jobs.get(message.jobId);
+        
+        // Messages from a cancelled job
+        if (!job) return;
+        
+        switch (message.type) {
+            case 'progress':
+                if (job.callbacks.onProgress) job.callbacks.onProgress(message.progress);
+                break;
+            
+            case 'result':
+                // Results arrive one metric at a time; 'done' doesn't repeat them
+                job.stats[message.metric] = message.value;
+                if (job.callbacks.onResult) job.callbacks.onResult(message.metric, message.value);
+                break;
+            
+            case 'done':
+                jobs.delete(job.id);
+                statsCache.lastComputed = new Date();
+                job.resolve(message.value === undefined ? job.stats : message.value);
+                break;
+            
+            case 'error':
+                jobs.delete(job.id);
+                job.reject(new Error(message.message));
+                break;
+        }
+    }
+    
+    /**
+     * Stop a queued or running job
+     * The worker runs jobs in the order they were started, so the oldest
+     * job is the one running. It can't be interrupted mid-computation, so
+     * the worker is replaced with a fresh one and the queued jobs (none of
+     * which have started) are sent to it again. A queued job is only
+     * forgotten: the worker still reaches it, but its messages are ignored.
+     * 
+     * @param {Object} job - Job from startJob
+     */
+    function cancelJob(job) {
+        if (!jobs.has(job.id)) return;
+        const running = jobs.keys().next().value === job.id;
+        jobs.delete(job.id);
+        
+        if (job.timer) {
+            clearTimeout(job.timer);
+        } else if (worker && running) {
+            worker.terminate();
+            worker = null;
+            jobs.forEach(queued => {
+                getWorker().postMessage({ ...queued.message, jobId: queued.id });
+            });
+        }
+        
+        console.log('Statistics computation cancelled');
+        job.resolve(null);
+    }
+    
+    /**
+     * Copy the fields the metrics need, so the worker isn't sent layout state
+     * @param {Object} verse - Verse object
+     * @returns {Object} Plain verse data
+     */
+    function toWorkerVerse(verse) {
+        return {
+            id: verse.id,
+            verse: verse.verse,
+            book: verse.book,
+            chapter: verse.chapter,
+            verseNumber: verse.verseNumber,
+            refs: verse.refs,
+            edges: verse.edges,
+            refCount: verse.refCount,
+            incoming: verse.incoming,
+            inDegree: verse.inDegree
+        };
+    }
+    
     /**
      * Clear cache (call when data changes)
      */
     function clearCache() {
-        statsCache = {
-            centrality: null,
-            betweenness: null,
-            clustering: null,
-            communities: null,
-            hubs: null,
-            lastComputed: null
-        };
+        statsCache = createEmptyCache();
+        if (worker) {
+            worker.postMessage({ type: 'clearCache' });
+        }
     }
     
     /**
@@ -436,13 +1947,25 @@ const NetworkStats = (function() {
     // Public API
     return {
         calculateDegreeCentrality,
+        calculateDirectedDegree,
+        calculatePageRank,
+        calculateEigenvectorCentrality,
+        calculateHITS,
+        calculateReciprocity,
+        calculateBookMatrix,
         calculateBetweennessCentrality,
         calculateClusteringCoefficient,
         identifyHubs,
         detectCommunities,
         getNetworkStatistics,
         computeAllStats,
+        computeAllStatsAsync,
+        getVerseScores,
+        getVerseScoresAsync,
         findShortestPath,
+        findWeightedShortestPath,
+        findKShortestPaths,
+        findKShortestPathsAsync,
         clearCache,
         exportStats
     };
@@ -0,0 +1,329 @@
+/**
+ * Path Finder Module
+ * 
+ * Panel for finding how two passages connect: pick a start verse and an
+ * end verse (or a whole chapter/range), and the k shortest chains of
+ * cross-references between them are computed in the statistics worker.
+ * The chosen chain is drawn on the canvas with numbered hops and listed
+ * in the info panel.
+ */
+
+const PathFinder = (function() {
+    'use strict';
+    
+    let panel, fromInput, toInput, countSelect, directedInput, weightedInput;
+    let messageEl, resultsEl;
+    
+    let paths = [];         // Found paths, each an array of verses in order
+    let activeIndex = -1;   // Path currently highlighted
+    let activeJob = null;   // Running search ({ promise, cancel }), if any
+    
+    /**
+     * Initialize the path finder panel
+     */
+    function init() {
+        createPanel();
+        
+        const button = document.getElementById('find-path-btn');
+        if (button) {
+            button.addEventListener('click', toggle);
+        } else {
+            console.error('Find path button not found - path finder disabled');
+        }
+    }
+    
+    /**
+     * Create the panel HTML structure
+     */
+    function createPanel() {
+        panel = document.createElement('div');
+        panel.id = 'path-panel';
+        panel.className = 'path-panel hidden';
+        
+        panel.innerHTML = `
+            <div class="path-panel-header">
+                <h4>Find Path</h4>
+                <button class="close-btn" id="close-path">×</button>
+            </div>
+            <label>
+                From
+                <input type="text" id="path-from" placeholder="e.g., Genesis 3:15">
+            </label>
+            <label>
+                To
+                <input type="text" id="path-to" placeholder="e.g., Revelation 12">
+            </label>
+            <div class="path-options">
+                <label>
+                    Paths
+                    <select id="path-count">
+                        <option value="1">1</option>
+                        <option value="3" selected>3</option>
+                        <option value="5">5</option>
+                        <option value="10">10</option>
+                    </select>
+                </label>
+                <label title="Only follow references from the citing verse to the cited verse">
+                    <input type="checkbox" id="path-directed">
+                    Follow direction
+                </label>
+                <label title="Prefer strong references over short chains">
+                    <input type="checkbox" id="path-weighted">
+                    By strength
+                </label>
+            </div>
+            <div class="path-buttons">
+                <button id="path-find">Find</button>
+                <button id="path-clear">Clear</button>
+            </div>
+            <div id="path-message" class="path-message"></div>
+            <div id="path-results" class="path-results"></div>
+        `;
+        
+        const container = document.getElementById('canvas-container') || document.body;
+        container.appendChild(panel);
+        
+        fromInput = document.getElementById('path-from');
+        toInput = document.getElementById('path-to');
+        countSelect = document.getElementById('path-count');
+        directedInput = document.getElementById('path-directed');
+        weightedInput = document.getElementById('path-weighted');
+        messageEl = document.getElementById('path-message');
+        resultsEl = document.getElementById('path-results');
+        
+        document.getElementById('close-path').addEventListener('click', close);
+        document.getElementById('path-find').addEventListener('click', findFromInputs);
+        document.getElementById('path-clear').addEventListener('click', clear);
+        
+        [fromInput, toInput].forEach(input => {
+            input.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') findFromInputs();
+            });
+        });
+    }
+    
+    /**
+     * Show or hide the panel
+     */
+    function toggle() {
+        if (panel.classList.contains('hidden')) {
+            open();
+        } else {
+            close();
+        }
+    }
+    
+    /**
+     * Show the panel, starting from the selected verse if nothing was entered
+     */
+    function open() {
+        const selected = Renderer.getViewState().selectedVerse;
+        if (selected && !fromInput.value.trim()) {
+            fromInput.value = selected.verse;
+        }
+        
+        panel.classList.remove('hidden');
+        (fromInput.value.trim() ? toInput : fromInput).focus();
+    }
+    
+    /**
+     * Hide the panel (the highlighted path stays until cleared)
+     */
+    function close() {
+        panel.classList.add('hidden');
+    }
+    
+    /**
+     * Run a search with the panel's inputs
+     */
+    function findFromInputs() {
+        find(fromInput.value, toInput.value, {
+            k: parseInt(countSelect.value, 10),
+            directed: directedInput.checked,
+            weighted: weightedInput.checked
+        });
+    }
+    
+    /**
+     * Find and highlight the shortest paths between two references
+     * The start is a single verse (the first match); the end may be a
+     * chapter or range, in which case the path stops at the nearest verse in it.
+     * 
+     * @param {string} fromText - Start reference
+     * @param {string} toText - End reference
+     * @param {Object} options - { k, directed, weighted }
+     * @returns {Promise<boolean>} True if paths were found
+     */
+    async function find(fromText, toText, options = {}) {
+        if (!fromText.trim() || !toText.trim()) {
+            setMessage('Enter a start and an end reference.', true);
+            return false;
+        }
+        
+        const from = DataLoader.findVerses(fromText.trim());
+        const to = DataLoader.findVerses(toText.trim());
+        if (from.error) {
+            setMessage(`From: ${from.error}`, true);
+            return false;
+        }
+        if (to.error) {
+            setMessage(`To: ${to.error}`, true);
+            return false;
+        }
+        
+        if (activeJob) {
+            activeJob.cancel();
+        }
+        
+        const start = from.verses[0];
+        const k = options.k || 1;
+        setMessage(`Searching from ${start.verse}...`);
+        
+        const job = NetworkStats.findKShortestPathsAsync(
+            DataLoader.getVerses(),
+            start.id,
+            to.verses.map(v => v.id),
+            k,
+            { directed: !!options.directed, weighted: !!options.weighted }
+        );
+        activeJob = job;
+        
+        let found;
+        try {
+            found = await job.promise;
+        } catch (error) {
+            if (activeJob === job) activeJob = null;
+            console.error('Error finding paths:', error);
+            setMessage('Error finding paths. Check console.', true);
+            return false;
+        }
+        
+        // Superseded by a newer search
+        if (activeJob !== job || !found) return false;
+        activeJob = null;
+        
+        paths = found.map(path => path.ids.map(id => DataLoader.findVerseById(id)));
+        
+        if (paths.length === 0) {
+            setMessage(`No path from ${start.verse} to ${toText.trim()}${options.directed ? ' following reference direction' : ''}.`, true);
+            renderResults();
+            showPath(-1);
+            return false;
+        }
+        
+        const notes = [];
+        if (from.verses.length > 1) {
+            notes.push(`From matches ${from.verses.length} verses - starting at ${start.verse}.`);
+        }
+        if (paths.length < k) {
+            notes.push(`Only ${paths.length} ${paths.length === 1 ? 'path' : 'paths'} found.`);
+        }
+        setMessage(notes.join(' '));
+        
+        renderResults();
+        showPath(0);
+        return true;
+    }
+    
+    /**
+     * List the found paths in the panel
+     */
+    function renderResults() {
+        resultsEl.innerHTML = '';
+        
+        paths.forEach((path, i) => {
+            const hops = path.length - 1;
+            const item = document.createElement('div');
+            item.className = 'path-result';
+            item.textContent = `Path ${i + 1} · ${hops} ${hops === 1 ? 'hop' : 'hops'} · ends at ${path[path.length - 1].verse}`;
+            item.addEventListener('click', () => showPath(i));
+            resultsEl.appendChild(item);
+        });
+    }
+    
+    /**
+     * Highlight one of the found paths on the canvas and in the info panel
+     * @param {number} index - Path index, or -1 to clear the highlight
+     */
+    function showPath(index) {
+        activeIndex = index;
+        const path = paths[index] || null;
+        
+        Array.from(resultsEl.children).forEach((item, i) => {
+            item.classList.toggle('active', i === index);
+        });
+        
+        Renderer.setHighlightedPath(path);
+        
+        // Lists the path, or goes back to the selected verse without one
+        EventHandlers.restoreInfoPanel();
+        
+        window.app.render();
+    }
+    
+    /**
+     * List the highlighted path in the info panel
+     * @returns {boolean} True if a path is highlighted
+     */
+    function showInfo() {
+        const path = paths[activeIndex];
+        if (!path) return false;
+        
+        const hops = path.length - 1;
+        EventHandlers.showPathInfo(
+            path,
+            `Path ${activeIndex + 1} of ${paths.length} · ${hops} ${hops === 1 ? 'hop' : 'hops'}`
+        );
+        return true;
+    }
+    
+    /**
+     * Drop the results and highlighted path, keeping the inputs
+     * (e.g. after the references change)
+     */
+    function clearResults() {
+        if (activeJob) {
+            activeJob.cancel();
+            activeJob = null;
+        }
+        
+        paths = [];
+        setMessage('');
+        renderResults();
+        showPath(-1);
+    }
+    
+    /**
+     * Clear the inputs, results and highlighted path
+     */
+    function clear() {
+        fromInput.value = '';
+        toInput.value = '';
+        clearResults();
+    }
+    
+    /**
+     * Show a status line under the buttons
+     * @param {string} message - Text to show (empty to clear)
+     * @param {boolean} isError - Whether the search could not run
+     */
+    function setMessage(message, isError = false) {
+        messageEl.textContent = message;
+        messageEl.classList.toggle('error', isError);
+    }
+    
+    // Public API
+    return {
+        init,
+        open,
+        close,
+        find,
+        clear,
+        clearResults,
+        showInfo,
+        getActivePath: () => paths[activeIndex] || null
+    };
+})();
+
+// Make PathFinder globally available
+window.PathFinder = PathFinder;
\ No newline at end of file
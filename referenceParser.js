@@ -0,0 +1,329 @@
+/**
+ * Reference Parser Module
+ * 
+ * Parses natural-language verse references such as "Genesis 1:1",
+ * "Gen 1.1", "1 Cor 13:4-7" or "Jn 3:16, 18; Rom 5:8" into canonical
+ * book codes (the ones used in CONFIG.bookColors) and verse ranges.
+ */
+
+const ReferenceParser = (function() {
+    'use strict';
+    
+    // Books with a single chapter, where "Jude 3" means verse 3
+    const SINGLE_CHAPTER_BOOKS = new Set(['OBA', 'PHM', '2JO', '3JO', 'JUD']);
+    
+    // Normalized code/name/alias -> book code (built on first use)
+    let nameIndex = null;
+    
+    /**
+     * Build the lookup table from CONFIG.books
+     * @returns {Map} Normalized name to book code
+     */
+    function getNameIndex() {
+        if (nameIndex) return nameIndex;
+        
+        nameIndex = new Map();
+        CONFIG.books.forEach(book => {
+            nameIndex.set(book.code.toLowerCase(), book.code);
+            nameIndex.set(normalizeBookName(book.name), book.code);
+            book.aliases.forEach(alias => nameIndex.set(alias, book.code));
+        });
+        
+        return nameIndex;
+    }
+    
+    /**
+     * Normalize a book name for lookup
+     * "I Cor." -> "1cor", "Second Kings" -> "2kings", "Song of Songs" -> "songofsongs"
+     * @param {string} text - Book name as typed
+     * @returns {string} Normalized name
+     */
+    function normalizeBookName(text) {
+        return text
+            .toLowerCase()
+            .replace(/[.\s]+/g, ' ')
+            .trim()
+            .replace(/^(first|1st|i) /, '1')
+            .replace(/^(second|2nd|ii) /, '2')
+            .replace(/^(third|3rd|iii) /, '3')
+            .replace(/\s+/g, '');
+    }
+    
+    /**
+     * Resolve a book name, abbreviation or alias to its canonical code
+     * Falls back to an unambiguous prefix of a full name ("Deut", "Hebr").
+     * @param {string} text - Book name as typed
+     * @returns {Object} { code } on success, { error } otherwise
+     */
+    function resolveBook(text) {
+        const key = normalizeBookName(text);
+        const index = getNameIndex();
+        
+        if (!key) {
+            return { error: 'Missing book name' };
+        }
+        
+        if (index.has(key)) {
+            return { code: index.get(key) };
+        }
+        
+        const candidates = findBookCandidates(text);
+        
+        if (candidates.length === 1) {
+            return { code: candidates[0] };
+        }
+        
+        if (candidates.length > 1) {
+            const names = candidates.map(code => getBookName(code));
+            return { error: `"${text.trim()}" could be ${names.join(', ')}` };
+        }
+        
+        return { error: `Unknown book "${text.trim()}"` };
+    }
+    
+    /**
+     * Find books whose code, name or alias starts with the given text
+     * @param {string} text - Partial book name as typed
+     * @returns {Array} Book codes in canonical order
+     */
+    function findBookCandidates(text) {
+        const key = normalizeBookName(text);
+        if (!key) return [];
+        
+        const index = getNameIndex();
+        if (index.has(key)) return [index.get(key)];
+        
+        const candidates = new Set();
+        // A single letter is too vague, except for numbered books ("1", "2")
+        if (key.length >= 2 || /^[123]$/.test(key)) {
+            for (const [name, code] of index) {
+                if (name.startsWith(key)) candidates.add(code);
+            }
+        }
+        
+        return Array.from(candidates).sort((a, b) => getBookOrder(a) - getBookOrder(b));
+    }
+    
+    /**
+     * Get a book's position in canonical order
+     * @param {string} code - Book code
+     * @returns {number} 0-based index (unknown books sort last)
+     */
+    function getBookOrder(code) {
+        const index = CONFIG.books.findIndex(b => b.code === code);
+        return index === -1 ? CONFIG.books.length : index;
+    }
+    
+    /**
+     * Get the full name of a book
+     * @param {string} code - Book code
+     * @returns {string} Full name, or the code if unknown
+     */
+    function getBookName(code) {
+        const book = CONFIG.books.find(b => b.code === code);
+        return book ? book.name : code;
+    }
+    
+    /**
+     * Parse a reference string
+     * Groups are separated by ";" and may omit the book to reuse the previous one.
+     * 
+     * @param {string} input - Reference text
+     * @returns {Object} { references, error } - error is null on success
+     */
+    function parse(input) {
+        const references = [];
+        let lastBook = null;
+        
+        const groups = (input || '').split(';').map(g => g.trim()).filter(g => g);
+        
+        if (groups.length === 0) {
+            return { references, error: 'Enter a reference, e.g. "John 3:16"' };
+        }
+        
+        for (const group of groups) {
+            let bookText = null;
+            let numberText = '';
+            
+            const match = group.match(/^((?:[123]\s*)?[a-z][a-z\s.]*?)[\s.]*(\d[\d\s:.,\-–—]*)?$/i);
+            
+            if (match) {
+                bookText = match[1];
+                numberText = match[2] || '';
+            } else if (lastBook && /^[\d\s:.,\-–—]+$/.test(group)) {
+                numberText = group;
+            } else {
+                return { references: [], error: `Couldn't read "${group}" as a reference` };
+            }
+            
+            let book = lastBook;
+            if (bookText !== null) {
+                const resolved = resolveBook(bookText);
+                if (resolved.error) {
+                    return { references: [], error: resolved.error };
+                }
+                book = resolved.code;
+            }
+            lastBook = book;
+            
+            const parsed = parseNumbers(numberText, book);
+            if (parsed.error) {
+                return { references: [], error: `${parsed.error} in "${group}"` };
+            }
+            
+            references.push(...parsed.references);
+        }
+        
+        return { references, error: null };
+    }
+    
+    /**
+     * Parse the chapter/verse part of a reference
+     * Accepts "3:16", "3.16", "3 16", ranges ("4-7", "1:30-2:3") and comma lists.
+     * 
+     * @param {string} text - Numeric part of the reference
+     * @param {string} book - Book code
+     * @returns {Object} { references } or { error }
+     */
+    function parseNumbers(text, book) {
+        const normalized = text
+            .replace(/[–—]/g, '-')
+            .replace(/\s*([,\-])\s*/g, '$1')
+            .trim()
+            .replace(/[\s.]+/g, ':')
+            .replace(/[,\-:]+$/, '');
+        
+        if (!normalized) {
+            // Whole book
+            return {
+                references: [{ book, chapter: null, verse: null, endChapter: null, endVerse: null }]
+            };
+        }
+        
+        const references = [];
+        const singleChapter = SINGLE_CHAPTER_BOOKS.has(book);
+        let currentChapter = null;
+        let inVerseList = false;
+        
+        for (const item of normalized.split(',')) {
+            const parts = item.split('-');
+            if (parts.length > 2 || parts.some(p => !p)) {
+                return { error: `Malformed range "${item}"` };
+            }
+            
+            const start = parsePoint(parts[0]);
+            if (!start) {
+                return { error: `Malformed reference "${parts[0]}"` };
+            }
+            
+            let chapter, verse;
+            if (start.length === 2) {
+                [chapter, verse] = start;
+            } else if (singleChapter) {
+                [chapter, verse] = [1, start[0]];
+            } else if (inVerseList) {
+                [chapter, verse] = [currentChapter, start[0]];
+            } else {
+                [chapter, verse] = [start[0], null];
+            }
+            
+            let endChapter = chapter;
+            let endVerse = verse;
+            
+            if (parts.length === 2) {
+                const end = parsePoint(parts[1]);
+                if (!end) {
+                    return { error: `Malformed reference "${parts[1]}"` };
+                }
+                
+                if (end.length === 2) {
+                    [endChapter, endVerse] = end;
+                    if (verse === null) verse = 1;
+                } else if (verse !== null) {
+                    endVerse = end[0];
+                } else {
+                    endChapter = end[0];
+                }
+                
+                if (endChapter < chapter || (endChapter === chapter && endVerse < verse)) {
+                    return { error: `Range "${item}" ends before it starts` };
+                }
+            }
+            
+            references.push({ book, chapter, verse, endChapter, endVerse });
+            currentChapter = endChapter;
+            inVerseList = endVerse !== null;
+        }
+        
+        return { references };
+    }
+    
+    /**
+     * Parse "c:v" or "n" into numbers
+     * @param {string} text - Point text
+     * @returns {Array|null} [chapter, verse], [n] or null if invalid
+     */
+    function parsePoint(text) {
+        const parts = text.split(':');
+        if (parts.length > 2 || !parts.every(p => /^\d+$/.test(p))) return null;
+        
+        const numbers = parts.map(p => parseInt(p, 10));
+        return numbers.every(n => n > 0) ? numbers : null;
+    }
+    
+    /**
+     * Check whether a verse falls inside a parsed reference
+     * @param {Object} reference - Parsed reference
+     * @param {Object} verse - Verse object (book, chapter, verseNumber)
+     * @returns {boolean} True if the verse is covered
+     */
+    function matches(reference, verse) {
+        if (verse.book !== reference.book) return false;
+        if (reference.chapter === null) return true;
+        
+        const startVerse = reference.verse === null ? 0 : reference.verse;
+        const endVerse = reference.endVerse === null ? Infinity : reference.endVerse;
+        
+        if (verse.chapter < reference.chapter || verse.chapter > reference.endChapter) return false;
+        if (verse.chapter === reference.chapter && verse.verseNumber < startVerse) return false;
+        if (verse.chapter === reference.endChapter && verse.verseNumber > endVerse) return false;
+        return true;
+    }
+    
+    /**
+     * Format a parsed reference for display
+     * @param {Object} reference - Parsed reference
+     * @returns {string} e.g. "1CO 13:4-7", "GEN 1:30-2:3", "PSA 23"
+     */
+    function format(reference) {
+        const { book, chapter, verse, endChapter, endVerse } = reference;
+        
+        if (chapter === null) return book;
+        
+        let text = `${book} ${chapter}`;
+        if (verse !== null) text += `:${verse}`;
+        
+        if (endChapter !== chapter) {
+            text += `-${endChapter}`;
+            if (endVerse !== null) text += `:${endVerse}`;
+        } else if (verse !== null && endVerse !== verse) {
+            text += `-${endVerse}`;
+        }
+        
+        return text;
+    }
+    
+    // Public API
+    return {
+        parse,
+        resolveBook,
+        findBookCandidates,
+        getBookName,
+        getBookOrder,
+        matches,
+        format
+    };
+})();
+
+// Make ReferenceParser globally available
+window.ReferenceParser = ReferenceParser;
\ No newline at end of file
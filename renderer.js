@@ -16,9 +16,52 @@ const Renderer = (function() {
     let offsetX = 0;
     let offsetY = 0;
     
+    // Animated transitions ease the view toward these targets
+    let targetScale = 1;
+    let targetOffsetX = 0;
+    let targetOffsetY = 0;
+    let animationFrame = null;
+    let redrawHandler = null;
+    let interacting = false;  // True while the user is dragging or pinching
+    
+    // "All edges" view options
+    let allEdges = {
+        enabled: false,
+        opacity: CONFIG.visual.allEdges.opacity
+    };
+    
+    // Edge filter from FilterControls ({ key, passes }), or null to draw every reference
+    let edgeFilter = null;
+    
+    // Offscreen layer holding the drawn edges, rebuilt only when the data,
+    // layout or view it was drawn for changes
+    const edgeLayer = {
+        canvas: null,
+        dataKey: null,
+        scale: 1,
+        offsetX: 0,
+        offsetY: 0
+    };
+    
     // Selection state
     let hoveredVerse = null;
     let selectedVerse = null;
+    let highlightedPath = null;  // Verses of the path finder's current path, in order
+    let collectionOverlay = null;  // Verses of the highlighted collection, in order
+    
+    // Layout state
+    let layoutMode = CONFIG.layout.mode;
+    let bookSegments = [];  // { book, startAngle, endAngle } from the last canonical layout
+    
+    // Layout cache: positions are computed on the unit circle (ux, uy) only
+    // when the verse list or layout mode changes; pan/zoom is applied on top.
+    let layoutVerses = null;
+    let layoutModeUsed = null;
+    let customLayout = null;      // { key, place(verses) } replacing the ring (e.g. focus mode)
+    let customLayoutKeyUsed = null;
+    let layoutVersion = 0;
+    let visibleById = new Map();
+    let verseIndex = null;
     
     /**
      * Initialize the renderer
@@ -49,39 +92,449 @@ const Renderer = (function() {
     
     /**
      * Calculate positions for verses in circular layout
+     * The layout itself is only recomputed when the verses or mode change.
      * @param {Array} verses - Array of verse objects
      */
     function calculatePositions(verses) {
-        if (verses.length === 0) return;
+        const customKey = customLayout ? customLayout.key : null;
+        if (verses !== layoutVerses || layoutMode !== layoutModeUsed || customKey !== customLayoutKeyUsed) {
+            updateLayout(verses);
+        }
+        applyView(verses);
+    }
+    
+    /**
+     * Recompute layout positions, the id lookup and the hit-test index
+     * @param {Array} verses - Array of verse objects
+     */
+    function updateLayout(verses) {
+        bookSegments = [];
+        
+        if (customLayout) {
+            customLayout.place(verses);
+        } else if (layoutMode === 'force') {
+            ForceLayout.place(verses);
+        } else if (layoutMode === 'canonical') {
+            calculateCanonicalPositions(verses);
+        } else {
+            calculateRingPositions(verses);
+        }
+        
+        visibleById = new Map(verses.map(v => [v.id, v]));
+        verseIndex = SpatialIndex.build(verses, v => v.ux, v => v.uy, CONFIG.visual.indexCellSize);
+        
+        layoutVerses = verses;
+        layoutModeUsed = layoutMode;
+        customLayoutKeyUsed = customLayout ? customLayout.key : null;
+        layoutVersion++;
+    }
+    
+    /**
+     * Map layout positions to screen positions for the current pan/zoom
+     * @param {Array} verses - Array of verse objects
+     */
+    function applyView(verses) {
+        const cx = centerX + offsetX;
+        const cy = centerY + offsetY;
+        const r = radius * scale;
         
+        verses.forEach(verse => {
+            verse.x = cx + verse.ux * r;
+            verse.y = cy + verse.uy * r;
+        });
+    }
+    
+    /**
+     * Space verses evenly around the ring
+     * @param {Array} verses - Array of verse objects
+     */
+    function calculateRingPositions(verses) {
         const angleStep = (Math.PI * 2) / verses.length;
         
         verses.forEach((verse, i) => {
-            const angle = i * angleStep - Math.PI / 2;
-            verse.x = centerX + offsetX + Math.cos(angle) * radius * scale;
-            verse.y = centerY + offsetY + Math.sin(angle) * radius * scale;
+            placeOnRing(verse, i * angleStep - Math.PI / 2);
+        });
+    }
+    
+    /**
+     * Place verses in canonical order with gaps between books and Testaments
+     * Records each book's angular span in bookSegments for the outer arcs.
+     * @param {Array} verses - Array of verse objects (already in canonical order)
+     */
+    function calculateCanonicalPositions(verses) {
+        const { bookGap, testamentGap, maxGapFraction } = CONFIG.layout;
+        
+        // Gap before each verse: a book gap, or a Testament gap at the OT/NT
+        // boundary. The wrap-around from the last book to the first also gets
+        // a Testament gap, split evenly either side of the top.
+        const gaps = verses.map((verse, i) => {
+            if (i === 0) return 0;
+            const prev = verses[i - 1];
+            if (prev.book === verse.book) return 0;
+            return getTestament(prev.book) !== getTestament(verse.book) ? testamentGap : bookGap;
+        });
+        
+        const maxGaps = Math.PI * 2 * maxGapFraction;
+        const totalGaps = gaps.reduce((sum, g) => sum + g, 0) + testamentGap;
+        const gapScale = totalGaps > maxGaps ? maxGaps / totalGaps : 1;
+        const angleStep = (Math.PI * 2 - totalGaps * gapScale) / verses.length;
+        
+        let angle = -Math.PI / 2 + (testamentGap * gapScale) / 2;
+        let segment = null;
+        
+        verses.forEach((verse, i) => {
+            angle += gaps[i] * gapScale;
+            
+            if (!segment || segment.book !== verse.book) {
+                segment = { book: verse.book, startAngle: angle, endAngle: angle };
+                bookSegments.push(segment);
+            }
+            
+            placeOnRing(verse, angle + angleStep / 2);
+            angle += angleStep;
+            segment.endAngle = angle;
+        });
+    }
+    
+    /**
+     * Set a verse's layout position from its angle on the ring
+     * @param {Object} verse - Verse object
+     * @param {number} angle - Angle in radians (0 = 3 o'clock)
+     */
+    function placeOnRing(verse, angle) {
+        verse.angle = angle;
+        verse.ux = Math.cos(angle);
+        verse.uy = Math.sin(angle);
+    }
+    
+    /**
+     * Get the Testament of a book
+     * @param {string} book - Book code
+     * @returns {string|null} 'OT', 'NT' or null if unknown
+     */
+    function getTestament(book) {
+        const entry = CONFIG.books.find(b => b.code === book);
+        return entry ? entry.testament : null;
+    }
+    
+    /**
+     * Draw a colored, labeled arc outside the ring for each book
+     */
+    function drawBookArcs() {
+        const { arcOffset, arcWidth, labelOffset, minLabelArc } = CONFIG.layout;
+        const cx = centerX + offsetX;
+        const cy = centerY + offsetY;
+        const arcRadius = radius * scale + arcOffset;
+        const labelRadius = radius * scale + labelOffset;
+        
+        ctx.save();
+        ctx.lineWidth = arcWidth;
+        ctx.font = CONFIG.visual.label.font;
+        ctx.textBaseline = 'middle';
+        
+        bookSegments.forEach(segment => {
+            const color = CONFIG.bookColors[segment.book] || CONFIG.defaultColor;
+            
+            ctx.strokeStyle = color;
+            ctx.beginPath();
+            ctx.arc(cx, cy, arcRadius, segment.startAngle, segment.endAngle);
+            ctx.stroke();
+            
+            // Label only arcs long enough to read
+            if ((segment.endAngle - segment.startAngle) * arcRadius < minLabelArc) return;
+            
+            const mid = (segment.startAngle + segment.endAngle) / 2;
+            const cos = Math.cos(mid);
+            ctx.fillStyle = color;
+            ctx.textAlign = cos > 0.1 ? 'left' : cos < -0.1 ? 'right' : 'center';
+            ctx.fillText(
+                segment.book,
+                cx + cos * labelRadius,
+                cy + Math.sin(mid) * labelRadius
+            );
         });
+        
+        ctx.restore();
     }
     
     /**
      * Draw reference lines for a verse
+     * Outgoing references are drawn in `color` with arrowheads at the verses
+     * they point to; incoming ones in the incoming color with arrowheads at
+     * this verse. Mutual references get one line with arrowheads at both ends.
+     * Line width and opacity follow each edge's weight. Only references to
+     * verses in the current layout that pass the edge filter are drawn.
      * @param {Object} verse - Verse object
-     * @param {Array} allVerses - All verses for lookup
+     * @param {string} color - Color of outgoing lines
+     * @param {number} radius - Point radius of the verse (arrowheads stop at its edge)
+     */
+    function drawReferenceLines(verse, color, radius) {
+        const lineStyle = CONFIG.visual.referenceLine;
+        const otherRadius = CONFIG.visual.pointRadius.normal;
+        const passes = (source, target, weight) => !edgeFilter || edgeFilter.passes(source, target, weight);
+        const drawn = new Set();
+        
+        ctx.save();
+        
+        verse.edges.forEach(edge => {
+            const targetVerse = visibleById.get(edge.id);
+            if (targetVerse && passes(verse, targetVerse, edge.weight)) {
+                const reverse = targetVerse.edges.find(e => e.id === verse.id);
+                const mutual = reverse !== undefined && passes(targetVerse, verse, reverse.weight);
+                applyLineWeight(edge.weight, color);
+                drawArrowLine(verse, targetVerse, radius, otherRadius, mutual);
+                drawn.add(edge.id);
+            }
+        });
+        
+        verse.incoming.forEach(edge => {
+            const sourceVerse = visibleById.get(edge.id);
+            // Mutual references were drawn above
+            if (sourceVerse && !drawn.has(edge.id) && passes(sourceVerse, verse, edge.weight)) {
+                applyLineWeight(edge.weight, lineStyle.incomingColor);
+                drawArrowLine(sourceVerse, verse, otherRadius, radius, false);
+            }
+        });
+        
+        ctx.restore();
+    }
+    
+    /**
+     * Set stroke and fill for a reference line of the given weight
+     * @param {number} weight - Raw edge weight
      * @param {string} color - Line color
      */
-    function drawReferenceLines(verse, allVerses, color) {
+    function applyLineWeight(weight, color) {
+        const lineStyle = CONFIG.visual.referenceLine;
+        const strength = DataLoader.normalizeWeight(weight);
+        
         ctx.strokeStyle = color;
-        ctx.lineWidth = CONFIG.visual.referenceLine.width;
-        
-        verse.refs.forEach(refId => {
-            const targetVerse = allVerses.find(v => v.id === refId);
-            if (targetVerse) {
-                ctx.beginPath();
-                ctx.moveTo(verse.x, verse.y);
-                ctx.lineTo(targetVerse.x, targetVerse.y);
-                ctx.stroke();
+        ctx.fillStyle = color;
+        ctx.globalAlpha = lineStyle.minOpacity + (1 - lineStyle.minOpacity) * strength;
+        ctx.lineWidth = lineStyle.width + (lineStyle.maxWidth - lineStyle.width) * strength;
+    }
+    
+    /**
+     * Draw a line from one verse to another with an arrowhead at the target
+     * @param {Object} from - Source verse
+     * @param {Object} to - Target verse
+     * @param {number} fromRadius - Point radius at the source
+     * @param {number} toRadius - Point radius at the target
+     * @param {boolean} bothEnds - Also draw an arrowhead at the source
+     */
+    function drawArrowLine(from, to, fromRadius, toRadius, bothEnds) {
+        ctx.beginPath();
+        ctx.moveTo(from.x, from.y);
+        ctx.lineTo(to.x, to.y);
+        ctx.stroke();
+        
+        const size = CONFIG.visual.referenceLine.arrowSize;
+        const dx = to.x - from.x;
+        const dy = to.y - from.y;
+        const length = Math.sqrt(dx * dx + dy * dy);
+        
+        // Too short to show an arrowhead clear of the points
+        if (!size || length <= fromRadius + toRadius + size) return;
+        
+        const ux = dx / length;
+        const uy = dy / length;
+        drawArrowhead(to.x - ux * toRadius, to.y - uy * toRadius, ux, uy, size);
+        if (bothEnds) {
+            drawArrowhead(from.x + ux * fromRadius, from.y + uy * fromRadius, -ux, -uy, size);
+        }
+    }
+    
+    /**
+     * Fill an arrowhead
+     * @param {number} x - Tip X coordinate
+     * @param {number} y - Tip Y coordinate
+     * @param {number} ux - Unit direction X (pointing into the tip)
+     * @param {number} uy - Unit direction Y
+     * @param {number} size - Arrowhead length
+     */
+    function drawArrowhead(x, y, ux, uy, size) {
+        const halfWidth = size * 0.5;
+        const baseX = x - ux * size;
+        const baseY = y - uy * size;
+        
+        ctx.beginPath();
+        ctx.moveTo(x, y);
+        ctx.lineTo(baseX - uy * halfWidth, baseY + ux * halfWidth);
+        ctx.lineTo(baseX + uy * halfWidth, baseY - ux * halfWidth);
+        ctx.closePath();
+        ctx.fill();
+    }
+    
+    /**
+     * Draw every reference between the given verses
+     * Uses the cached edge layer; while the view is moving the layer is
+     * stretched to fit instead of being redrawn.
+     * @param {Array} verses - Verses currently shown
+     */
+    function drawAllEdges(verses) {
+        const dataKey = getEdgeLayerKey(verses);
+        const viewChanged = edgeLayer.scale !== scale ||
+                            edgeLayer.offsetX !== offsetX ||
+                            edgeLayer.offsetY !== offsetY;
+        const moving = interacting || animationFrame !== null;
+        
+        if (edgeLayer.dataKey !== dataKey || (viewChanged && !moving)) {
+            renderEdgeLayer(verses, dataKey);
+        }
+        
+        // Map the layer from the view it was drawn at to the current one
+        const k = scale / edgeLayer.scale;
+        const tx = centerX + offsetX - (centerX + edgeLayer.offsetX) * k;
+        const ty = centerY + offsetY - (centerY + edgeLayer.offsetY) * k;
+        
+        ctx.save();
+        ctx.setTransform(k, 0, 0, k, tx, ty);
+        ctx.drawImage(edgeLayer.canvas, 0, 0);
+        ctx.restore();
+    }
+    
+    /**
+     * Identify what the edge layer depends on, apart from pan/zoom
+     * @param {Array} verses - Verses currently shown
+     * @returns {string} Cache key
+     */
+    function getEdgeLayerKey(verses) {
+        return [
+            layoutVersion,
+            DataLoader.getVersion(),
+            width,
+            height,
+            getEdgeOpacity(),
+            edgeFilter ? edgeFilter.key : ''
+        ].join('|');
+    }
+    
+    /**
+     * Draw all edges into the offscreen layer
+     * Edges are bundled by book: curves between the same two books share a
+     * control point, so book-to-book flows read as single bands. Paths are
+     * batched per source book and weight band to keep stroke calls few.
+     * @param {Array} verses - Verses currently shown (in layout order)
+     * @param {string} dataKey - Cache key for this layer
+     */
+    function renderEdgeLayer(verses, dataKey) {
+        const style = CONFIG.visual.allEdges;
+        
+        if (!edgeLayer.canvas) {
+            edgeLayer.canvas = document.createElement('canvas');
+        }
+        const layer = edgeLayer.canvas;
+        layer.width = width;
+        layer.height = height;
+        
+        const layerCtx = layer.getContext('2d');
+        layerCtx.clearRect(0, 0, width, height);
+        layerCtx.lineWidth = style.lineWidth;
+        
+        const cx = centerX + offsetX;
+        const cy = centerY + offsetY;
+        const r = radius * scale;
+        
+        // Verses arrive grouped by book, so one set of paths per book
+        let currentBook = null;
+        let paths = [];
+        
+        function strokeBook() {
+            layerCtx.strokeStyle = CONFIG.bookColors[currentBook] || CONFIG.defaultColor;
+            paths.forEach((path, level) => {
+                const strength = (level + 1) / style.weightLevels;
+                layerCtx.globalAlpha = getEdgeOpacity() * (0.25 + 0.75 * strength);
+                layerCtx.stroke(path);
+            });
+        }
+        
+        forEachBundledEdge(verses, (verse, target, controlUX, controlUY, level) => {
+            if (verse.book !== currentBook) {
+                if (currentBook !== null) strokeBook();
+                currentBook = verse.book;
+                paths = Array.from({ length: style.weightLevels }, () => new Path2D());
             }
+            
+            paths[level].moveTo(verse.x, verse.y);
+            paths[level].quadraticCurveTo(cx + controlUX * r, cy + controlUY * r, target.x, target.y);
+        });
+        
+        if (currentBook !== null) strokeBook();
+        
+        edgeLayer.dataKey = dataKey;
+        edgeLayer.scale = scale;
+        edgeLayer.offsetX = offsetX;
+        edgeLayer.offsetY = offsetY;
+    }
+    
+    /**
+     * Visit every reference between laid-out verses that passes the edge filter
+     * Edges are bundled by book: curves between the same two books share a
+     * control point midway between the books' anchors, pulled toward the center.
+     * Custom and force layouts get straight lines (the control point is the midpoint).
+     * @param {Array} verses - Verses in the current layout
+     * @param {Function} visit - Called with (verse, target, controlUX, controlUY, level),
+     *     where the control point is in layout units and level is the weight band
+     */
+    function forEachBundledEdge(verses, visit) {
+        const style = CONFIG.visual.allEdges;
+        const anchors = getBookAnchors(verses);
+        
+        verses.forEach(verse => {
+            const anchor = anchors.get(verse.book);
+            
+            verse.edges.forEach(edge => {
+                const target = visibleById.get(edge.id);
+                if (!target) return;
+                if (edgeFilter && !edgeFilter.passes(verse, target, edge.weight)) return;
+                
+                const level = Math.min(
+                    style.weightLevels - 1,
+                    Math.floor(DataLoader.normalizeWeight(edge.weight) * style.weightLevels)
+                );
+                
+                // Other layouts aren't a ring, so bundling doesn't apply: straight lines
+                if (customLayout || layoutMode === 'force') {
+                    visit(verse, target, (verse.ux + target.ux) / 2, (verse.uy + target.uy) / 2, level);
+                    return;
+                }
+                
+                const pull = target.book === verse.book ? style.sameBookCurve : style.bundling;
+                const targetAnchor = anchors.get(target.book);
+                
+                visit(
+                    verse,
+                    target,
+                    (anchor.ux + targetAnchor.ux) / 2 * (1 - pull),
+                    (anchor.uy + targetAnchor.uy) / 2 * (1 - pull),
+                    level
+                );
+            });
+        });
+    }
+    
+    /**
+     * Get a point on the ring at the middle of each book
+     * @param {Array} verses - Positioned verses
+     * @returns {Map} Book code to { ux, uy } in layout units
+     */
+    function getBookAnchors(verses) {
+        const sums = new Map();
+        
+        verses.forEach(verse => {
+            const sum = sums.get(verse.book) || { cos: 0, sin: 0 };
+            sum.cos += Math.cos(verse.angle);
+            sum.sin += Math.sin(verse.angle);
+            sums.set(verse.book, sum);
         });
+        
+        const anchors = new Map();
+        sums.forEach((sum, book) => {
+            const angle = Math.atan2(sum.sin, sum.cos);
+            anchors.set(book, { ux: Math.cos(angle), uy: Math.sin(angle) });
+        });
+        
+        return anchors;
     }
     
     /**
@@ -106,8 +559,7 @@ const Renderer = (function() {
         } else if (isHovered) {
             ctx.fillStyle = CONFIG.highlightColors.hovered;
         } else {
-            const color = CONFIG.bookColors[verse.book] || CONFIG.defaultColor;
-            ctx.fillStyle = color;
+            ctx.fillStyle = ColorScheme.getColor(verse);
         }
         
         ctx.fill();
@@ -136,9 +588,12 @@ const Renderer = (function() {
     
     /**
      * Main render function
+     * With overlayOnly, the network itself (all edges and plain points) is
+     * left to another backend and only arcs, highlights and labels are drawn.
      * @param {Array} filteredVerses - Verses to render
+     * @param {Object} options - { overlayOnly }
      */
-    function render(filteredVerses) {
+    function render(filteredVerses, options = {}) {
         // Clear canvas
         ctx.clearRect(0, 0, width, height);
         
@@ -150,12 +605,22 @@ const Renderer = (function() {
         // Calculate positions
         calculatePositions(filteredVerses);
         
+        // Draw book arcs around the ring
+        if (layoutMode === 'canonical' && !customLayout) {
+            drawBookArcs();
+        }
+        
+        // Draw the whole network underneath the highlighted lines
+        if (isDrawingAllEdges() && !options.overlayOnly) {
+            drawAllEdges(filteredVerses);
+        }
+        
         // Draw reference lines for selected verse
         if (selectedVerse) {
             drawReferenceLines(
                 selectedVerse, 
-                filteredVerses, 
-                CONFIG.visual.referenceLine.selectedColor
+                CONFIG.visual.referenceLine.selectedColor,
+                CONFIG.visual.pointRadius.selected
             );
         }
         
@@ -163,17 +628,44 @@ const Renderer = (function() {
         if (hoveredVerse && hoveredVerse !== selectedVerse) {
             drawReferenceLines(
                 hoveredVerse, 
-                filteredVerses, 
-                CONFIG.visual.referenceLine.hoveredColor
+                CONFIG.visual.referenceLine.hoveredColor,
+                CONFIG.visual.pointRadius.hovered
             );
         }
         
+        // Draw the path finder's chain over the reference lines
+        if (highlightedPath) {
+            drawPathLines(highlightedPath);
+        }
+        
+        // Join the collection's verses in reading order
+        if (collectionOverlay) {
+            drawCollectionLines(collectionOverlay);
+        }
+        
         // Draw all verse points
-        filteredVerses.forEach(verse => {
-            const isSelected = verse === selectedVerse;
-            const isHovered = verse === hoveredVerse;
-            drawVersePoint(verse, isSelected, isHovered);
-        });
+        if (options.overlayOnly) {
+            if (hoveredVerse && visibleById.has(hoveredVerse.id)) {
+                drawVersePoint(hoveredVerse, false, true);
+            }
+            if (selectedVerse && visibleById.has(selectedVerse.id)) {
+                drawVersePoint(selectedVerse, true, false);
+            }
+        } else {
+            filteredVerses.forEach(verse => {
+                const isSelected = verse === selectedVerse;
+                const isHovered = verse === hoveredVerse;
+                drawVersePoint(verse, isSelected, isHovered);
+            });
+        }
+        
+        // Ring each verse of the collection, then number each hop of the path on top
+        if (collectionOverlay) {
+            drawCollectionRings(collectionOverlay);
+        }
+        if (highlightedPath) {
+            drawPathBadges(highlightedPath);
+        }
         
         // Draw labels for selected/hovered verses
         if (selectedVerse || hoveredVerse) {
@@ -182,6 +674,107 @@ const Renderer = (function() {
         }
     }
     
+    /**
+     * Draw the lines of a highlighted path
+     * Arrowheads point along the path, from the start toward the end.
+     * Hops to verses outside the current filters are skipped.
+     * @param {Array} path - Verses in path order
+     */
+    function drawPathLines(path) {
+        const style = CONFIG.visual.path;
+        
+        ctx.save();
+        ctx.strokeStyle = style.color;
+        ctx.fillStyle = style.color;
+        ctx.lineWidth = style.width;
+        
+        for (let i = 1; i < path.length; i++) {
+            const from = visibleById.get(path[i - 1].id);
+            const to = visibleById.get(path[i].id);
+            if (from && to) {
+                drawArrowLine(from, to, style.badgeRadius, style.badgeRadius, false);
+            }
+        }
+        
+        ctx.restore();
+    }
+    
+    /**
+     * Draw a numbered badge on each visible verse of a highlighted path
+     * @param {Array} path - Verses in path order
+     */
+    function drawPathBadges(path) {
+        const style = CONFIG.visual.path;
+        
+        ctx.save();
+        ctx.font = style.badgeFont;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        
+        path.forEach((verse, i) => {
+            const shown = visibleById.get(verse.id);
+            if (!shown) return;
+            
+            ctx.beginPath();
+            ctx.arc(shown.x, shown.y, style.badgeRadius, 0, Math.PI * 2);
+            ctx.fillStyle = style.color;
+            ctx.fill();
+            
+            ctx.fillStyle = style.badgeTextColor;
+            ctx.fillText(String(i + 1), shown.x, shown.y);
+        });
+        
+        ctx.restore();
+    }
+    
+    /**
+     * Draw dashed lines joining a collection's verses in order
+     * Verses outside the current filters are skipped over.
+     * @param {Array} verses - Verses in collection order
+     */
+    function drawCollectionLines(verses) {
+        const style = CONFIG.visual.collection;
+        const shown = verses.map(verse => visibleById.get(verse.id)).filter(Boolean);
+        if (shown.length < 2) return;
+        
+        ctx.save();
+        ctx.strokeStyle = style.color;
+        ctx.lineWidth = style.width;
+        ctx.setLineDash(style.dash);
+        
+        ctx.beginPath();
+        ctx.moveTo(shown[0].x, shown[0].y);
+        for (let i = 1; i < shown.length; i++) {
+            ctx.lineTo(shown[i].x, shown[i].y);
+        }
+        ctx.stroke();
+        
+        ctx.restore();
+    }
+    
+    /**
+     * Draw a ring around each visible verse of a collection
+     * @param {Array} verses - Verses in collection order
+     */
+    function drawCollectionRings(verses) {
+        const style = CONFIG.visual.collection;
+        
+        ctx.save();
+        ctx.strokeStyle = style.color;
+        ctx.lineWidth = style.ringWidth;
+        
+        verses.forEach(verse => {
+            const shown = visibleById.get(verse.id);
+            if (!shown) return;
+            
+            ctx.beginPath();
+            ctx.arc(shown.x, shown.y, style.ringRadius, 0, Math.PI * 2);
+            ctx.stroke();
+        });
+        
+        ctx.restore();
+    }
+    
     /**
      * Draw message when no verses match filters
      */
@@ -198,42 +791,178 @@ const Renderer = (function() {
      * @param {number} mouseX - Mouse X coordinate
      * @param {number} mouseY - Mouse Y coordinate
      * @param {Array} verses - Verses to search
-     * @returns {Object|null} Found verse or null
+     * @returns {Object|null} Nearest verse within the hit radius, or null
      */
     function findVerseAtPosition(mouseX, mouseY, verses) {
+        // Use the grid index when asked about the verses currently laid out
+        if (verses === layoutVerses && verseIndex) {
+            const r = radius * scale;
+            return verseIndex.nearest(
+                (mouseX - centerX - offsetX) / r,
+                (mouseY - centerY - offsetY) / r,
+                CONFIG.visual.hitRadius / r
+            );
+        }
+        
+        let nearest = null;
+        let nearestDistance = CONFIG.visual.hitRadius;
+        
         for (const verse of verses) {
             const dx = mouseX - verse.x;
             const dy = mouseY - verse.y;
             const distance = Math.sqrt(dx * dx + dy * dy);
             
-            if (distance < CONFIG.visual.hitRadius) {
-                return verse;
+            if (distance < nearestDistance) {
+                nearest = verse;
+                nearestDistance = distance;
             }
         }
-        return null;
+        return nearest;
     }
     
     /**
-     * Zoom in/out
+     * Zoom in/out by one step
      * @param {number} delta - Zoom delta (positive = zoom in, negative = zoom out)
+     * @param {number} [anchorX] - Screen X to keep fixed (defaults to canvas center)
+     * @param {number} [anchorY] - Screen Y to keep fixed (defaults to canvas center)
      */
-    function zoom(delta) {
+    function zoom(delta, anchorX = centerX, anchorY = centerY) {
         const factor = delta > 0 ? (1 + CONFIG.canvas.zoomSpeed) : (1 - CONFIG.canvas.zoomSpeed);
-        scale *= factor;
-        scale = Math.max(CONFIG.canvas.minScale, Math.min(scale, CONFIG.canvas.maxScale));
+        zoomAt(factor, anchorX, anchorY);
+    }
+    
+    /**
+     * Scale the view around a screen point, keeping that point fixed
+     * Successive calls build on the pending target, so fast wheel input accumulates.
+     * @param {number} factor - Scale multiplier
+     * @param {number} anchorX - Screen X to keep fixed
+     * @param {number} anchorY - Screen Y to keep fixed
+     * @param {boolean} animate - Ease to the new view instead of jumping
+     */
+    function zoomAt(factor, anchorX, anchorY, animate = true) {
+        const newScale = clampScale(targetScale * factor);
+        const ratio = newScale / targetScale;
+        
+        // The point under the anchor sits at center + offset + u * radius * scale;
+        // solve for the offset that keeps it there at the new scale.
+        targetOffsetX = anchorX - centerX - (anchorX - centerX - targetOffsetX) * ratio;
+        targetOffsetY = anchorY - centerY - (anchorY - centerY - targetOffsetY) * ratio;
+        targetScale = newScale;
+        
+        applyTarget(animate);
+    }
+    
+    /**
+     * Move the view by a screen distance
+     * @param {number} dx - Horizontal distance in pixels
+     * @param {number} dy - Vertical distance in pixels
+     * @param {boolean} animate - Ease to the new view instead of jumping
+     */
+    function pan(dx, dy, animate = false) {
+        targetOffsetX += dx;
+        targetOffsetY += dy;
+        applyTarget(animate);
+    }
+    
+    /**
+     * Clamp a scale to the configured zoom range
+     * @param {number} value - Scale
+     * @returns {number} Clamped scale
+     */
+    function clampScale(value) {
+        return Math.max(CONFIG.canvas.minScale, Math.min(value, CONFIG.canvas.maxScale));
+    }
+    
+    /**
+     * Move the view to the target, either at once or over several frames
+     * @param {boolean} animate - Whether to ease toward the target
+     */
+    function applyTarget(animate) {
+        if (!animate) {
+            stopAnimation();
+            scale = targetScale;
+            offsetX = targetOffsetX;
+            offsetY = targetOffsetY;
+            return;
+        }
+        
+        if (animationFrame === null) {
+            animationFrame = requestAnimationFrame(stepAnimation);
+        }
+    }
+    
+    /**
+     * Advance an animated transition by one frame and redraw
+     */
+    function stepAnimation() {
+        const t = CONFIG.canvas.transitionSpeed;
+        
+        scale += (targetScale - scale) * t;
+        offsetX += (targetOffsetX - offsetX) * t;
+        offsetY += (targetOffsetY - offsetY) * t;
+        
+        const done = Math.abs(targetScale - scale) < targetScale * 0.001 &&
+                     Math.abs(targetOffsetX - offsetX) < 0.5 &&
+                     Math.abs(targetOffsetY - offsetY) < 0.5;
+        
+        if (done) {
+            scale = targetScale;
+            offsetX = targetOffsetX;
+            offsetY = targetOffsetY;
+            animationFrame = null;
+        } else {
+            animationFrame = requestAnimationFrame(stepAnimation);
+        }
+        
+        if (redrawHandler) redrawHandler();
+    }
+    
+    /**
+     * Cancel any running transition, leaving the view where it is
+     */
+    function stopAnimation() {
+        if (animationFrame !== null) {
+            cancelAnimationFrame(animationFrame);
+            animationFrame = null;
+        }
+    }
+    
+    /**
+     * Set the function that redraws the scene during animated transitions
+     * @param {Function} handler - Redraw callback (usually App.render)
+     */
+    function setRedrawHandler(handler) {
+        redrawHandler = handler;
     }
     
     /**
      * Reset view to default
+     * @param {boolean} animate - Ease back instead of jumping
      */
-    function resetView() {
-        scale = 1;
-        offsetX = 0;
-        offsetY = 0;
+    function resetView(animate = true) {
+        targetScale = 1;
+        targetOffsetX = 0;
+        targetOffsetY = 0;
+        applyTarget(animate);
+        
         selectedVerse = null;
         hoveredVerse = null;
     }
     
+    /**
+     * Move the view to a given zoom and pan
+     * @param {number} newScale - Scale (clamped to the zoom range)
+     * @param {number} newOffsetX - Horizontal offset in pixels
+     * @param {number} newOffsetY - Vertical offset in pixels
+     * @param {boolean} animate - Ease to the new view instead of jumping
+     */
+    function setView(newScale, newOffsetX, newOffsetY, animate = false) {
+        targetScale = clampScale(newScale);
+        targetOffsetX = newOffsetX;
+        targetOffsetY = newOffsetY;
+        applyTarget(animate);
+    }
+    
     /**
      * Set hovered verse
      * @param {Object|null} verse - Verse to set as hovered
@@ -250,6 +979,134 @@ const Renderer = (function() {
         selectedVerse = verse;
     }
     
+    /**
+     * Highlight a chain of verses with numbered hops
+     * @param {Array|null} path - Verses in path order, or null to clear
+     */
+    function setHighlightedPath(path) {
+        highlightedPath = path && path.length > 0 ? path : null;
+    }
+    
+    /**
+     * Highlight the verses of a saved collection
+     * @param {Array|null} verses - Verses in collection order, or null to clear
+     */
+    function setCollectionOverlay(verses) {
+        collectionOverlay = verses && verses.length > 0 ? verses : null;
+    }
+    
+    /**
+     * Mark whether the user is currently dragging or pinching
+     * Expensive layers are stretched rather than redrawn until this clears.
+     * @param {boolean} value - Interaction state
+     */
+    function setInteracting(value) {
+        interacting = value;
+    }
+    
+    /**
+     * Update the "all edges" view options
+     * @param {Object} options - Any of { enabled, opacity }
+     */
+    function setAllEdgesOptions(options) {
+        allEdges = { ...allEdges, ...options };
+    }
+    
+    /**
+     * Hide references that don't pass an edge filter
+     * Applies to the edge layer and to the selected/hovered verse's lines.
+     * @param {Object|null} filter - { key, passes(source, target, weight) }, or null for none
+     */
+    function setEdgeFilter(filter) {
+        edgeFilter = filter;
+    }
+    
+    /**
+     * Whether every edge between shown verses is drawn
+     * Custom layouts show a small neighborhood, so their edges are always drawn.
+     * Edges are hidden while the force layout is still moving, since the
+     * layer would have to be redrawn every frame.
+     * @returns {boolean} True if the edge layer is shown
+     */
+    function isDrawingAllEdges() {
+        if (customLayout !== null) return true;
+        return allEdges.enabled && !(layoutMode === 'force' && ForceLayout.isRunning());
+    }
+    
+    /**
+     * Opacity of the strongest edges in the edge layer
+     * Custom layouts use at least CONFIG.focus.edgeOpacity so the few edges stay readable.
+     * @returns {number} Opacity from 0 to 1
+     */
+    function getEdgeOpacity() {
+        return customLayout ? Math.max(allEdges.opacity, CONFIG.focus.edgeOpacity) : allEdges.opacity;
+    }
+    
+    /**
+     * Replace the ring with another layout, or go back to the ring
+     * The layout is recomputed whenever the key changes.
+     * @param {Object|null} layout - { key, place(verses) } setting each verse's ux/uy
+     *                               within the unit circle, or null for the ring
+     */
+    function setCustomLayout(layout) {
+        customLayout = layout;
+    }
+    
+    /**
+     * Set the layout mode
+     * @param {string} mode - 'ring', 'canonical' or 'force'
+     */
+    function setLayoutMode(mode) {
+        layoutMode = mode;
+    }
+    
+    /**
+     * Recompute positions on the next render
+     * For layouts that move on their own (the force layout).
+     */
+    function invalidateLayout() {
+        layoutVerses = null;
+    }
+    
+    /**
+     * Convert a canvas point to layout units (the inverse of the pan/zoom)
+     * @param {number} x - Canvas X
+     * @param {number} y - Canvas Y
+     * @returns {Object} { ux, uy }
+     */
+    function toLayoutPoint(x, y) {
+        const r = radius * scale;
+        return {
+            ux: (x - centerX - offsetX) / r,
+            uy: (y - centerY - offsetY) / r
+        };
+    }
+    
+    /**
+     * Get the current layout and canvas geometry
+     * Screen position = (centerX + offsetX, centerY + offsetY) + (ux, uy) * radius * scale
+     * @returns {Object} { version, verses, width, height, centerX, centerY, radius }
+     */
+    function getLayoutInfo() {
+        return {
+            version: layoutVersion,
+            verses: layoutVerses,
+            width,
+            height,
+            centerX,
+            centerY,
+            radius
+        };
+    }
+    
+    /**
+     * Get the book spans from the last canonical layout
+     * @returns {Array} { book, startAngle, endAngle } in canonical order
+     */
+    function getBookSegments() {
+        return bookSegments;
+    }
+    
     /**
      * Get current view state
      * @returns {Object} View state
@@ -259,6 +1116,16 @@ const Renderer = (function() {
             scale,
             offsetX,
             offsetY,
+            targetScale,
+            targetOffsetX,
+            targetOffsetY,
+            isAnimating: animationFrame !== null,
+            layoutMode,
+            allEdges: { ...allEdges },
+            edgeFilter: edgeFilter ? edgeFilter.key : null,
+            drawAllEdges: isDrawingAllEdges(),
+            edgeOpacity: getEdgeOpacity(),
+            customLayout: customLayout ? customLayout.key : null,
             hoveredVerse,
             selectedVerse
         };
@@ -271,9 +1138,25 @@ const Renderer = (function() {
         resizeCanvas,
         findVerseAtPosition,
         zoom,
+        zoomAt,
+        pan,
         resetView,
+        setView,
+        setRedrawHandler,
         setHoveredVerse,
         setSelectedVerse,
+        setHighlightedPath,
+        setCollectionOverlay,
+        setLayoutMode,
+        setAllEdgesOptions,
+        setEdgeFilter,
+        setCustomLayout,
+        setInteracting,
+        invalidateLayout,
+        toLayoutPoint,
+        forEachBundledEdge,
+        getLayoutInfo,
+        getBookSegments,
         getViewState
     };
 })();
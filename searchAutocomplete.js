@@ -0,0 +1,341 @@
+/**
+ * Search Autocomplete Module
+ * 
+ * Shows a suggestion dropdown under the search box listing matching
+ * books, chapters and verses in canonical order. Supports arrow keys,
+ * Enter and Escape; choosing an entry goes through EventHandlers.searchAndSelect.
+ */
+
+const SearchAutocomplete = (function() {
+    'use strict';
+    
+    let searchInput, dropdown;
+    let suggestions = [];
+    let activeIndex = -1;
+    
+    /**
+     * Initialize the autocomplete dropdown
+     */
+    function init() {
+        searchInput = document.getElementById('search');
+        
+        if (!searchInput) {
+            console.error('Search input not found - autocomplete disabled');
+            return;
+        }
+        
+        dropdown = document.createElement('ul');
+        dropdown.id = 'search-suggestions';
+        dropdown.className = 'search-suggestions hidden';
+        dropdown.setAttribute('role', 'listbox');
+        searchInput.parentElement.appendChild(dropdown);
+        
+        searchInput.setAttribute('autocomplete', 'off');
+        searchInput.setAttribute('aria-controls', dropdown.id);
+        searchInput.setAttribute('aria-autocomplete', 'list');
+        
+        searchInput.addEventListener('input', () => update(searchInput.value));
+        searchInput.addEventListener('keydown', handleKeyDown);
+        searchInput.addEventListener('focus', () => update(searchInput.value));
+        searchInput.addEventListener('blur', close);
+    }
+    
+    /**
+     * Rebuild suggestions for the current input
+     * @param {string} text - Search text
+     */
+    function update(text) {
+        suggestions = getSuggestions(text);
+        activeIndex = -1;
+        renderDropdown();
+    }
+    
+    /**
+     * Build the suggestion list for a search string
+     * @param {string} text - Search text
+     * @returns {Array} Suggestions { type, label, detail, query } in canonical order
+     */
+    function getSuggestions(text) {
+        const input = text.trim();
+        if (!input) return [];
+        
+        const parsed = ReferenceParser.parse(input);
+        let entries;
+        
+        if (parsed.error) {
+            // Likely a partial book name ("Jo", "1 Th") - offer the candidates
+            const bookText = input.replace(/[\s.]*\d[\d\s:.,\-–—]*$/, '') || input;
+            entries = ReferenceParser.findBookCandidates(bookText)
+                .filter(code => DataLoader.getVersesByBook(code).length > 0)
+                .map(bookSuggestion);
+        } else if (parsed.references.length === 1) {
+            entries = getReferenceSuggestions(parsed.references[0]);
+        } else {
+            entries = DataLoader.findVerses(input).verses.map(verseSuggestion);
+        }
+        
+        return entries
+            .sort(compareSuggestions)
+            .slice(0, CONFIG.search.maxSuggestions);
+    }
+    
+    /**
+     * Suggestions for a single parsed reference
+     * Partial numbers complete as prefixes, so "Gen 1:1" also offers 1:10-1:19.
+     * @param {Object} reference - Parsed reference
+     * @returns {Array} Suggestions
+     */
+    function getReferenceSuggestions(reference) {
+        const bookVerses = DataLoader.getVersesByBook(reference.book);
+        if (bookVerses.length === 0) return [];
+        
+        // Book only: the book and its chapters
+        if (reference.chapter === null) {
+            return [bookSuggestion(reference.book), ...getChapterSuggestions(bookVerses, () => true)];
+        }
+        
+        const isSingleChapter = reference.endChapter === reference.chapter;
+        
+        // One chapter: chapters starting with that number, then its verses
+        if (reference.verse === null && isSingleChapter) {
+            const typed = String(reference.chapter);
+            return [
+                ...getChapterSuggestions(bookVerses, chapter => String(chapter).startsWith(typed)),
+                ...bookVerses
+                    .filter(v => v.chapter === reference.chapter)
+                    .map(verseSuggestion)
+            ];
+        }
+        
+        // One verse: verses in that chapter starting with that number
+        if (isSingleChapter && reference.endVerse === reference.verse) {
+            const typed = String(reference.verse);
+            return bookVerses
+                .filter(v => v.chapter === reference.chapter && String(v.verseNumber).startsWith(typed))
+                .map(verseSuggestion);
+        }
+        
+        // Range: every verse in it
+        return bookVerses
+            .filter(v => ReferenceParser.matches(reference, v))
+            .map(verseSuggestion);
+    }
+    
+    /**
+     * Chapter suggestions for a book
+     * @param {Array} bookVerses - Verses of one book
+     * @param {Function} include - Predicate on chapter number
+     * @returns {Array} Suggestions
+     */
+    function getChapterSuggestions(bookVerses, include) {
+        const chapters = new Map();
+        
+        bookVerses.forEach(verse => {
+            if (!include(verse.chapter)) return;
+            if (!chapters.has(verse.chapter)) {
+                chapters.set(verse.chapter, []);
+            }
+            chapters.get(verse.chapter).push(verse);
+        });
+        
+        return Array.from(chapters.entries()).map(([chapter, verses]) => {
+            const book = verses[0].book;
+            return {
+                type: 'chapter',
+                book,
+                chapter,
+                verseNumber: 0,
+                label: `${ReferenceParser.getBookName(book)} ${chapter}`,
+                detail: summarize(verses),
+                query: `${book} ${chapter}`
+            };
+        });
+    }
+    
+    /**
+     * Suggestion for a whole book
+     * @param {string} code - Book code
+     * @returns {Object} Suggestion
+     */
+    function bookSuggestion(code) {
+        return {
+            type: 'book',
+            book: code,
+            chapter: 0,
+            verseNumber: 0,
+            label: `${ReferenceParser.getBookName(code)} (${code})`,
+            detail: summarize(DataLoader.getVersesByBook(code)),
+            query: code
+        };
+    }
+    
+    /**
+     * Suggestion for a single verse
+     * @param {Object} verse - Verse object
+     * @returns {Object} Suggestion
+     */
+    function verseSuggestion(verse) {
+        return {
+            type: 'verse',
+            book: verse.book,
+            chapter: verse.chapter,
+            verseNumber: verse.verseNumber,
+            label: `${ReferenceParser.getBookName(verse.book)} ${verse.chapter}:${verse.verseNumber}`,
+            detail: `${verse.refCount} ${verse.refCount === 1 ? 'ref' : 'refs'}`,
+            query: verse.verse
+        };
+    }
+    
+    /**
+     * Describe a group of verses
+     * @param {Array} verses - Verses
+     * @returns {string} e.g. "31 verses · 412 refs"
+     */
+    function summarize(verses) {
+        const refs = verses.reduce((sum, v) => sum + v.refCount, 0);
+        return `${verses.length} verses · ${refs.toLocaleString()} refs`;
+    }
+    
+    /**
+     * Canonical order: book, then chapter, then verse
+     * A book sorts before its chapters, and a chapter before its verses.
+     * @param {Object} a - Suggestion
+     * @param {Object} b - Suggestion
+     * @returns {number} Sort order
+     */
+    function compareSuggestions(a, b) {
+        return ReferenceParser.getBookOrder(a.book) - ReferenceParser.getBookOrder(b.book) ||
+            a.chapter - b.chapter ||
+            a.verseNumber - b.verseNumber;
+    }
+    
+    /**
+     * Render the dropdown from the current suggestions
+     */
+    function renderDropdown() {
+        dropdown.innerHTML = '';
+        
+        if (suggestions.length === 0) {
+            close();
+            return;
+        }
+        
+        suggestions.forEach((suggestion, i) => {
+            const item = document.createElement('li');
+            item.id = `search-suggestion-${i}`;
+            item.className = `search-suggestion ${suggestion.type}`;
+            item.setAttribute('role', 'option');
+            
+            const label = document.createElement('span');
+            label.className = 'suggestion-label';
+            label.textContent = suggestion.label;
+            
+            const detail = document.createElement('span');
+            detail.className = 'suggestion-detail';
+            detail.textContent = suggestion.detail;
+            
+            item.appendChild(label);
+            item.appendChild(detail);
+            
+            // mousedown fires before the input's blur closes the dropdown
+            item.addEventListener('mousedown', (e) => {
+                e.preventDefault();
+                choose(i);
+            });
+            item.addEventListener('mouseenter', () => setActive(i));
+            
+            dropdown.appendChild(item);
+        });
+        
+        dropdown.classList.remove('hidden');
+        searchInput.setAttribute('aria-expanded', 'true');
+    }
+    
+    /**
+     * Handle arrow keys, Enter and Escape in the search box
+     */
+    function handleKeyDown(e) {
+        const isOpen = !dropdown.classList.contains('hidden');
+        
+        switch (e.key) {
+            case 'ArrowDown':
+                e.preventDefault();
+                if (!isOpen) {
+                    update(searchInput.value);
+                } else {
+                    setActive((activeIndex + 1) % suggestions.length);
+                }
+                break;
+            
+            case 'ArrowUp':
+                if (!isOpen) return;
+                e.preventDefault();
+                setActive(activeIndex <= 0 ? suggestions.length - 1 : activeIndex - 1);
+                break;
+            
+            case 'Enter':
+                if (!isOpen) return;
+                e.preventDefault();
+                choose(activeIndex === -1 ? 0 : activeIndex);
+                break;
+            
+            case 'Escape':
+                if (!isOpen) return;
+                e.preventDefault();
+                close();
+                break;
+        }
+    }
+    
+    /**
+     * Highlight a suggestion
+     * @param {number} index - Suggestion index
+     */
+    function setActive(index) {
+        activeIndex = index;
+        
+        Array.from(dropdown.children).forEach((item, i) => {
+            item.classList.toggle('active', i === index);
+        });
+        
+        const activeItem = dropdown.children[index];
+        if (activeItem) {
+            activeItem.scrollIntoView({ block: 'nearest' });
+            searchInput.setAttribute('aria-activedescendant', activeItem.id);
+        }
+    }
+    
+    /**
+     * Select a suggestion through the normal search path
+     * @param {number} index - Suggestion index
+     */
+    function choose(index) {
+        const suggestion = suggestions[index];
+        if (!suggestion) return;
+        
+        close();
+        EventHandlers.searchAndSelect(suggestion.query);
+    }
+    
+    /**
+     * Hide the dropdown
+     */
+    function close() {
+        if (!dropdown) return;
+        
+        dropdown.classList.add('hidden');
+        activeIndex = -1;
+        searchInput.setAttribute('aria-expanded', 'false');
+        searchInput.removeAttribute('aria-activedescendant');
+    }
+    
+    // Public API
+    return {
+        init,
+        getSuggestions,
+        close
+    };
+})();
+
+// Make SearchAutocomplete globally available
+window.SearchAutocomplete = SearchAutocomplete;
\ No newline at end of file
@@ -0,0 +1,111 @@
+/**
+ * Spatial Index Module
+ * 
+ * Uniform grid for fast nearest-point lookups. Used by the renderer for
+ * hit-testing so mouse moves don't scan every verse.
+ */
+
+const SpatialIndex = (function() {
+    'use strict';
+    
+    /**
+     * Build a grid index over a set of points
+     * @param {Array} items - Objects to index
+     * @param {Function} getX - Returns an item's X coordinate
+     * @param {Function} getY - Returns an item's Y coordinate
+     * @param {number} cellSize - Width/height of one grid cell
+     * @returns {Object} Index with nearest(x, y, maxDistance) and query(x, y, radius)
+     */
+    function build(items, getX, getY, cellSize) {
+        const cells = new Map();
+        
+        function cellKey(col, row) {
+            return `${col},${row}`;
+        }
+        
+        items.forEach(item => {
+            const key = cellKey(
+                Math.floor(getX(item) / cellSize),
+                Math.floor(getY(item) / cellSize)
+            );
+            if (!cells.has(key)) {
+                cells.set(key, []);
+            }
+            cells.get(key).push(item);
+        });
+        
+        /**
+         * Visit every item in the cells overlapping a square around (x, y)
+         */
+        function forEachNear(x, y, radius, visit) {
+            const minCol = Math.floor((x - radius) / cellSize);
+            const maxCol = Math.floor((x + radius) / cellSize);
+            const minRow = Math.floor((y - radius) / cellSize);
+            const maxRow = Math.floor((y + radius) / cellSize);
+            
+            for (let col = minCol; col <= maxCol; col++) {
+                for (let row = minRow; row <= maxRow; row++) {
+                    const cell = cells.get(cellKey(col, row));
+                    if (cell) cell.forEach(visit);
+                }
+            }
+        }
+        
+        /**
+         * Find all items within a distance of a point
+         * @param {number} x - X coordinate
+         * @param {number} y - Y coordinate
+         * @param {number} radius - Search distance
+         * @returns {Array} Items within the radius
+         */
+        function query(x, y, radius) {
+            const found = [];
+            forEachNear(x, y, radius, item => {
+                const dx = getX(item) - x;
+                const dy = getY(item) - y;
+                if (dx * dx + dy * dy < radius * radius) {
+                    found.push(item);
+                }
+            });
+            return found;
+        }
+        
+        /**
+         * Find the item closest to a point
+         * @param {number} x - X coordinate
+         * @param {number} y - Y coordinate
+         * @param {number} maxDistance - Ignore items farther than this
+         * @returns {Object|null} Nearest item or null
+         */
+        function nearest(x, y, maxDistance) {
+            let best = null;
+            let bestDistance = maxDistance * maxDistance;
+            
+            forEachNear(x, y, maxDistance, item => {
+                const dx = getX(item) - x;
+                const dy = getY(item) - y;
+                const distance = dx * dx + dy * dy;
+                if (distance < bestDistance) {
+                    best = item;
+                    bestDistance = distance;
+                }
+            });
+            
+            return best;
+        }
+        
+        return {
+            query,
+            nearest,
+            size: items.length
+        };
+    }
+    
+    // Public API
+    return {
+        build
+    };
+})();
+
+// Make SpatialIndex globally available
+window.SpatialIndex = SpatialIndex;
\ No newline at end of file
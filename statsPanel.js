@@ -10,6 +10,36 @@ const StatsPanel = (function() {
     let panel;
     let currentStats = null;
     
+    // Running background computation ({ promise, cancel }), if any
+    let activeJob = null;
+    
+    // Tab for each metric in the computeAllStats result
+    const METRIC_TABS = {
+        network: 'overview',
+        centrality: 'centrality',
+        direction: 'direction',
+        pagerank: 'pagerank',
+        eigenvector: 'eigenvector',
+        hits: 'hits',
+        betweenness: 'betweenness',
+        clustering: 'clustering',
+        hubs: 'hubs',
+        communities: 'communities'
+    };
+    
+    // Community detection settings, and one entry per run for comparing modularity
+    const communitySettings = {
+        algorithm: CONFIG.stats.communityAlgorithm,
+        resolution: CONFIG.stats.resolution
+    };
+    let communityRuns = [];
+    
+    // PageRank settings, and the column each sortable tab is sorted by
+    const pageRankSettings = {
+        damping: CONFIG.stats.damping
+    };
+    const sortState = {};
+    
     /**
      * Initialize the statistics panel
      */
@@ -43,12 +73,17 @@ const StatsPanel = (function() {
                 <div id="stats-loading" class="stats-loading">
                     <div class="spinner"></div>
                     <p>Computing statistics...</p>
+                    <button id="cancel-stats">Cancel</button>
                 </div>
                 
                 <div id="stats-results" class="stats-results hidden">
                     <div class="stats-tabs">
                         <button class="stats-tab active" data-tab="overview">Overview</button>
                         <button class="stats-tab" data-tab="centrality">Centrality</button>
+                        <button class="stats-tab" data-tab="direction">In/Out</button>
+                        <button class="stats-tab" data-tab="pagerank">PageRank</button>
+                        <button class="stats-tab" data-tab="eigenvector">Eigenvector</button>
+                        <button class="stats-tab" data-tab="hits">HITS</button>
                         <button class="stats-tab" data-tab="betweenness">Betweenness</button>
                         <button class="stats-tab" data-tab="clustering">Clustering</button>
                         <button class="stats-tab" data-tab="hubs">Hubs</button>
@@ -58,6 +93,10 @@ const StatsPanel = (function() {
                     <div class="stats-tab-content">
                         <div class="tab-pane active" id="tab-overview"></div>
                         <div class="tab-pane" id="tab-centrality"></div>
+                        <div class="tab-pane" id="tab-direction"></div>
+                        <div class="tab-pane" id="tab-pagerank"></div>
+                        <div class="tab-pane" id="tab-eigenvector"></div>
+                        <div class="tab-pane" id="tab-hits"></div>
                         <div class="tab-pane" id="tab-betweenness"></div>
                         <div class="tab-pane" id="tab-clustering"></div>
                         <div class="tab-pane" id="tab-hubs"></div>
@@ -65,6 +104,22 @@ const StatsPanel = (function() {
                     </div>
                     
                     <div class="stats-actions">
+                        <label class="stats-option">
+                            <input type="checkbox" id="stats-weighted">
+                            Weight by reference strength
+                        </label>
+                        <label class="stats-option" title="Analyze only the verses and references left by the current filters">
+                            <input type="checkbox" id="stats-filtered">
+                            Filtered network only
+                        </label>
+                        <label class="stats-option" title="Pivot verses used to estimate betweenness (0 = exact, slow on the full Bible)">
+                            Pivots
+                            <input type="number" id="stats-sample-size" min="0" step="50" value="${CONFIG.stats.betweennessSamples}">
+                        </label>
+                        <label class="stats-option" title="Random seed for sampling - the same seed gives the same results">
+                            Seed
+                            <input type="number" id="stats-seed" min="0" step="1" value="${CONFIG.stats.seed}">
+                        </label>
                         <button id="export-stats">Export Stats (JSON)</button>
                         <button id="refresh-stats">Refresh</button>
                     </div>
@@ -89,6 +144,9 @@ const StatsPanel = (function() {
             });
         });
         
+        // Cancel button - keeps any tabs that already finished
+        document.getElementById('cancel-stats').addEventListener('click', cancelComputation);
+        
         // Export button
         document.getElementById('export-stats').addEventListener('click', () => {
             if (currentStats) {
@@ -96,11 +154,27 @@ const StatsPanel = (function() {
             }
         });
         
-        // Refresh button
+        // Weighted toggle - recompute with the other variant (cached separately)
+        document.getElementById('stats-weighted').addEventListener('change', () => {
+            recompute();
+        });
+        
+        // Whole network or filtered subgraph
+        document.getElementById('stats-filtered').addEventListener('change', () => {
+            recompute();
+        });
+        
+        // Sampling settings - recompute betweenness with the new sample
+        ['stats-sample-size', 'stats-seed'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => {
+                recompute();
+            });
+        });
+        
+        // Refresh button - also picks up filter changes in filtered mode
         document.getElementById('refresh-stats').addEventListener('click', () => {
             NetworkStats.clearCache();
-            const verses = DataLoader.getVerses();
-            computeAndDisplay(verses);
+            recompute();
         });
     }
     
@@ -139,6 +213,32 @@ const StatsPanel = (function() {
         }
     }
     
+    /**
+     * Get the tab shown in the open panel
+     * @returns {string|null} Tab name, or null while the panel is closed
+     */
+    function getOpenTab() {
+        if (!panel || panel.classList.contains('hidden')) return null;
+        
+        const active = panel.querySelector('.stats-tab.active');
+        return active ? active.dataset.tab : null;
+    }
+    
+    /**
+     * Open the panel on a tab, computing statistics if none are shown yet
+     * @param {string} tabName - Tab name (unknown tabs are ignored)
+     */
+    function openTab(tabName) {
+        if (!panel || !panel.querySelector(`.stats-tab[data-tab="${tabName}"]`)) return;
+        
+        if (!currentStats && !activeJob) {
+            recompute();
+        } else {
+            show();
+        }
+        switchTab(tabName);
+    }
+    
     /**
      * Hide the panel
      */
@@ -146,10 +246,29 @@ const StatsPanel = (function() {
         panel.classList.add('hidden');
     }
     
+    /**
+     * Compute and display statistics for the network the panel is set to
+     * With "Filtered network only" checked, that's the subgraph left by the
+     * verse and edge filters (App.getSubgraph); otherwise every verse.
+     * @param {Array} metrics - Only recompute these metrics (default: all)
+     */
+    function recompute(metrics) {
+        if (panel && document.getElementById('stats-filtered').checked) {
+            const subgraph = window.app.getSubgraph();
+            computeAndDisplay(subgraph.verses, metrics, subgraph.key);
+        } else {
+            computeAndDisplay(DataLoader.getVerses(), metrics);
+        }
+    }
+    
     /**
      * Compute and display statistics
+     * Runs in a Web Worker; each tab is filled in as soon as its metric is ready.
+     * @param {Array} verses - Verses to analyze
+     * @param {Array} metrics - Only recompute these metrics (default: all)
+     * @param {string} graph - Names the verse set for the statistics cache ('all' = every verse)
      */
-    async function computeAndDisplay(verses) {
+    async function computeAndDisplay(verses, metrics, graph = 'all') {
         console.log('Computing stats for', verses.length, 'verses');
         
         if (!panel) {
@@ -158,6 +277,9 @@ const StatsPanel = (function() {
         }
         
         show();
+        panel.querySelector('.stats-panel-header h3').textContent = graph === 'all' ?
+            'Network Statistics' :
+            `Network Statistics (filtered: ${verses.length.toLocaleString()} verses)`;
         
         // Show loading
         const loadingEl = document.getElementById('stats-loading');
@@ -168,47 +290,206 @@ const StatsPanel = (function() {
             return;
         }
         
+        if (activeJob) {
+            activeJob.cancel();
+        }
+        
+        const messageEl = loadingEl.querySelector('p');
+        messageEl.textContent = 'Computing statistics...';
         loadingEl.classList.remove('hidden');
-        resultsEl.classList.add('hidden');
+        resultsEl.classList.remove('hidden');
         
-        // Use longer delay to ensure UI updates before heavy computation
-        await new Promise(resolve => setTimeout(resolve, 200));
+        // A partial run updates the existing results
+        if (!metrics) {
+            currentStats = null;
+        }
+        
+        (metrics || Object.keys(METRIC_TABS)).forEach(metric => {
+            const tab = METRIC_TABS[metric];
+            setTabPending(tab, true);
+            document.getElementById(`tab-${tab}`).innerHTML = '<p class="explanation">Computing...</p>';
+        });
+        
+        const weighted = document.getElementById('stats-weighted').checked;
+        const sampling = getSamplingSettings(verses.length);
+        const job = NetworkStats.computeAllStatsAsync(verses, {
+            weighted,
+            sampleSize: sampling.sampleSize,
+            seed: sampling.seed,
+            damping: pageRankSettings.damping,
+            communityAlgorithm: communitySettings.algorithm,
+            resolution: communitySettings.resolution,
+            metrics,
+            graph,
+            onProgress: progress => {
+                messageEl.textContent = formatProgress(progress);
+            },
+            onResult: (metric, value) => {
+                displayResult(metric, value, weighted, sampling);
+            }
+        });
+        activeJob = job;
         
         try {
-            console.log('Starting computation...');
-            
-            // Force UI update
-            loadingEl.querySelector('p').textContent = 'Computing statistics... This may take 10-30 seconds...';
-            
-            // Give browser time to render
-            await new Promise(resolve => setTimeout(resolve, 100));
+            const stats = await job.promise;
             
-            currentStats = NetworkStats.computeAllStats(verses);
+            // Superseded by a newer computation
+            if (activeJob !== job) return;
+            activeJob = null;
             
-            console.log('Stats computed, displaying results...');
-            displayStats(currentStats);
+            if (!stats) {
+                showCancelled();
+                return;
+            }
             
-            // Hide loading, show results
+            currentStats = metrics && currentStats ? { ...currentStats, ...stats } : stats;
             loadingEl.classList.add('hidden');
-            resultsEl.classList.remove('hidden');
-            
             console.log('Stats panel updated successfully');
         } catch (error) {
+            if (activeJob === job) activeJob = null;
             console.error('Error computing stats:', error);
-            loadingEl.querySelector('p').textContent = 'Error computing statistics. Check console.';
+            messageEl.textContent = 'Error computing statistics. Check console.';
+        }
+    }
+    
+    /**
+     * Read the betweenness sample size and seed inputs
+     * Invalid values fall back to the CONFIG defaults.
+     * @param {number} verseCount - Number of verses being analyzed
+     * @returns {Object} { sampleSize, seed, exact }
+     */
+    function getSamplingSettings(verseCount) {
+        const sampleInput = document.getElementById('stats-sample-size');
+        const seedInput = document.getElementById('stats-seed');
+        
+        let sampleSize = parseInt(sampleInput.value, 10);
+        if (isNaN(sampleSize) || sampleSize < 0) {
+            sampleSize = CONFIG.stats.betweennessSamples;
+            sampleInput.value = sampleSize;
+        }
+        
+        let seed = parseInt(seedInput.value, 10);
+        if (isNaN(seed) || seed < 0) {
+            seed = CONFIG.stats.seed;
+            seedInput.value = seed;
+        }
+        
+        return {
+            sampleSize,
+            seed,
+            exact: sampleSize === 0 || sampleSize >= verseCount
+        };
+    }
+    
+    /**
+     * Get the current statistics settings
+     * Used to compute metric colors that match the panel's lists.
+     * @returns {Object} { weighted, sampleSize, seed, damping, communityAlgorithm, resolution }
+     */
+    function getSettings() {
+        const sampling = getSamplingSettings(DataLoader.getVerses().length);
+        
+        return {
+            weighted: document.getElementById('stats-weighted').checked,
+            sampleSize: sampling.sampleSize,
+            seed: sampling.seed,
+            damping: pageRankSettings.damping,
+            communityAlgorithm: communitySettings.algorithm,
+            resolution: communitySettings.resolution
+        };
+    }
+    
+    /**
+     * Cancel the running computation
+     */
+    function cancelComputation() {
+        if (activeJob) {
+            activeJob.cancel();
+        }
+    }
+    
+    /**
+     * Hide the loading state after a cancel, marking unfinished tabs
+     */
+    function showCancelled() {
+        document.getElementById('stats-loading').classList.add('hidden');
+        
+        Object.values(METRIC_TABS).forEach(tab => {
+            const button = document.querySelector(`.stats-tab[data-tab="${tab}"]`);
+            if (button.classList.contains('pending')) {
+                document.getElementById(`tab-${tab}`).innerHTML =
+                    '<p class="explanation">Cancelled. Press Refresh to compute again.</p>';
+            }
+        });
+    }
+    
+    /**
+     * Describe a progress update for the loading message
+     * @param {Object} progress - { label, step, steps, done, total }
+     * @returns {string} e.g. "Betweenness centrality (3/6): 150/200"
+     */
+    function formatProgress(progress) {
+        let text = `${progress.label} (${progress.step}/${progress.steps})`;
+        if (progress.total > 0) {
+            text += `: ${progress.done}/${progress.total}`;
         }
+        return text + '...';
     }
     
     /**
-     * Display computed statistics
+     * Mark a tab as still computing
+     * @param {string} tab - Tab name
+     * @param {boolean} pending - Whether its result is outstanding
      */
-    function displayStats(stats) {
-        displayOverview(stats.network);
-        displayCentrality(stats.centrality);
-        displayBetweenness(stats.betweenness);
-        displayClustering(stats.clustering);
-        displayHubs(stats.hubs);
-        displayCommunities(stats.communities);
+    function setTabPending(tab, pending) {
+        const button = document.querySelector(`.stats-tab[data-tab="${tab}"]`);
+        if (button) button.classList.toggle('pending', pending);
+    }
+    
+    /**
+     * Display one metric from computeAllStats in its tab
+     * @param {string} metric - Result name (network, centrality, ...)
+     * @param {*} value - Metric result
+     * @param {boolean} weighted - Whether weighted metrics were computed
+     * @param {Object} sampling - Betweenness settings from getSamplingSettings
+     */
+    function displayResult(metric, value, weighted, sampling) {
+        switch (metric) {
+            case 'network':
+                displayOverview(value);
+                break;
+            case 'centrality':
+                displayCentrality(value, weighted);
+                break;
+            case 'direction':
+                displayDirection(value, weighted);
+                break;
+            case 'pagerank':
+                displayPageRank(value, weighted);
+                break;
+            case 'eigenvector':
+                displayEigenvector(value, weighted);
+                break;
+            case 'hits':
+                displayHITS(value, weighted);
+                break;
+            case 'betweenness':
+                displayBetweenness(value, sampling);
+                break;
+            case 'clustering':
+                displayClustering(value);
+                break;
+            case 'hubs':
+                displayHubs(value);
+                break;
+            case 'communities':
+                recordCommunityRun(value, weighted);
+                displayCommunities(value);
+                break;
+            default:
+                return;
+        }
+        setTabPending(METRIC_TABS[metric], false);
     }
     
     /**
@@ -244,6 +525,18 @@ const StatsPanel = (function() {
                     <div class="stat-label">Network Density</div>
                     <div class="stat-value">${network.density}</div>
                 </div>
+                <div class="stat-card" title="Share of references whose target references back">
+                    <div class="stat-label">Reciprocity</div>
+                    <div class="stat-value">${network.reciprocity}</div>
+                </div>
+                <div class="stat-card">
+                    <div class="stat-label">Mutual Pairs</div>
+                    <div class="stat-value">${network.reciprocalPairs.toLocaleString()}</div>
+                </div>
+                <div class="stat-card">
+                    <div class="stat-label">Max Referenced By</div>
+                    <div class="stat-value">${network.maxInDegree}</div>
+                </div>
             </div>
             
             <h4>Top 10 Most Connected Verses</h4>
@@ -269,22 +562,25 @@ const StatsPanel = (function() {
     
     /**
      * Display degree centrality
+     * @param {Array} centrality - Top verses by degree
+     * @param {boolean} weighted - Whether scores come from edge weights
      */
-    function displayCentrality(centrality) {
+    function displayCentrality(centrality, weighted) {
         const content = document.getElementById('tab-centrality');
         
         content.innerHTML = `
-            <h4>Degree Centrality</h4>
+            <h4>${weighted ? 'Weighted ' : ''}Degree Centrality</h4>
             <p class="explanation">
-                Verses with the most cross-references. These are the most "connected" 
-                verses in the Bible.
+                ${weighted ?
+                    'Verses with the strongest cross-references, summing each reference\'s weight.' :
+                    'Verses with the most cross-references. These are the most "connected" verses in the Bible.'}
             </p>
             <div class="verse-list">
                 ${centrality.map((v, i) => `
                     <div class="verse-item" data-verse="${v.verse}">
                         <span class="rank">${i + 1}</span>
                         <span class="verse-ref">${v.verse}</span>
-                        <span class="verse-stat">${v.refCount} refs</span>
+                        <span class="verse-stat">${v.refCount} refs${weighted ? ` · ${Math.round(v.normalizedDegree)} weight` : ''}</span>
                         <span class="verse-score">${(v.degreeCentrality * 100).toFixed(1)}%</span>
                     </div>
                 `).join('')}
@@ -298,10 +594,194 @@ const StatsPanel = (function() {
         });
     }
     
+    /**
+     * Display in-degree and out-degree
+     * @param {Object} direction - { mostReferenced, mostReferencing }
+     * @param {boolean} weighted - Whether scores come from edge weights
+     */
+    function displayDirection(direction, weighted) {
+        const content = document.getElementById('tab-direction');
+        const format = value => weighted ? value.toFixed(1) : value;
+        const list = verses => verses.map((v, i) => `
+            <div class="verse-item" data-verse="${v.verse}">
+                <span class="rank">${i + 1}</span>
+                <span class="verse-ref">${v.verse}</span>
+                <span class="verse-stat">${format(v.inDegree)} in · ${format(v.outDegree)} out</span>
+            </div>
+        `).join('');
+        
+        content.innerHTML = `
+            <h4>Most Referenced</h4>
+            <p class="explanation">
+                Verses that other verses point to most${weighted ? ', summing each reference\'s weight' : ''} (in-degree).
+            </p>
+            <div class="verse-list">${list(direction.mostReferenced)}</div>
+            
+            <h4>Most Referencing</h4>
+            <p class="explanation">
+                Verses that point to the most other verses (out-degree).
+            </p>
+            <div class="verse-list">${list(direction.mostReferencing)}</div>
+        `;
+        
+        content.querySelectorAll('.verse-item').forEach(item => {
+            item.addEventListener('click', () => {
+                selectVerseFromPanel(item.dataset.verse);
+            });
+        });
+    }
+    
+    /**
+     * Display PageRank
+     * Includes the damping factor setting.
+     * @param {Array} pageRank - Top verses by PageRank
+     * @param {boolean} weighted - Whether references were followed by weight
+     */
+    function displayPageRank(pageRank, weighted) {
+        const content = document.getElementById('tab-pagerank');
+        
+        content.innerHTML = `
+            <h4>${weighted ? 'Weighted ' : ''}PageRank</h4>
+            <div class="community-controls">
+                <label title="Chance of following a reference rather than jumping to a random verse">
+                    Damping
+                    <input type="number" id="pagerank-damping" min="0.05" max="0.99" step="0.05" value="${pageRankSettings.damping}">
+                </label>
+                <button id="run-pagerank">Run</button>
+            </div>
+            <p class="explanation">
+                Verses that are referenced by other well-referenced verses. 
+                Unlike in-degree, a reference from an important verse counts for more.
+            </p>
+            <div class="sortable-list"></div>
+        `;
+        
+        renderSortableList(content.querySelector('.sortable-list'), 'pagerank', pageRank, [
+            { key: 'pageRankCentrality', label: 'PageRank', format: v => `${(v.pageRankCentrality * 100).toFixed(1)}%` },
+            { key: 'inDegree', label: 'In', format: v => `${v.inDegree} in` },
+            { key: 'refCount', label: 'Out', format: v => `${v.refCount} out` }
+        ]);
+        
+        document.getElementById('run-pagerank').addEventListener('click', () => {
+            const damping = parseFloat(document.getElementById('pagerank-damping').value);
+            if (damping > 0 && damping < 1) {
+                pageRankSettings.damping = damping;
+            }
+            recompute(['pagerank']);
+        });
+    }
+    
+    /**
+     * Display eigenvector centrality
+     * @param {Array} eigenvector - Top verses by eigenvector centrality
+     * @param {boolean} weighted - Whether scores come from edge weights
+     */
+    function displayEigenvector(eigenvector, weighted) {
+        const content = document.getElementById('tab-eigenvector');
+        
+        content.innerHTML = `
+            <h4>${weighted ? 'Weighted ' : ''}Eigenvector Centrality</h4>
+            <p class="explanation">
+                Verses connected to other well-connected verses, in either direction. 
+                High scores mark the core of the densest part of the network.
+            </p>
+            <div class="sortable-list"></div>
+        `;
+        
+        renderSortableList(content.querySelector('.sortable-list'), 'eigenvector', eigenvector, [
+            { key: 'eigenvectorCentrality', label: 'Score', format: v => `${(v.eigenvectorCentrality * 100).toFixed(1)}%` },
+            { key: 'inDegree', label: 'In', format: v => `${v.inDegree} in` },
+            { key: 'refCount', label: 'Out', format: v => `${v.refCount} out` }
+        ]);
+    }
+    
+    /**
+     * Display HITS hub and authority scores
+     * @param {Array} hits - Top authorities and top hubs
+     * @param {boolean} weighted - Whether scores come from edge weights
+     */
+    function displayHITS(hits, weighted) {
+        const content = document.getElementById('tab-hits');
+        
+        content.innerHTML = `
+            <h4>${weighted ? 'Weighted ' : ''}HITS Hubs &amp; Authorities</h4>
+            <p class="explanation">
+                Authorities are verses referenced by good hubs; hubs are verses that 
+                reference good authorities. Sort by either score.
+            </p>
+            <div class="sortable-list"></div>
+        `;
+        
+        renderSortableList(content.querySelector('.sortable-list'), 'hits', hits, [
+            { key: 'authorityScore', label: 'Authority', format: v => `Authority ${(v.authorityScore * 100).toFixed(1)}` },
+            { key: 'hitsHubScore', label: 'Hub', format: v => `Hub ${(v.hitsHubScore * 100).toFixed(1)}` },
+            { key: 'inDegree', label: 'In', format: v => `${v.inDegree} in` },
+            { key: 'refCount', label: 'Out', format: v => `${v.refCount} out` }
+        ]);
+    }
+    
+    /**
+     * Render a verse list that can be re-sorted by any of its columns
+     * Clicking the active column again reverses the order. The sort is
+     * remembered per tab across recomputes.
+     * @param {HTMLElement} container - Element to render into
+     * @param {string} tab - Tab name (key for the remembered sort)
+     * @param {Array} verses - Verses to list
+     * @param {Array} columns - { key, label, format(verse) }; the first is the default sort
+     */
+    function renderSortableList(container, tab, verses, columns) {
+        if (!sortState[tab] || !columns.some(c => c.key === sortState[tab].key)) {
+            sortState[tab] = { key: columns[0].key, descending: true };
+        }
+        const { key, descending } = sortState[tab];
+        const sorted = verses.slice().sort((a, b) => descending ? b[key] - a[key] : a[key] - b[key]);
+        
+        container.innerHTML = `
+            <div class="sort-controls">
+                Sort by
+                ${columns.map(c => `
+                    <button class="sort-btn ${c.key === key ? 'active' : ''}" data-key="${c.key}">
+                        ${c.label}${c.key === key ? (descending ? ' ▼' : ' ▲') : ''}
+                    </button>
+                `).join('')}
+            </div>
+            <div class="verse-list">
+                ${sorted.map((v, i) => `
+                    <div class="verse-item" data-verse="${v.verse}">
+                        <span class="rank">${i + 1}</span>
+                        <span class="verse-ref">${v.verse}</span>
+                        ${columns.map(c => `<span class="${c.key === key ? 'verse-score' : 'verse-stat'}">${c.format(v)}</span>`).join('')}
+                    </div>
+                `).join('')}
+            </div>
+        `;
+        
+        container.querySelectorAll('.sort-btn').forEach(button => {
+            button.addEventListener('click', () => {
+                const state = sortState[tab];
+                if (state.key === button.dataset.key) {
+                    state.descending = !state.descending;
+                } else {
+                    state.key = button.dataset.key;
+                    state.descending = true;
+                }
+                renderSortableList(container, tab, verses, columns);
+            });
+        });
+        
+        container.querySelectorAll('.verse-item').forEach(item => {
+            item.addEventListener('click', () => {
+                selectVerseFromPanel(item.dataset.verse);
+            });
+        });
+    }
+    
     /**
      * Display betweenness centrality
+     * @param {Array} betweenness - Top verses by betweenness
+     * @param {Object} sampling - { sampleSize, seed, exact }
      */
-    function displayBetweenness(betweenness) {
+    function displayBetweenness(betweenness, sampling) {
         const content = document.getElementById('tab-betweenness');
         
         content.innerHTML = `
@@ -310,6 +790,11 @@ const StatsPanel = (function() {
                 Verses that act as "bridges" connecting different parts of the Bible. 
                 These verses are important for navigating between topics.
             </p>
+            <p class="explanation">
+                ${sampling.exact ?
+                    'Exact: shortest paths counted from every verse.' :
+                    `Estimated from ${sampling.sampleSize.toLocaleString()} pivot verses (seed ${sampling.seed}).`}
+            </p>
             <div class="verse-list">
                 ${betweenness.map((v, i) => `
                     <div class="verse-item" data-verse="${v.verse}">
@@ -391,18 +876,90 @@ const StatsPanel = (function() {
         });
     }
     
+    /**
+     * Remember a community detection run for the comparison table
+     * @param {Object} communityData - detectCommunities result
+     * @param {boolean} weighted - Whether edge weights were used
+     */
+    function recordCommunityRun(communityData, weighted) {
+        const run = {
+            algorithm: communityData.algorithm,
+            resolution: communityData.resolution,
+            seed: communityData.seed,
+            weighted,
+            communityCount: communityData.totalCommunityCount,
+            modularity: communityData.modularity
+        };
+        
+        // Re-running the same settings replaces the earlier entry
+        communityRuns = communityRuns.filter(r =>
+            r.algorithm !== run.algorithm || r.resolution !== run.resolution ||
+            r.seed !== run.seed || r.weighted !== run.weighted
+        );
+        communityRuns.push(run);
+    }
+    
+    /**
+     * Get a display name for a community algorithm
+     * @param {string} algorithm - 'louvain' or 'labelPropagation'
+     * @returns {string} Display name
+     */
+    function getAlgorithmName(algorithm) {
+        return algorithm === 'labelPropagation' ? 'Label propagation' : 'Louvain';
+    }
+    
     /**
      * Display detected communities
+     * Includes the algorithm picker and a modularity comparison of earlier runs.
      */
     function displayCommunities(communityData) {
         const content = document.getElementById('tab-communities');
+        const bestModularity = Math.max(...communityRuns.map(r => r.modularity));
         
         content.innerHTML = `
             <h4>Detected Communities</h4>
+            <div class="community-controls">
+                <label>
+                    Algorithm
+                    <select id="community-algorithm">
+                        <option value="louvain">Louvain</option>
+                        <option value="labelPropagation">Label propagation</option>
+                    </select>
+                </label>
+                <label title="Higher values split the network into more, smaller communities">
+                    Resolution
+                    <input type="number" id="community-resolution" min="0.1" step="0.1" value="${communitySettings.resolution}">
+                </label>
+                <button id="run-communities">Run</button>
+            </div>
             <p class="explanation">
-                Found ${communityData.communityCount} groups of tightly-connected verses. 
+                ${getAlgorithmName(communityData.algorithm)} found ${communityData.communityCount} groups of 
+                tightly-connected verses (${communityData.totalCommunityCount} including groups under 3 verses), 
+                with modularity ${communityData.modularity.toFixed(4)}. 
                 These may represent thematic or topical clusters.
             </p>
+            <table class="community-runs">
+                <thead>
+                    <tr>
+                        <th>Algorithm</th>
+                        <th>Resolution</th>
+                        <th>Seed</th>
+                        <th>Communities</th>
+                        <th>Modularity</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${communityRuns.map(r => `
+                        <tr class="${r.modularity === bestModularity ? 'best' : ''}">
+                            <td>${getAlgorithmName(r.algorithm)}${r.weighted ? ' (weighted)' : ''}</td>
+                            <td>${r.algorithm === 'louvain' ? r.resolution : '–'}</td>
+                            <td>${r.seed}</td>
+                            <td>${r.communityCount.toLocaleString()}</td>
+                            <td>${r.modularity.toFixed(4)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
             <div class="community-list">
                 ${communityData.communities.slice(0, 10).map(([id, members], i) => `
                     <div class="community-card">
@@ -429,6 +986,25 @@ const StatsPanel = (function() {
                 selectVerseFromPanel(item.dataset.verse);
             });
         });
+        
+        const algorithmSelect = document.getElementById('community-algorithm');
+        const resolutionInput = document.getElementById('community-resolution');
+        
+        algorithmSelect.value = communitySettings.algorithm;
+        resolutionInput.disabled = communitySettings.algorithm !== 'louvain';
+        
+        algorithmSelect.addEventListener('change', () => {
+            resolutionInput.disabled = algorithmSelect.value !== 'louvain';
+        });
+        
+        document.getElementById('run-communities').addEventListener('click', () => {
+            const resolution = parseFloat(resolutionInput.value);
+            communitySettings.algorithm = algorithmSelect.value;
+            if (resolution > 0) {
+                communitySettings.resolution = resolution;
+            }
+            recompute(['communities']);
+        });
     }
     
     /**
@@ -464,7 +1040,11 @@ const StatsPanel = (function() {
         init,
         show,
         hide,
-        computeAndDisplay
+        computeAndDisplay,
+        recompute,
+        getOpenTab,
+        openTab,
+        getSettings
     };
 })();
 
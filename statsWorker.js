@@ -0,0 +1,72 @@
+/**
+ * Statistics Worker
+ * 
+ * Runs NetworkStats computations off the main thread, one message at a time.
+ * For 'compute' (computeAllStatsAsync) it posts 'progress' at each checkpoint,
+ * 'result' as each metric finishes and 'done' once all have been sent.
+ * For 'scores' (getVerseScoresAsync) and 'paths' (findKShortestPathsAsync)
+ * it posts 'done' with the result.
+ */
+
+// networkStats.js registers itself on window
+self.window = self;
+importScripts('networkStats.js');
+
+self.addEventListener('message', (e) => {
+    const message = e.data;
+    
+    switch (message.type) {
+        case 'compute':
+            compute(message.jobId, message.verses, message.options);
+            break;
+        
+        case 'scores':
+            run(message.jobId, () => NetworkStats.getVerseScores(message.verses, message.metric, message.options));
+            break;
+        
+        case 'paths':
+            run(message.jobId, () => NetworkStats.findKShortestPaths(
+                message.verses, message.startId, message.endIds, message.k, message.options
+            ));
+            break;
+        
+        case 'clearCache':
+            NetworkStats.clearCache();
+            break;
+    }
+});
+
+/**
+ * Compute all statistics for one job
+ * @param {number} jobId - Job ID echoed back in every message
+ * @param {Array} verses - Plain verse data
+ * @param {Object} options - { weighted }
+ */
+function compute(jobId, verses, options) {
+    try {
+        NetworkStats.computeAllStats(verses, {
+            ...options,
+            onProgress: progress => self.postMessage({ type: 'progress', jobId, progress }),
+            onResult: (metric, value) => self.postMessage({ type: 'result', jobId, metric, value })
+        });
+        
+        self.postMessage({ type: 'done', jobId });
+    } catch (error) {
+        console.error('Error computing stats in worker:', error);
+        self.postMessage({ type: 'error', jobId, message: error.message });
+    }
+}
+
+/**
+ * Run a computation and post its return value
+ * @param {number} jobId - Job ID echoed back in every message
+ * @param {Function} computation - Returns the value to send
+ */
+function run(jobId, computation) {
+    try {
+        self.postMessage({ type: 'done', jobId, value: computation() });
+    } catch (error) {
+        console.error('Error computing stats in worker:', error);
+        self.postMessage({ type: 'error', jobId, message: error.message });
+    }
+}
\ No newline at end of file
@@ -0,0 +1,719 @@
+/**
+ * Translations Module
+ * 
+ * Reads verse text from local files so the info panel can show what the
+ * selected verse says, preview each listed reference on hover and put a
+ * second translation side by side. Files named in CONFIG.translations are
+ * fetched from the project folder the first time they are chosen; any
+ * other file can be opened from the switcher. JSON, CSV/TSV, OSIS XML and
+ * USFM are understood, keyed by verse ID (as in the data file) or by
+ * reference ("GEN 1 1", "John 3:16", "Gen.1.1"). Text is stored by
+ * canonical reference, so a translation works with any cross-reference
+ * data file.
+ */
+
+const Translations = (function() {
+    'use strict';
+    
+    const OPEN_FILE = '__file';
+    
+    // Parsers by format name. Each calls add(key, text) once per verse, where
+    // key is a verse ID, a reference or { book, chapter, verse }.
+    const FORMATS = {
+        json: { extensions: ['json'], parse: parseJson },
+        csv: { extensions: ['csv', 'tsv'], parse: parseCsv },
+        osis: { extensions: ['xml', 'osis'], parse: parseOsis },
+        usfm: { extensions: ['usfm', 'sfm'], parse: parseUsfm }
+    };
+    
+    // Field names recognized in JSON records and CSV headers
+    const FIELDS = {
+        text: ['text', 't'],
+        key: ['id', 'ref', 'reference', 'verse_id'],
+        book: ['book', 'book_name', 'b'],
+        chapter: ['chapter', 'c'],
+        verse: ['verse', 'v']
+    };
+    
+    // OSIS elements that start a new line of text
+    const OSIS_BLOCKS = ['p', 'l', 'lg', 'lb', 'div', 'list', 'item'];
+    
+    let selectEl, compareEl, textEl, fileInput, previewEl;
+    
+    let sources = [];          // { id, name, file, format } from CONFIG, then opened files
+    const loaded = new Map();  // Source ID to { texts, count, skipped } or { error }
+    const loading = new Map(); // Source ID to pending load
+    let activeId = '';         // Translation shown in the info panel ('' = none)
+    let compareId = '';        // Translation shown beside it ('' = none)
+    let shownVerse = null;     // Verse in the info panel
+    
+    /**
+     * Set up the switcher and reference previews
+     * The translations chosen last time are loaded again.
+     */
+    function init() {
+        sources = (CONFIG.translations.files || []).map(entry => ({ ...entry, id: entry.id || entry.file }));
+        
+        selectEl = document.getElementById('translation-select');
+        compareEl = document.getElementById('translation-compare');
+        textEl = document.getElementById('verse-text');
+        
+        if (!selectEl || !compareEl || !textEl) {
+            console.error('Translation controls not found - verse text disabled');
+            return;
+        }
+        
+        fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = '.json,.csv,.tsv,.xml,.osis,.usfm,.sfm,.txt';
+        fileInput.style.display = 'none';
+        document.body.appendChild(fileInput);
+        
+        previewEl = document.createElement('div');
+        previewEl.className = 'verse-preview hidden';
+        document.body.appendChild(previewEl);
+        
+        selectEl.addEventListener('change', () => {
+            if (selectEl.value === OPEN_FILE) {
+                selectEl.value = activeId;
+                fileInput.click();
+            } else {
+                setActive(selectEl.value);
+            }
+        });
+        compareEl.addEventListener('change', () => setCompare(compareEl.value));
+        fileInput.addEventListener('change', () => {
+            if (fileInput.files.length > 0) openFile(fileInput.files[0]);
+            fileInput.value = '';
+        });
+        
+        const references = document.querySelector('#info-panel .references');
+        if (references) {
+            references.addEventListener('mouseover', handlePreviewOver);
+            references.addEventListener('mouseleave', hidePreview);
+        }
+        
+        restore();
+        renderSwitcher();
+        [activeId, compareId].forEach(ensureLoaded);
+    }
+    
+    /**
+     * Read the last chosen translations from localStorage
+     * Only configured files can come back; opened files have to be opened again.
+     */
+    function restore() {
+        let saved = null;
+        try {
+            saved = JSON.parse(localStorage.getItem(CONFIG.translations.storageKey) || 'null');
+        } catch (error) {
+            console.error('Error reading saved translation choice:', error);
+        }
+        
+        if (!saved) return;
+        activeId = getSource(saved.active) ? saved.active : '';
+        compareId = activeId && getSource(saved.compare) ? saved.compare : '';
+    }
+    
+    /**
+     * Remember the chosen translations in localStorage
+     */
+    function save() {
+        try {
+            localStorage.setItem(CONFIG.translations.storageKey, JSON.stringify({
+                active: activeId,
+                compare: compareId
+            }));
+        } catch (error) {
+            console.error('Error saving translation choice:', error);
+        }
+    }
+    
+    /**
+     * Look up a translation source by ID
+     * @param {string} id - Source ID
+     * @returns {Object|null} Source or null
+     */
+    function getSource(id) {
+        return sources.find(source => source.id === id) || null;
+    }
+    
+    /**
+     * Choose the translation shown in the info panel
+     * @param {string} id - Source ID, or '' for no verse text
+     */
+    function setActive(id) {
+        activeId = getSource(id) ? id : '';
+        if (!activeId || compareId === activeId) compareId = '';
+        changed();
+    }
+    
+    /**
+     * Choose the translation shown side by side with the active one
+     * @param {string} id - Source ID, or '' for none
+     */
+    function setCompare(id) {
+        compareId = activeId && id !== activeId && getSource(id) ? id : '';
+        changed();
+    }
+    
+    /**
+     * Save, refresh the switcher and text, and load whatever is missing
+     */
+    function changed() {
+        save();
+        renderSwitcher();
+        [activeId, compareId].forEach(ensureLoaded);
+        showVerse(shownVerse);
+    }
+    
+    /**
+     * Fill the translation and comparison dropdowns
+     */
+    function renderSwitcher() {
+        const options = sources
+            .map(source => `<option value="${Utils.escapeHtml(source.id)}">${Utils.escapeHtml(source.name)}</option>`)
+            .join('');
+        
+        selectEl.innerHTML = `
+            <option value="">No verse text</option>
+            ${options}
+            <option value="${OPEN_FILE}">Open file…</option>
+        `;
+        compareEl.innerHTML = `<option value="">No comparison</option>${options}`;
+        
+        selectEl.value = activeId;
+        compareEl.value = compareId;
+        compareEl.disabled = !activeId;
+    }
+    
+    /**
+     * Fetch and parse a configured translation unless it's already read
+     * The info panel is redrawn once it arrives.
+     * @param {string} id - Source ID ('' is ignored)
+     * @returns {Promise} Resolves when the translation is ready (or failed)
+     */
+    function ensureLoaded(id) {
+        if (!id || loaded.has(id)) return Promise.resolve();
+        
+        if (!loading.has(id)) {
+            const source = getSource(id);
+            const promise = fetch(source.file)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`HTTP error! status: ${response.status}`);
+                    }
+                    return response.text();
+                })
+                .then(text => {
+                    const result = parse(text, source.file, source.format);
+                    loaded.set(id, result);
+                    logLoaded(source, result);
+                })
+                .catch(error => {
+                    console.error(`Error loading translation '${source.file}':`, error);
+                    loaded.set(id, { error: `Could not load ${source.file}: ${error.message}` });
+                })
+                .finally(() => {
+                    loading.delete(id);
+                    showVerse(shownVerse);
+                });
+            loading.set(id, promise);
+        }
+        
+        return loading.get(id);
+    }
+    
+    /**
+     * Read a translation file chosen from the switcher and show it
+     * @param {File} file - Chosen file
+     */
+    function openFile(file) {
+        const reader = new FileReader();
+        reader.onload = () => addText(file.name, reader.result);
+        reader.onerror = () => addText(file.name, null);
+        reader.readAsText(file);
+    }
+    
+    /**
+     * Add a translation from file contents and make it the active one
+     * @param {string} fileName - File name, used for the format and the label
+     * @param {string|null} text - File contents (null if the file couldn't be read)
+     * @param {string} format - Format name (detected when omitted)
+     * @returns {Object} The new source
+     */
+    function addText(fileName, text, format) {
+        const source = {
+            id: `file:${fileName}`,
+            name: fileName.replace(/\.[^.]+$/, ''),
+            file: fileName,
+            format
+        };
+        
+        try {
+            if (text === null) throw new Error('the file could not be read');
+            const result = parse(text, fileName, format);
+            loaded.set(source.id, result);
+            logLoaded(source, result);
+        } catch (error) {
+            console.error(`Error reading translation '${fileName}':`, error);
+            loaded.set(source.id, { error: `Could not read ${fileName}: ${error.message}` });
+        }
+        
+        sources = sources.filter(s => s.id !== source.id).concat(source);
+        setActive(source.id);
+        return source;
+    }
+    
+    /**
+     * Log what a translation file contained
+     */
+    function logLoaded(source, result) {
+        const skipped = result.skipped > 0 ? ` (${result.skipped} entries not recognized)` : '';
+        console.log(`Loaded ${result.count} verses of ${source.name}${skipped}`);
+    }
+    
+    /**
+     * Parse translation file contents
+     * @param {string} text - File contents
+     * @param {string} fileName - File name, used to pick the format
+     * @param {string} format - Format name (detected when omitted)
+     * @returns {Object} { texts: Map of canonical reference to text, count, skipped }
+     */
+    function parse(text, fileName = '', format) {
+        const name = format || detectFormat(fileName, text);
+        if (!FORMATS[name]) {
+            throw new Error(`Unknown translation format "${name}"`);
+        }
+        
+        const texts = new Map();
+        const bookCodes = new Map();
+        let skipped = 0;
+        
+        FORMATS[name].parse(text, (key, verseText) => {
+            const reference = resolveKey(key, bookCodes);
+            const clean = String(verseText === undefined || verseText === null ? '' : verseText)
+                .replace(/\s+/g, ' ')
+                .trim();
+            
+            if (!reference || !clean) {
+                skipped++;
+                return;
+            }
+            // Verses split across several records are joined
+            texts.set(reference, texts.has(reference) ? `${texts.get(reference)} ${clean}` : clean);
+        }, fileName);
+        
+        if (texts.size === 0) {
+            throw new Error(`No verses found in ${name.toUpperCase()} text`);
+        }
+        
+        return { texts, count: texts.size, skipped };
+    }
+    
+    /**
+     * Pick a format from the file extension, or else from the contents
+     * @param {string} fileName - File name
+     * @param {string} text - File contents
+     * @returns {string} Format name
+     */
+    function detectFormat(fileName, text) {
+        const extension = fileName.includes('.') ? fileName.split('.').pop().toLowerCase() : '';
+        const byExtension = Object.keys(FORMATS).find(name => (FORMATS[name].extensions || []).includes(extension));
+        if (byExtension) return byExtension;
+        
+        const start = text.trimStart();
+        if (start.startsWith('{') || start.startsWith('[')) return 'json';
+        if (start.startsWith('<')) return 'osis';
+        if (/^\s*\\(id|c|v)\s/m.test(text)) return 'usfm';
+        return 'csv';
+    }
+    
+    /**
+     * Add a parser for another file format
+     * @param {string} name - Format name (as used in CONFIG.translations.files)
+     * @param {Object} format - { extensions: [...], parse(text, add, fileName) }
+     */
+    function registerFormat(name, format) {
+        FORMATS[name] = format;
+    }
+    
+    /**
+     * Turn a verse key from a file into a canonical reference ("JOH 3:16")
+     * @param {string|Object} key - Verse ID, reference or { book, chapter, verse }
+     * @param {Map} bookCodes - Cache of book text to code (null if unknown)
+     * @returns {string|null} Canonical reference or null if not recognized
+     */
+    function resolveKey(key, bookCodes) {
+        if (key && typeof key === 'object') {
+            const book = resolveBookText(String(key.book), bookCodes);
+            const chapter = parseInt(key.chapter, 10);
+            const verse = parseInt(key.verse, 10);
+            return book && chapter > 0 && verse > 0 ? `${book} ${chapter}:${verse}` : null;
+        }
+        
+        const text = String(key).trim();
+        const byId = DataLoader.findVerseById(text);
+        if (byId) return verseKey(byId);
+        
+        // "GEN 1 1", "John 3:16", "Gen.1.1"
+        const match = text.match(/^(.+?)[\s.]+(\d+)[\s.:]+(\d+)$/);
+        return match ? resolveKey({ book: match[1], chapter: match[2], verse: match[3] }, bookCodes) : null;
+    }
+    
+    /**
+     * Resolve a book name, abbreviation or canonical number (1-66) to its code
+     */
+    function resolveBookText(text, bookCodes) {
+        if (!bookCodes.has(text)) {
+            let code = null;
+            if (/^\d+$/.test(text.trim())) {
+                const book = CONFIG.books[parseInt(text, 10) - 1];
+                code = book ? book.code : null;
+            } else {
+                const resolved = ReferenceParser.resolveBook(text);
+                code = resolved.code || null;
+            }
+            bookCodes.set(text, code);
+        }
+        return bookCodes.get(text);
+    }
+    
+    /**
+     * Canonical reference of a verse, as used for the stored texts
+     * @param {Object} verse - Verse object
+     * @returns {string} Reference, e.g. "JOH 3:16"
+     */
+    function verseKey(verse) {
+        return `${verse.book} ${verse.chapter}:${verse.verseNumber}`;
+    }
+    
+    /**
+     * Pick the first field of a record that has one of the given names
+     */
+    function pickField(record, names) {
+        const name = names.find(n => record[n] !== undefined && record[n] !== null);
+        return name === undefined ? undefined : record[name];
+    }
+    
+    /**
+     * Parse JSON text
+     * Understands a flat map ({ "<ID or reference>": "text" }), nested
+     * book/chapter/verse maps ({ "Genesis": { "1": { "1": "text" } } }),
+     * lists of records ({ id | reference | book, chapter, verse, text }),
+     * optionally wrapped (e.g. { "verses": [...] }), and books with
+     * chapters as lists of verse strings ({ "abbrev": "gn", "chapters": [[...]] }).
+     */
+    function parseJson(text, add) {
+        walkJson(JSON.parse(text), [], add);
+    }
+    
+    /**
+     * Visit every verse text in parsed JSON
+     * @param {*} value - Current value
+     * @param {Array} path - Object keys and 1-based list positions leading to it
+     * @param {Function} add - Verse callback
+     */
+    function walkJson(value, path, add) {
+        if (typeof value === 'string') {
+            if (path.length === 1) {
+                add(path[0], value);
+            } else if (path.length >= 3) {
+                const [book, chapter, verse] = path.slice(-3);
+                add({ book, chapter, verse }, value);
+            }
+            return;
+        }
+        
+        if (Array.isArray(value)) {
+            value.forEach((item, i) => {
+                const isRecord = item && typeof item === 'object' && !Array.isArray(item);
+                walkJson(item, isRecord ? path : path.concat(String(i + 1)), add);
+            });
+            return;
+        }
+        
+        if (!value || typeof value !== 'object') return;
+        
+        const verseText = pickField(value, FIELDS.text);
+        if (typeof verseText === 'string') {
+            const book = pickField(value, FIELDS.book);
+            const chapter = pickField(value, FIELDS.chapter);
+            const verse = pickField(value, FIELDS.verse);
+            if (book !== undefined && chapter !== undefined && verse !== undefined) {
+                add({ book, chapter, verse }, verseText);
+            } else {
+                add(pickField(value, FIELDS.key.concat(FIELDS.verse)), verseText);
+            }
+            return;
+        }
+        
+        const bookName = pickField(value, ['abbrev', 'book', 'name']);
+        if (bookName !== undefined && Array.isArray(value.chapters)) {
+            walkJson(value.chapters, [String(bookName)], add);
+            return;
+        }
+        
+        Object.entries(value).forEach(([key, item]) => walkJson(item, path.concat(key), add));
+    }
+    
+    /**
+     * Parse CSV or TSV text
+     * With a header row, the text column is "text" (or "t") and verses are
+     * keyed by "book", "chapter" and "verse" columns or by an "id" or
+     * "reference" column. Without one, rows are either book, chapter, verse,
+     * text or reference, text.
+     */
+    function parseCsv(text, add, fileName) {
+        const firstLine = text.split('\n', 1)[0];
+        const delimiter = /\.tsv$/i.test(fileName) ||
+            firstLine.split('\t').length > firstLine.split(',').length ? '\t' : ',';
+        const rows = DataLoader.parseDelimited(text, delimiter);
+        if (rows.length === 0) return;
+        
+        const header = rows[0].map(field => field.trim().toLowerCase());
+        const column = names => header.findIndex(field => names.includes(field));
+        const textColumn = column(FIELDS.text);
+        
+        if (textColumn < 0) {
+            rows.forEach(row => {
+                if (row.length >= 4 && /^\d+$/.test(row[1].trim()) && /^\d+$/.test(row[2].trim())) {
+                    add({ book: row[0], chapter: row[1], verse: row[2] }, row.slice(3).join(delimiter));
+                } else {
+                    add(row[0], row.slice(1).join(delimiter));
+                }
+            });
+            return;
+        }
+        
+        const bookColumn = column(FIELDS.book);
+        const chapterColumn = column(FIELDS.chapter);
+        const verseColumn = column(FIELDS.verse);
+        const keyColumn = Math.max(column(FIELDS.key), 0);
+        const structured = bookColumn >= 0 && chapterColumn >= 0 && verseColumn >= 0;
+        
+        rows.slice(1).forEach(row => {
+            const key = structured ?
+                { book: row[bookColumn], chapter: row[chapterColumn], verse: row[verseColumn] } :
+                row[keyColumn];
+            add(key, row[textColumn]);
+        });
+    }
+    
+    /**
+     * Parse OSIS XML
+     * Handles both verse containers (<verse osisID="Gen.1.1">...</verse>) and
+     * milestones (<verse sID="..." osisID="Gen.1.1"/> ... <verse eID="..."/>).
+     * Notes are left out.
+     */
+    function parseOsis(text, add) {
+        const doc = new DOMParser().parseFromString(text, 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length > 0) {
+            throw new Error('OSIS file is not well-formed XML');
+        }
+        
+        let current = null;
+        let buffer = '';
+        
+        const finish = () => {
+            if (current) add(current, buffer);
+            current = null;
+            buffer = '';
+        };
+        const start = osisID => {
+            finish();
+            // "Gen.1.1 Gen.1.2" covers two verses; the text is kept under the first.
+            // A work prefix ("KJV:Gen.1.1") is dropped.
+            current = osisID.trim().split(/\s+/)[0].replace(/^[^:]*:/, '');
+        };
+        
+        const walk = node => {
+            node.childNodes.forEach(child => {
+                if (child.nodeType === 3 || child.nodeType === 4) {
+                    if (current) buffer += child.nodeValue;
+                    return;
+                }
+                if (child.nodeType !== 1 || child.localName === 'note') return;
+                
+                if (child.localName === 'verse') {
+                    if (child.getAttribute('eID')) {
+                        finish();
+                        return;
+                    }
+                    if (child.getAttribute('osisID')) {
+                        start(child.getAttribute('osisID'));
+                        if (!child.getAttribute('sID')) {
+                            walk(child);
+                            finish();
+                        }
+                        return;
+                    }
+                }
+                
+                if (current && OSIS_BLOCKS.includes(child.localName)) buffer += ' ';
+                walk(child);
+                if (current && OSIS_BLOCKS.includes(child.localName)) buffer += ' ';
+            });
+        };
+        
+        walk(doc.documentElement);
+        finish();
+    }
+    
+    /**
+     * Parse USFM
+     * Verse text runs from each \v to the next \v, \c or \id. Footnotes and
+     * cross references are dropped, word-level markup (\w word|strong="H1"\w*)
+     * keeps just the word, and headings and other non-verse lines are skipped.
+     */
+    function parseUsfm(text, add) {
+        const cleaned = text
+            .replace(/\\(f|fe|x|ef|ex)\s[\s\S]*?\\\1\*/g, '')
+            .replace(/\\\+?w\s+([^|\\]*)(\|[^\\]*)?\\\+?w\*/g, '$1')
+            .replace(/^\s*\\(ide|h\d*|toc\d*|toca\d*|mt\d*|mte\d*|ms\d*|mr|s\d*|sr|r|rem|sp|cl|cd|d|sts|restore|usfm)\b.*$/gm, '');
+        
+        const markers = /\\(id|c|v)\s+(\S+)/g;
+        let book = null;
+        let chapter = null;
+        let verse = null;
+        let last = 0;
+        let match;
+        
+        const finish = end => {
+            if (book && chapter && verse) {
+                // Closing markers ("\nd*") are removed, opening ones ("\q1", "\nd") become spaces
+                const verseText = cleaned.slice(last, end)
+                    .replace(/\\\+?[a-z0-9]+\*/gi, '')
+                    .replace(/\\\+?[a-z0-9]+/gi, ' ');
+                add({ book, chapter, verse }, verseText);
+            }
+        };
+        
+        while ((match = markers.exec(cleaned)) !== null) {
+            finish(match.index);
+            last = markers.lastIndex;
+            
+            if (match[1] === 'id') {
+                book = match[2];
+                chapter = null;
+                verse = null;
+            } else if (match[1] === 'c') {
+                chapter = match[2];
+                verse = null;
+            } else {
+                // Verse bridges ("4-5") are kept under their first verse
+                verse = match[2].split(/[-,]/)[0];
+            }
+        }
+        finish(cleaned.length);
+    }
+    
+    /**
+     * Get a verse's text in a translation
+     * @param {Object} verse - Verse object
+     * @param {string} id - Source ID (defaults to the active translation)
+     * @returns {string|null} Text, or null if not loaded or not included
+     */
+    function getText(verse, id = activeId) {
+        const result = loaded.get(id);
+        return result && result.texts ? result.texts.get(verseKey(verse)) || null : null;
+    }
+    
+    /**
+     * Build the text columns for a verse (one per chosen translation)
+     * @param {Object} verse - Verse object
+     * @returns {string} HTML, or '' when no translation is chosen
+     */
+    function renderTexts(verse) {
+        const ids = [activeId, compareId].filter(Boolean);
+        
+        return ids.map(id => {
+            const result = loaded.get(id);
+            let body;
+            if (!result) {
+                body = '<div class="verse-text-status">Loading…</div>';
+            } else if (result.error) {
+                body = `<div class="verse-text-status error">${Utils.escapeHtml(result.error)}</div>`;
+            } else {
+                const verseText = result.texts.get(verseKey(verse));
+                body = verseText ?
+                    `<div class="verse-text-body">${Utils.escapeHtml(verseText)}</div>` :
+                    '<div class="verse-text-status">Not in this translation</div>';
+            }
+            
+            return `
+                <div class="verse-text-column">
+                    ${ids.length > 1 ? `<div class="verse-text-name">${Utils.escapeHtml(getSource(id).name)}</div>` : ''}
+                    ${body}
+                </div>
+            `;
+        }).join('');
+    }
+    
+    /**
+     * Show a verse's text in the info panel
+     * @param {Object|null} verse - Verse object, or null to clear (e.g. while a path is listed)
+     */
+    function showVerse(verse) {
+        shownVerse = verse;
+        hidePreview();
+        if (!textEl) return;
+        
+        const html = verse ? renderTexts(verse) : '';
+        textEl.innerHTML = html;
+        textEl.classList.toggle('hidden', !html);
+        textEl.classList.toggle('compare', !!compareId);
+        
+        const panel = document.getElementById('info-panel');
+        if (panel) panel.classList.toggle('comparing', !!compareId);
+    }
+    
+    /**
+     * Preview the text of a listed reference under the mouse
+     */
+    function handlePreviewOver(event) {
+        const item = event.target.closest('.ref-item[data-verse-id]');
+        const verse = item && activeId ? DataLoader.findVerseById(item.dataset.verseId) : null;
+        if (!verse) {
+            hidePreview();
+            return;
+        }
+        
+        previewEl.innerHTML = `
+            <div class="verse-preview-ref">${Utils.escapeHtml(verse.verse)}</div>
+            <div class="verse-text${compareId ? ' compare' : ''}">${renderTexts(verse)}</div>
+        `;
+        
+        // To the left of the info panel, level with the item
+        const rect = item.getBoundingClientRect();
+        const panelRect = document.getElementById('info-panel').getBoundingClientRect();
+        previewEl.style.top = `${Math.max(rect.top, 0)}px`;
+        previewEl.style.right = `${window.innerWidth - panelRect.left + 8}px`;
+        previewEl.classList.remove('hidden');
+    }
+    
+    /**
+     * Hide the reference preview
+     */
+    function hidePreview() {
+        if (previewEl) previewEl.classList.add('hidden');
+    }
+    
+    // Public API
+    return {
+        init,
+        showVerse,
+        setActive,
+        setCompare,
+        addText,
+        getText,
+        parse,
+        registerFormat,
+        getSources: () => sources.slice(),
+        getActive: () => activeId,
+        getCompare: () => compareId
+    };
+})();
+
+// Make Translations globally available
+window.Translations = Translations;
\ No newline at end of file
@@ -0,0 +1,199 @@
+/**
+ * URL State Module
+ * 
+ * Keeps the view in the URL hash so it survives a reload and can be shared:
+ * the selected verse, the filters, layout, zoom and pan, color mode and the
+ * open statistics tab. Settings left at their defaults are omitted.
+ * Verse navigation (searchAndSelect, including reference list clicks) adds
+ * a history entry, so back/forward step through the verses visited; any
+ * other change rewrites the current entry shortly after it happens.
+ */
+
+const UrlState = (function() {
+    'use strict';
+    
+    let updateTimer = null;
+    
+    /**
+     * Apply the state in the URL and follow back/forward navigation
+     * Call once the other modules are initialized, before the first render.
+     */
+    function init() {
+        restore();
+        
+        window.addEventListener('popstate', () => {
+            restore();
+            window.app.render();
+        });
+        
+        // Tab switches, selections and inputs don't always redraw
+        ['click', 'change', 'input'].forEach(type => {
+            document.addEventListener(type, scheduleUpdate);
+        });
+    }
+    
+    /**
+     * Describe the current state as hash parameters
+     * Pan offsets are stored in units of the ring radius, so a link shows
+     * the same part of the graph at another window size.
+     * @returns {string} Hash without the leading '#'
+     */
+    function serialize() {
+        const params = new URLSearchParams();
+        const view = Renderer.getViewState();
+        const filters = FilterControls.getState();
+        
+        if (view.selectedVerse) {
+            params.set('verse', view.selectedVerse.verse);
+        }
+        
+        if (filters.books.length > 0) params.set('books', filters.books.join(','));
+        if (filters.chapterText) params.set('chapters', filters.chapterText);
+        if (filters.minRefs > 0) params.set('minRefs', filters.minRefs);
+        if (filters.maxRefs !== null) params.set('maxRefs', filters.maxRefs);
+        if (filters.referencesBook) params.set('refsBook', filters.referencesBook);
+        if (filters.direction) params.set('direction', filters.direction);
+        if (filters.scope) params.set('scope', filters.scope);
+        if (filters.edgeBooks.some(Boolean)) params.set('between', filters.edgeBooks.join(','));
+        if (filters.minWeight !== null) params.set('minWeight', filters.minWeight);
+        
+        if (view.layoutMode !== CONFIG.layout.mode) {
+            params.set('layout', view.layoutMode);
+        }
+        if (ColorScheme.getMode() !== CONFIG.colorBy.mode) {
+            params.set('color', ColorScheme.getMode());
+        }
+        
+        if (view.targetScale !== 1 || view.targetOffsetX !== 0 || view.targetOffsetY !== 0) {
+            const radius = Renderer.getLayoutInfo().radius;
+            params.set('zoom', round(view.targetScale, 3));
+            params.set('x', round(view.targetOffsetX / radius, 4));
+            params.set('y', round(view.targetOffsetY / radius, 4));
+        }
+        
+        const tab = typeof StatsPanel !== 'undefined' ? StatsPanel.getOpenTab() : null;
+        if (tab) {
+            params.set('stats', tab);
+        }
+        
+        // Commas and colons are fine in a fragment and keep links readable
+        return params.toString().replace(/%2C/g, ',').replace(/%3A/g, ':');
+    }
+    
+    /**
+     * Round for display in the URL
+     * @param {number} value - Number to round
+     * @param {number} digits - Decimal places
+     * @returns {number} Rounded number
+     */
+    function round(value, digits) {
+        const factor = Math.pow(10, digits);
+        return Math.round(value * factor) / factor;
+    }
+    
+    /**
+     * Apply the state in the URL hash (call render afterwards)
+     * Anything the hash leaves out goes back to its default.
+     */
+    function restore() {
+        const params = new URLSearchParams(window.location.hash.slice(1));
+        const number = name => (params.has(name) ? parseFloat(params.get(name)) : NaN);
+        const list = name => (params.get(name) || '').split(',');
+        
+        FilterControls.setState({
+            books: list('books'),
+            chapterText: params.get('chapters') || '',
+            minRefs: number('minRefs'),
+            maxRefs: number('maxRefs'),
+            referencesBook: params.get('refsBook') || '',
+            direction: params.get('direction') || '',
+            scope: params.get('scope') || '',
+            edgeBooks: list('between'),
+            minWeight: number('minWeight')
+        }, false);
+        
+        EventHandlers.setLayoutMode(params.get('layout') || CONFIG.layout.mode);
+        EventHandlers.setColorMode(params.get('color') || CONFIG.colorBy.mode);
+        
+        const radius = Renderer.getLayoutInfo().radius;
+        Renderer.setView(number('zoom') || 1, (number('x') || 0) * radius, (number('y') || 0) * radius);
+        
+        const verse = (params.has('verse') && DataLoader.findVerse(params.get('verse'))) || null;
+        if (verse !== Renderer.getViewState().selectedVerse) {
+            EventHandlers.selectVerse(verse);
+        }
+        
+        if (typeof StatsPanel !== 'undefined') {
+            const tab = params.get('stats');
+            if (tab) {
+                StatsPanel.openTab(tab);
+            } else if (StatsPanel.getOpenTab()) {
+                StatsPanel.hide();
+            }
+        }
+    }
+    
+    /**
+     * Rewrite the current history entry once changes settle
+     * Called on every render, so it only ever keeps one update pending.
+     */
+    function scheduleUpdate() {
+        if (updateTimer !== null) return;
+        
+        updateTimer = setTimeout(() => {
+            updateTimer = null;
+            write(false);
+        }, CONFIG.urlState.updateDelay);
+    }
+    
+    /**
+     * Write a pending update now, so it lands on the current history entry
+     * Call before changing the verse for a push(); otherwise a change made
+     * just before the jump would be lost from the entry being left.
+     */
+    function flush() {
+        if (updateTimer === null) return;
+        
+        clearTimeout(updateTimer);
+        updateTimer = null;
+        write(false);
+    }
+    
+    /**
+     * Add a history entry for the current state (after verse navigation)
+     */
+    function push() {
+        if (updateTimer !== null) {
+            clearTimeout(updateTimer);
+            updateTimer = null;
+        }
+        write(true);
+    }
+    
+    /**
+     * Put the current state in the URL if it changed
+     * @param {boolean} addEntry - pushState instead of replaceState
+     */
+    function write(addEntry) {
+        const hash = serialize();
+        if (hash === window.location.hash.slice(1)) return;
+        
+        const url = hash ? `#${hash}` : window.location.pathname + window.location.search;
+        if (addEntry) {
+            history.pushState(null, '', url);
+        } else {
+            history.replaceState(null, '', url);
+        }
+    }
+    
+    // Public API
+    return {
+        init,
+        scheduleUpdate,
+        flush,
+        push
+    };
+})();
+
+// Make UrlState globally available
+window.UrlState = UrlState;
\ No newline at end of file
@@ -0,0 +1,30 @@
+/**
+ * Utilities Module
+ * 
+ * Small helpers shared by several modules.
+ */
+
+const Utils = (function() {
+    'use strict';
+    
+    /**
+     * Escape text for use in HTML
+     * @param {string} text - Plain text
+     * @returns {string} HTML-safe text
+     */
+    function escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+    
+    // Public API
+    return {
+        escapeHtml
+    };
+})();
+
+// Make Utils globally available
+window.Utils = Utils;
\ No newline at end of file
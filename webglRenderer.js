@@ -0,0 +1,346 @@
+/**
+ * WebGL Renderer Module
+ * 
+ * Optional GPU backend with the same public API as Renderer. Verse points
+ * and the "all edges" network are uploaded once per layout into GPU buffers
+ * in layout units, so pan and zoom only change shader uniforms. Layout,
+ * view state and hit-testing are shared with Renderer, which also draws the
+ * overlay (book arcs, highlighted verses, labels) on the original canvas.
+ * 
+ * Enabled with CONFIG.canvas.backend = 'webgl'; App falls back to Renderer
+ * when WebGL is unavailable.
+ */
+
+const WebGLRenderer = (function() {
+    'use strict';
+    
+    const VERTEX_SHADER = `
+        attribute vec2 a_position;
+        attribute vec4 a_color;
+        uniform vec2 u_center;
+        uniform float u_radius;
+        uniform vec2 u_resolution;
+        uniform float u_pointSize;
+        varying vec4 v_color;
+        
+        void main() {
+            vec2 screen = u_center + a_position * u_radius;
+            vec2 clip = screen / u_resolution * 2.0 - 1.0;
+            gl_Position = vec4(clip.x, -clip.y, 0.0, 1.0);
+            gl_PointSize = u_pointSize;
+            v_color = a_color;
+        }
+    `;
+    
+    const FRAGMENT_SHADER = `
+        precision mediump float;
+        uniform float u_alpha;
+        uniform bool u_round;
+        varying vec4 v_color;
+        
+        void main() {
+            if (u_round && length(gl_PointCoord - 0.5) > 0.5) discard;
+            gl_FragColor = vec4(v_color.rgb, v_color.a * u_alpha);
+        }
+    `;
+    
+    // Interleaved vertex: x, y as float32 + r, g, b, a as uint8
+    const VERTEX_BYTES = 12;
+    
+    let canvas, glCanvas, gl;
+    let program, locations;
+    
+    // GPU buffers and what they were built from
+    const points = { buffer: null, count: 0, key: null };
+    const edges = { buffer: null, count: 0, key: null };
+    
+    /**
+     * Check whether the browser can create a WebGL context
+     * @returns {boolean} True if WebGL is available
+     */
+    function isSupported() {
+        try {
+            const test = document.createElement('canvas');
+            return !!(window.WebGLRenderingContext && test.getContext('webgl'));
+        } catch (error) {
+            return false;
+        }
+    }
+    
+    /**
+     * Initialize the renderer
+     * Adds a WebGL canvas underneath the given canvas, which keeps drawing the overlay.
+     * @param {HTMLCanvasElement} canvasElement - Canvas element
+     */
+    function init(canvasElement) {
+        canvas = canvasElement;
+        
+        glCanvas = document.createElement('canvas');
+        glCanvas.id = 'webgl-canvas';
+        canvas.parentElement.insertBefore(glCanvas, canvas);
+        
+        try {
+            gl = glCanvas.getContext('webgl', { premultipliedAlpha: false, antialias: true });
+            if (!gl) {
+                throw new Error('WebGL context could not be created');
+            }
+            program = createProgram(VERTEX_SHADER, FRAGMENT_SHADER);
+        } catch (error) {
+            // Leave the page as it was so the caller can fall back to Renderer
+            glCanvas.remove();
+            glCanvas = null;
+            gl = null;
+            throw error;
+        }
+        
+        locations = {
+            position: gl.getAttribLocation(program, 'a_position'),
+            color: gl.getAttribLocation(program, 'a_color'),
+            center: gl.getUniformLocation(program, 'u_center'),
+            radius: gl.getUniformLocation(program, 'u_radius'),
+            resolution: gl.getUniformLocation(program, 'u_resolution'),
+            pointSize: gl.getUniformLocation(program, 'u_pointSize'),
+            alpha: gl.getUniformLocation(program, 'u_alpha'),
+            round: gl.getUniformLocation(program, 'u_round')
+        };
+        
+        points.buffer = gl.createBuffer();
+        edges.buffer = gl.createBuffer();
+        
+        gl.enable(gl.BLEND);
+        gl.blendFuncSeparate(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA, gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+        
+        Renderer.init(canvas);
+    }
+    
+    /**
+     * Compile and link the shader program
+     * @param {string} vertexSource - Vertex shader source
+     * @param {string} fragmentSource - Fragment shader source
+     * @returns {WebGLProgram} Linked program
+     */
+    function createProgram(vertexSource, fragmentSource) {
+        const compile = (type, source) => {
+            const shader = gl.createShader(type);
+            gl.shaderSource(shader, source);
+            gl.compileShader(shader);
+            if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+                throw new Error(`Shader compile failed: ${gl.getShaderInfoLog(shader)}`);
+            }
+            return shader;
+        };
+        
+        const linked = gl.createProgram();
+        gl.attachShader(linked, compile(gl.VERTEX_SHADER, vertexSource));
+        gl.attachShader(linked, compile(gl.FRAGMENT_SHADER, fragmentSource));
+        gl.linkProgram(linked);
+        
+        if (!gl.getProgramParameter(linked, gl.LINK_STATUS)) {
+            throw new Error(`Shader link failed: ${gl.getProgramInfoLog(linked)}`);
+        }
+        return linked;
+    }
+    
+    /**
+     * Main render function
+     * @param {Array} filteredVerses - Verses to render
+     */
+    function render(filteredVerses) {
+        // Positions, hit-test index and the 2D overlay come from Renderer
+        Renderer.render(filteredVerses, { overlayOnly: true });
+        
+        const layout = Renderer.getLayoutInfo();
+        const view = Renderer.getViewState();
+        
+        if (glCanvas.width !== layout.width || glCanvas.height !== layout.height) {
+            glCanvas.width = layout.width;
+            glCanvas.height = layout.height;
+        }
+        gl.viewport(0, 0, glCanvas.width, glCanvas.height);
+        gl.clearColor(0, 0, 0, 0);
+        gl.clear(gl.COLOR_BUFFER_BIT);
+        
+        if (filteredVerses.length === 0) return;
+        
+        gl.useProgram(program);
+        gl.uniform2f(locations.center, layout.centerX + view.offsetX, layout.centerY + view.offsetY);
+        gl.uniform1f(locations.radius, layout.radius * view.scale);
+        gl.uniform2f(locations.resolution, glCanvas.width, glCanvas.height);
+        
+        if (view.drawAllEdges) {
+            const key = `${layout.version}|${DataLoader.getVersion()}|${view.edgeFilter}`;
+            if (edges.key !== key) {
+                uploadEdges(filteredVerses);
+                edges.key = key;
+            }
+            drawBuffer(edges, gl.LINES, view.edgeOpacity);
+        }
+        
+        const pointsKey = `${layout.version}|${ColorScheme.getVersion()}`;
+        if (points.key !== pointsKey) {
+            uploadPoints(filteredVerses);
+            points.key = pointsKey;
+        }
+        drawBuffer(points, gl.POINTS, 1);
+    }
+    
+    /**
+     * Draw one of the vertex buffers
+     * @param {Object} batch - { buffer, count }
+     * @param {number} mode - gl.POINTS or gl.LINES
+     * @param {number} alpha - Opacity multiplier
+     */
+    function drawBuffer(batch, mode, alpha) {
+        if (batch.count === 0) return;
+        
+        gl.bindBuffer(gl.ARRAY_BUFFER, batch.buffer);
+        gl.enableVertexAttribArray(locations.position);
+        gl.vertexAttribPointer(locations.position, 2, gl.FLOAT, false, VERTEX_BYTES, 0);
+        gl.enableVertexAttribArray(locations.color);
+        gl.vertexAttribPointer(locations.color, 4, gl.UNSIGNED_BYTE, true, VERTEX_BYTES, 8);
+        
+        gl.uniform1f(locations.alpha, alpha);
+        gl.uniform1i(locations.round, mode === gl.POINTS ? 1 : 0);
+        gl.uniform1f(locations.pointSize, CONFIG.visual.pointRadius.normal * 2);
+        
+        gl.drawArrays(mode, 0, batch.count);
+    }
+    
+    /**
+     * Upload one point per verse in its ColorScheme color
+     * @param {Array} verses - Laid-out verses
+     */
+    function uploadPoints(verses) {
+        const writer = createVertexWriter(verses.length);
+        
+        verses.forEach(verse => {
+            writer.add(verse.ux, verse.uy, parseColor(ColorScheme.getColor(verse)), 255);
+        });
+        
+        upload(points, writer);
+    }
+    
+    /**
+     * Upload every bundled edge as a polyline approximating its curve
+     * @param {Array} verses - Laid-out verses
+     */
+    function uploadEdges(verses) {
+        const style = CONFIG.visual.allEdges;
+        const segments = CONFIG.webgl.curveSegments;
+        
+        let edgeCount = 0;
+        Renderer.forEachBundledEdge(verses, () => edgeCount++);
+        
+        const writer = createVertexWriter(edgeCount * segments * 2);
+        
+        Renderer.forEachBundledEdge(verses, (verse, target, controlUX, controlUY, level) => {
+            const color = parseColor(CONFIG.bookColors[verse.book] || CONFIG.defaultColor);
+            const strength = (level + 1) / style.weightLevels;
+            const alpha = Math.round(255 * (0.25 + 0.75 * strength));
+            
+            // Quadratic Bezier from verse to target through the control point
+            let prevX = verse.ux;
+            let prevY = verse.uy;
+            for (let i = 1; i <= segments; i++) {
+                const t = i / segments;
+                const a = (1 - t) * (1 - t);
+                const b = 2 * (1 - t) * t;
+                const c = t * t;
+                const x = a * verse.ux + b * controlUX + c * target.ux;
+                const y = a * verse.uy + b * controlUY + c * target.uy;
+                
+                writer.add(prevX, prevY, color, alpha);
+                writer.add(x, y, color, alpha);
+                prevX = x;
+                prevY = y;
+            }
+        });
+        
+        upload(edges, writer);
+    }
+    
+    /**
+     * Create a writer for interleaved vertex data
+     * @param {number} capacity - Number of vertices
+     * @returns {Object} { add(x, y, rgb, alpha), data, count }
+     */
+    function createVertexWriter(capacity) {
+        const data = new ArrayBuffer(capacity * VERTEX_BYTES);
+        const floats = new Float32Array(data);
+        const bytes = new Uint8Array(data);
+        const writer = { data, count: 0 };
+        
+        writer.add = (x, y, rgb, alpha) => {
+            const i = writer.count++;
+            floats[i * 3] = x;
+            floats[i * 3 + 1] = y;
+            bytes[i * VERTEX_BYTES + 8] = rgb[0];
+            bytes[i * VERTEX_BYTES + 9] = rgb[1];
+            bytes[i * VERTEX_BYTES + 10] = rgb[2];
+            bytes[i * VERTEX_BYTES + 11] = alpha;
+        };
+        
+        return writer;
+    }
+    
+    /**
+     * Send a writer's vertices to a GPU buffer
+     * @param {Object} batch - { buffer, count }
+     * @param {Object} writer - Vertex writer
+     */
+    function upload(batch, writer) {
+        gl.bindBuffer(gl.ARRAY_BUFFER, batch.buffer);
+        gl.bufferData(gl.ARRAY_BUFFER, writer.data, gl.STATIC_DRAW);
+        batch.count = writer.count;
+    }
+    
+    /**
+     * Parse a "#rrggbb" color
+     * @param {string} hex - Hex color
+     * @returns {Array} [r, g, b] in 0..255
+     */
+    function parseColor(hex) {
+        const value = parseInt(hex.slice(1), 16);
+        return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+    }
+    
+    /**
+     * Resize both canvases to fill the container
+     */
+    function resizeCanvas() {
+        Renderer.resizeCanvas();
+    }
+    
+    // Public API - view state, selection and hit-testing are shared with Renderer
+    return {
+        isSupported,
+        init,
+        render,
+        resizeCanvas,
+        findVerseAtPosition: (...args) => Renderer.findVerseAtPosition(...args),
+        zoom: (...args) => Renderer.zoom(...args),
+        zoomAt: (...args) => Renderer.zoomAt(...args),
+        pan: (...args) => Renderer.pan(...args),
+        resetView: (...args) => Renderer.resetView(...args),
+        setView: (...args) => Renderer.setView(...args),
+        setRedrawHandler: (...args) => Renderer.setRedrawHandler(...args),
+        setHoveredVerse: (...args) => Renderer.setHoveredVerse(...args),
+        setSelectedVerse: (...args) => Renderer.setSelectedVerse(...args),
+        setHighlightedPath: (...args) => Renderer.setHighlightedPath(...args),
+        setCollectionOverlay: (...args) => Renderer.setCollectionOverlay(...args),
+        setLayoutMode: (...args) => Renderer.setLayoutMode(...args),
+        setAllEdgesOptions: (...args) => Renderer.setAllEdgesOptions(...args),
+        setEdgeFilter: (...args) => Renderer.setEdgeFilter(...args),
+        setCustomLayout: (...args) => Renderer.setCustomLayout(...args),
+        setInteracting: (...args) => Renderer.setInteracting(...args),
+        invalidateLayout: (...args) => Renderer.invalidateLayout(...args),
+        toLayoutPoint: (...args) => Renderer.toLayoutPoint(...args),
+        forEachBundledEdge: (...args) => Renderer.forEachBundledEdge(...args),
+        getLayoutInfo: (...args) => Renderer.getLayoutInfo(...args),
+        getBookSegments: (...args) => Renderer.getBookSegments(...args),
+        getViewState: (...args) => Renderer.getViewState(...args)
+    };
+})();
+
+// Make WebGLRenderer globally available
+window.WebGLRenderer = WebGLRenderer;
\ No newline at end of file